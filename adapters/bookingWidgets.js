@@ -0,0 +1,19 @@
+/** Booking engine widgets embedded on hotel sites (date pickers and availability calendars). */
+export const bookingWidgetsAdapter = {
+  name: 'booking-widgets',
+  match: {
+    hostnames: ['synxis.com', 'book-secure.com', 'reservations.travelclick.com', 'simplebooking.it', 'mews.com'],
+    selectors: [
+      '.flatpickr-calendar', '.ui-datepicker', '.react-datepicker', '.daterangepicker',
+      'iframe[src*="synxis.com"]', 'script[src*="mews.li"]', 'script[src*="simplebooking"]',
+    ],
+  },
+  // Rendered calendars put month grids and day numbers into the markdown and churn every day
+  cleanupSelectors: ['.flatpickr-calendar', '.ui-datepicker', '.react-datepicker-popper', '.daterangepicker', '[class*="booking-calendar"]'],
+  contentRootSelectors: [],
+  interactionSelectors: [],
+  excludeLinkPatterns: [
+    // Availability searches: one link per date/occupancy combination
+    /[?&](arrival|departure|check_?in|check_?out|date_?from|date_?to|adults|children|nights)=/i,
+  ],
+};
@@ -0,0 +1,143 @@
+// Site adapters: per-platform additions to the generic scraping heuristics (see MATCH_SITE_ADAPTERS in scrapeController).
+// To add one, create a module in this directory, register it in SITE_ADAPTERS and cover it with a fixture in
+// fixtures/adapters (npm run test:adapters).
+
+import { wordpressAdapter } from './wordpress.js';
+import { wixAdapter } from './wix.js';
+import { typo3Adapter } from './typo3.js';
+import { joomlaAdapter } from './joomla.js';
+import { squarespaceAdapter } from './squarespace.js';
+import { bookingWidgetsAdapter } from './bookingWidgets.js';
+
+/**
+ * @typedef {Object} SiteAdapter
+ * @property {string} name
+ * @property {Object} match - The adapter applies when any criterion matches
+ * @property {Array<RegExp>} [match.generators] - Tested against <meta name="generator"> contents
+ * @property {Array<string>} [match.hostnames] - Page hosts (subdomains match too)
+ * @property {Array<string>} [match.selectors] - DOM signature: any of these elements exists
+ * @property {Array<string>} [cleanupSelectors] - Elements removed before markdown conversion
+ * @property {Array<string>} [contentRootSelectors] - Below the start page, only the first matching element is converted
+ * @property {Array<string>} [interactionSelectors] - Clicked in the browser before capture (e.g. "load more")
+ * @property {Array<RegExp>} [excludeLinkPatterns] - Absolute link URLs that are never enqueued or recorded
+ */
+
+/** @type {Array<SiteAdapter>} Registered adapters; several may apply to one page (e.g. a CMS plus a booking widget) */
+export const SITE_ADAPTERS = [
+  wordpressAdapter,
+  wixAdapter,
+  typo3Adapter,
+  joomlaAdapter,
+  squarespaceAdapter,
+  bookingWidgetsAdapter,
+];
+
+/**
+ * Signals adapters are matched on: generator meta tags and which signature selectors exist.
+ * Runs inside the document (page.evaluate / JSDOM), so it must stay self-contained; call before the cleanup.
+ * @param {Array<string>} selectors - Signature selectors of all adapters (see adapterSignatureSelectors)
+ * @returns {{ generators: Array<string>, hostname: string, selectors: Array<string> }} selectors: those present
+ */
+export function readAdapterSignalsInPage(selectors) {
+  const exists = (selector) => {
+    try {
+      return document.querySelector(selector) !== null;
+    } catch {
+      return false;
+    }
+  };
+  return {
+    generators: Array.from(document.querySelectorAll('meta[name="generator" i]')).map((meta) => (meta.getAttribute('content') || '').trim()),
+    hostname: location.hostname,
+    selectors: selectors.filter(exists),
+  };
+}
+
+/**
+ * Signature selectors of the given adapters (argument for readAdapterSignalsInPage).
+ * @param {Array<SiteAdapter>} [adapters]
+ * @returns {Array<string>}
+ */
+export function adapterSignatureSelectors(adapters = SITE_ADAPTERS) {
+  return [...new Set(adapters.flatMap((adapter) => adapter.match?.selectors || []))];
+}
+
+/**
+ * Adapters matching a page, in registry order.
+ * @param {{ generators: Array<string>, hostname: string, selectors: Array<string> }|null} signals - From readAdapterSignalsInPage
+ * @param {Array<SiteAdapter>} [adapters]
+ * @returns {Array<SiteAdapter>}
+ */
+export function matchSiteAdapters(signals, adapters = SITE_ADAPTERS) {
+  if (!signals) return [];
+  const hostname = String(signals.hostname || '').toLowerCase();
+  const present = new Set(signals.selectors || []);
+  return adapters.filter(({ match = {} }) => (
+    (match.generators || []).some((re) => (signals.generators || []).some((generator) => re.test(generator)))
+    || (match.hostnames || []).some((host) => hostname === host || hostname.endsWith(`.${host}`))
+    || (match.selectors || []).some((selector) => present.has(selector))
+  ));
+}
+
+/**
+ * Merge matched adapters into one configuration for the page.
+ * @param {Array<SiteAdapter>} adapters - From matchSiteAdapters
+ * @returns {{ names: Array<string>, cleanupSelectors: Array<string>, contentRootSelectors: Array<string>,
+ *   interactionSelectors: Array<string>, excludeLinkPatterns: Array<RegExp> }}
+ */
+export function mergeSiteAdapters(adapters = []) {
+  const collect = (key) => [...new Set(adapters.flatMap((adapter) => adapter[key] || []))];
+  return {
+    names: adapters.map((adapter) => adapter.name),
+    cleanupSelectors: collect('cleanupSelectors'),
+    contentRootSelectors: collect('contentRootSelectors'),
+    interactionSelectors: collect('interactionSelectors'),
+    excludeLinkPatterns: collect('excludeLinkPatterns'),
+  };
+}
+
+/**
+ * Drop links excluded by the page's adapters.
+ * @param {Array<{ href: string }>} rawLinks - From collectRawLinksInPage (hrefs may be relative)
+ * @param {string} pageUrl - Resolves relative hrefs
+ * @param {{ excludeLinkPatterns: Array<RegExp> }} siteAdapter - From mergeSiteAdapters
+ * @returns {Array<{ href: string }>}
+ */
+export function filterAdapterLinks(rawLinks, pageUrl, { excludeLinkPatterns = [] } = {}) {
+  if (excludeLinkPatterns.length === 0) return rawLinks;
+  return rawLinks.filter(({ href }) => {
+    let url;
+    try {
+      url = new URL(href, pageUrl).href;
+    } catch {
+      return true;
+    }
+    return !excludeLinkPatterns.some((re) => re.test(url));
+  });
+}
+
+/**
+ * Click adapter interaction targets (e.g. "load more"), each at most maxClicks times.
+ * Runs inside the document (page.evaluate), so it must stay self-contained.
+ * @param {{ selectors: Array<string>, maxClicks: number }} options
+ * @returns {Promise<number>} Clicks performed
+ */
+export async function runAdapterInteractionsInPage({ selectors, maxClicks }) {
+  const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  let clicks = 0;
+  for (const selector of selectors) {
+    for (let i = 0; i < maxClicks; i += 1) {
+      let el = null;
+      try {
+        el = document.querySelector(selector);
+      } catch {
+        break;
+      }
+      if (!el || el.hasAttribute('disabled')) break;
+      el.click();
+      clicks += 1;
+      await delay(800);
+    }
+  }
+  return clicks;
+}
@@ -0,0 +1,17 @@
+/** Joomla CMS. */
+export const joomlaAdapter = {
+  name: 'joomla',
+  match: {
+    generators: [/^Joomla!/i],
+    selectors: ['script[src*="/media/jui/"]', 'script[src*="/media/system/js/"]'],
+  },
+  cleanupSelectors: ['.mod-languages', '#system-message-container', '.icons .dropdown-menu'],
+  contentRootSelectors: ['main#content', '#content', '.item-page'],
+  interactionSelectors: [],
+  excludeLinkPatterns: [
+    // Print/PDF/feed views and the "email this page" form of the same article
+    /[?&](tmpl=component|print=1|format=(feed|pdf))\b/i,
+    /\/component\/mailto\//i,
+    /\/index\.php\?option=com_users\b/i,
+  ],
+};
@@ -0,0 +1,15 @@
+/** Squarespace website builder (no generator meta tag; matched by its static asset host). */
+export const squarespaceAdapter = {
+  name: 'squarespace',
+  match: {
+    selectors: ['script[src*="static1.squarespace.com"]', 'link[href*="static1.squarespace.com"]', '[data-squarespace-cacheversion]'],
+  },
+  cleanupSelectors: ['.sqs-announcement-bar-dropzone', '.sqs-cookie-banner-v2', '.sqs-search-ui-button-wrapper'],
+  contentRootSelectors: ['main#page', '#page'],
+  // "Load more" on blog/event collections
+  interactionSelectors: ['.BlogList-pagination-link', '.eventlist-load-more'],
+  excludeLinkPatterns: [
+    /\/(cart|account|commerce\/)\b/i,
+    /[?&]format=(json|ical|rss)\b/i,
+  ],
+};
@@ -0,0 +1,17 @@
+/** TYPO3 CMS (common with German-speaking hotels and hotel groups). */
+export const typo3Adapter = {
+  name: 'typo3',
+  match: {
+    generators: [/^TYPO3\b/i],
+    selectors: ['link[href*="/typo3temp/"]', 'script[src*="/typo3temp/"]', 'link[href*="/typo3conf/"]'],
+  },
+  cleanupSelectors: ['.tx-cookies', '.tx-powermail', '.tx-felogin-pi1'],
+  contentRootSelectors: ['#content main', '#content', 'main'],
+  interactionSelectors: [],
+  excludeLinkPatterns: [
+    /\/typo3(conf|temp)?\//i,
+    // Print and feed page types of the same page
+    /[?&]type=(98|99|100|9818)\b/i,
+    /[?&]tx_[a-z0-9_]+%5B(action|controller)%5D=/i,
+  ],
+};
@@ -0,0 +1,16 @@
+/** Wix website builder. */
+export const wixAdapter = {
+  name: 'wix',
+  match: {
+    generators: [/^Wix\.com Website Builder/i],
+    selectors: ['#SITE_CONTAINER', 'meta[http-equiv="X-Wix-Meta-Site-Id"]'],
+  },
+  cleanupSelectors: ['#WIX_ADS', '[data-testid="consent-banner-root"]', '#SKIP_TO_CONTENT_BTN'],
+  contentRootSelectors: ['#PAGES_CONTAINER'],
+  interactionSelectors: [],
+  excludeLinkPatterns: [
+    /\/_api\//i,
+    /\/_partials\//i,
+    /[?&]lightbox=/i,
+  ],
+};
@@ -0,0 +1,23 @@
+/** WordPress (themes and page builders used by many independent hotels). */
+export const wordpressAdapter = {
+  name: 'wordpress',
+  match: {
+    generators: [/^WordPress\b/i],
+    selectors: ['link[href*="/wp-content/"]', 'script[src*="/wp-includes/"]'],
+  },
+  cleanupSelectors: [
+    '#wpadminbar',
+    '.sharedaddy', '.jp-relatedposts',
+    '#cookie-law-info-bar', '.cky-consent-container', '#cmplz-cookiebanner-container', '#moove_gdpr_cookie_info_bar',
+    '.comment-respond', '#comments',
+  ],
+  contentRootSelectors: ['main .entry-content', '#main', 'main'],
+  interactionSelectors: [],
+  excludeLinkPatterns: [
+    /\/wp-(json|login\.php|admin)\b/i,
+    /\/xmlrpc\.php/i,
+    /\/(comments\/)?feed\/?$/i,
+    /[?&]replytocom=/i,
+    /\/author\/[^/]+\/?$/i,
+  ],
+};
@@ -0,0 +1,132 @@
+import 'dotenv/config';
+import { executeQuery, closePool } from './config/database.js';
+import { TABLE_NAMES } from './middleware/constants.js';
+import { computeChecksum } from './utils/custom.js';
+import { createStaticDom } from './utils/staticPage.js';
+import { normalizeMarkdown, convertPageToMarkdown } from './utils/pageMarkdown.js';
+import { loadVolatilityConfig, markVolatileRegionsInPage, maskVolatileContent, VOLATILE_ATTRIBUTE } from './utils/volatility.js';
+
+const { HOTEL_PAGE_DATA_TABLE } = TABLE_NAMES;
+
+const PDF_CONTENT_TYPE = 'application/pdf';
+
+/**
+ * One-off recompute of hotel_page_data.checksum after the checksum input changed
+ * (volatile content masked, contact link targets and structured data facts added; see convertPageToMarkdown).
+ * Without it every stored page counts as changed on its next crawl and is sent to the LLM once more.
+ *
+ * Usage:
+ *   npm run pages:backfill-checksums -- [hotel_uuid] [--apply]
+ *
+ * Without --apply the planned updates are only printed (dry run).
+ * HTML pages are converted again from the stored cleaned HTML, contact links and structured data; PDFs from the
+ * stored markdown. A page whose conversion does not reproduce its stored markdown (frame sections, older conversion
+ * rules) is left alone and re-extracted once on its next crawl.
+ * Pages already extracted stay extracted: llm_input_checksum moves along with checksum.
+ */
+
+/**
+ * @param {string|Array|Object|null} value - JSON column (a string, or already parsed by the driver)
+ * @param {*} fallback - Returned for empty or invalid values
+ * @returns {*}
+ */
+function parseJsonColumn(value, fallback) {
+  if (!value) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Checksum of a stored page under the current checksum input.
+ * @param {Object} row - hotel_page_data row
+ * @param {Object} volatility - From loadVolatilityConfig
+ * @returns {Promise<string|null>} Null when the stored markdown cannot be reproduced
+ */
+async function recomputeChecksum(row, volatility) {
+  if (row.content_type === PDF_CONTENT_TYPE) {
+    return computeChecksum(normalizeMarkdown(maskVolatileContent(row.markdown, volatility)));
+  }
+  if (!row.html) return null;
+
+  // The stored HTML is the cleaned body; widgets are flagged again for rows saved before the volatility filter
+  const dom = createStaticDom(row.html, row.page_url);
+  let html;
+  try {
+    if (volatility.enabled) {
+      await dom.evaluate(markVolatileRegionsInPage, { selectors: volatility.selectors, attribute: VOLATILE_ATTRIBUTE });
+    }
+    html = await dom.evaluate(() => document.body.innerHTML.replace(/>\s+</g, '><').trim());
+  } finally {
+    dom.close();
+  }
+  const contactLinks = parseJsonColumn(row.contact_links, []);
+  const { markdown, checksum } = convertPageToMarkdown(html, {
+    contactLinks: Array.isArray(contactLinks) ? contactLinks : [],
+    structuredData: parseJsonColumn(row.structured_data, null),
+    volatility,
+  });
+  return markdown === row.markdown ? checksum : null;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const apply = args.includes('--apply');
+  const hotelUuid = args.find((arg) => !arg.startsWith('--')) || null;
+  const volatility = loadVolatilityConfig();
+
+  const query = `
+    SELECT id, hotel_uuid, page_url, html, markdown, checksum, llm_input_checksum, content_type, structured_data, contact_links
+    FROM ${HOTEL_PAGE_DATA_TABLE}
+    WHERE (content_type IS NULL OR content_type IN ('text/html', ?)) AND markdown IS NOT NULL AND markdown != ''
+    ${hotelUuid ? 'AND hotel_uuid = ?' : ''}
+    ORDER BY hotel_uuid, id
+  `;
+  const rows = await executeQuery(query, hotelUuid ? [PDF_CONTENT_TYPE, hotelUuid] : [PDF_CONTENT_TYPE]);
+
+  let rowsUpdated = 0;
+  let rowsUnchanged = 0;
+  let rowsNotReproduced = 0;
+  console.log(`${apply ? '🔧 Backfilling' : '🔍 Dry run (pass --apply to write)'}: ${rows.length} page rows scanned\n`);
+  for (const row of rows) {
+    const checksum = await recomputeChecksum(row, volatility);
+    if (!checksum) {
+      rowsNotReproduced += 1;
+      console.log(`⚠️  #${row.id} not reproduced, re-extracted on its next crawl: ${row.page_url}`);
+      continue;
+    }
+    if (checksum === row.checksum) {
+      rowsUnchanged += 1;
+      continue;
+    }
+
+    // Only an extraction of the stored content moves along; pending pages stay pending
+    const extracted = row.llm_input_checksum !== null && row.llm_input_checksum === row.checksum;
+    if (apply) {
+      const updateQuery = `
+        UPDATE ${HOTEL_PAGE_DATA_TABLE}
+        SET checksum = ?, llm_input_checksum = ${extracted ? '?' : 'llm_input_checksum'}
+        WHERE id = ? AND checksum = ?
+      `;
+      const result = await executeQuery(updateQuery, extracted ? [checksum, checksum, row.id, row.checksum] : [checksum, row.id, row.checksum]);
+      rowsUpdated += result.affectedRows || 0;
+    } else {
+      rowsUpdated += 1;
+    }
+  }
+
+  console.log('-'.repeat(70));
+  console.log(`Rows ${apply ? 'updated' : 'to update'}: ${rowsUpdated}`);
+  console.log(`Rows already up to date: ${rowsUnchanged}`);
+  console.log(`Rows not reproduced (re-extracted once): ${rowsNotReproduced}`);
+  await closePool();
+}
+
+main().catch(async (err) => {
+  console.error('❌', err.message);
+  await closePool();
+  process.exit(1);
+});
@@ -0,0 +1,118 @@
+import 'dotenv/config';
+import { executeQuery, closePool } from './config/database.js';
+import { LogPagesService } from './services/log/logPagesService.js';
+import { LogRunsService } from './services/log/logRunsService.js';
+
+/**
+ * Checksum churn report from the per-run page logs (market_data_log_pages.markdown_hash).
+ *
+ * Usage:
+ *   npm run pages:churn -- [hotel_uuid] [--days=30] [--top=20]
+ *
+ * Per hotel: how often page checksums changed between consecutive runs and how many LLM extractions that caused.
+ * Per page (most churning first): change count and a timeline with one mark per run
+ *   "o" first seen, "=" unchanged, "*" changed, "~" only masked volatile content changed (raw hash differs).
+ */
+
+/**
+ * Churn of one page from its log rows (ordered by run).
+ * @param {Array<Object>} rows
+ * @returns {{ runs: number, changes: number, maskedChanges: number, extractions: number, timeline: string, lastChangedAt: Date|null }}
+ */
+function pageChurn(rows) {
+  let changes = 0;
+  let maskedChanges = 0;
+  let lastChangedAt = null;
+  const marks = rows.map((row, index) => {
+    if (index === 0) return 'o';
+    const prev = rows[index - 1];
+    if (row.markdown_hash !== prev.markdown_hash) {
+      changes += 1;
+      lastChangedAt = row.started_at;
+      return '*';
+    }
+    if (row.markdown_raw_hash && prev.markdown_raw_hash && row.markdown_raw_hash !== prev.markdown_raw_hash) {
+      maskedChanges += 1;
+      return '~';
+    }
+    return '=';
+  });
+  return {
+    runs: rows.length,
+    changes,
+    maskedChanges,
+    extractions: rows.filter((row) => row.extraction_status === 'success').length,
+    timeline: marks.join(''),
+    lastChangedAt,
+  };
+}
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+async function main() {
+  const args = process.argv.slice(2);
+  const hotelUuid = args.find((arg) => !arg.startsWith('--')) || null;
+  const days = parseInt(args.find((arg) => arg.startsWith('--days='))?.split('=')[1] || '30', 10);
+  const top = parseInt(args.find((arg) => arg.startsWith('--top='))?.split('=')[1] || '20', 10);
+
+  const query = `
+    SELECT p.hotel_uuid, p.page_url, p.run_id, p.markdown_hash, p.markdown_raw_hash, p.extraction_status, r.started_at
+    FROM ${LogPagesService.TABLE} p
+    JOIN ${LogRunsService.TABLE} r ON r.id = p.run_id
+    WHERE r.started_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+      AND p.markdown_hash IS NOT NULL AND p.markdown_hash <> ''
+      ${hotelUuid ? 'AND p.hotel_uuid = ?' : ''}
+    ORDER BY p.hotel_uuid, p.page_url, p.run_id
+  `;
+  const rows = await executeQuery(query, hotelUuid ? [days, hotelUuid] : [days]);
+
+  const pages = new Map();
+  for (const row of rows) {
+    const key = `${row.hotel_uuid}\n${row.page_url}`;
+    if (!pages.has(key)) pages.set(key, { hotelUuid: row.hotel_uuid, pageUrl: row.page_url, rows: [] });
+    pages.get(key).rows.push(row);
+  }
+
+  const hotels = new Map();
+  const pageStats = [];
+  for (const { hotelUuid: pageHotelUuid, pageUrl, rows: pageRows } of pages.values()) {
+    const churn = pageChurn(pageRows);
+    pageStats.push({ hotelUuid: pageHotelUuid, pageUrl, ...churn });
+    if (!hotels.has(pageHotelUuid)) {
+      hotels.set(pageHotelUuid, { hotelUuid: pageHotelUuid, runs: new Set(), pages: 0, comparisons: 0, changes: 0, maskedChanges: 0, extractions: 0 });
+    }
+    const hotel = hotels.get(pageHotelUuid);
+    pageRows.forEach((row) => hotel.runs.add(row.run_id));
+    hotel.pages += 1;
+    hotel.comparisons += churn.runs - 1;
+    hotel.changes += churn.changes;
+    hotel.maskedChanges += churn.maskedChanges;
+    hotel.extractions += churn.extractions;
+  }
+
+  console.log(`📊 Checksum churn over the last ${days} days (${rows.length} page logs)\n`);
+  const hotelList = [...hotels.values()]
+    .map((hotel) => ({ ...hotel, changeRate: hotel.comparisons > 0 ? hotel.changes / hotel.comparisons : 0 }))
+    .sort((a, b) => b.changeRate - a.changeRate);
+  for (const hotel of hotelList) {
+    console.log(`${hotel.hotelUuid}\truns=${hotel.runs.size}\tpages=${hotel.pages}\tchanged=${hotel.changes} (${percent(hotel.changeRate)} of page-runs)\tmasked_only=${hotel.maskedChanges}\textractions=${hotel.extractions}`);
+  }
+
+  console.log('-'.repeat(70));
+  console.log(`Most churning pages (top ${top}):`);
+  pageStats
+    .filter((page) => page.changes > 0)
+    .sort((a, b) => b.changes / Math.max(1, b.runs - 1) - a.changes / Math.max(1, a.runs - 1) || b.changes - a.changes)
+    .slice(0, top)
+    .forEach((page) => {
+      const lastChanged = page.lastChangedAt ? new Date(page.lastChangedAt).toISOString().slice(0, 10) : '-';
+      console.log(`${page.timeline}\t${page.changes}/${page.runs - 1} changed, last ${lastChanged}\t${hotelUuid ? '' : `${page.hotelUuid}\t`}${page.pageUrl}`);
+    });
+  await closePool();
+}
+
+main().catch(async (err) => {
+  console.error('❌', err.message);
+  await closePool();
+  process.exit(1);
+});
@@ -1,11 +1,18 @@
 import { executeQuery } from '../config/database.js';
 import { MarketDataService } from '../services/marketDataService.js';
 import { AIService } from '../services/aiService.js';
+import { PageLinksService } from '../services/pageLinksService.js';
 import { MD_CAT_FIELDS, TABLE_NAMES, STAGE_NAMES } from '../middleware/constants.js';
 import { llmOutputToJson, isValidStringMap, computeChecksum } from '../utils/custom.js';
+import { structuredDataToFacts } from '../utils/structuredData.js';
+import { contactLinksToText } from '../utils/contactLinks.js';
+import { SITE_CHROME_CONTENT_TYPE, siteChromePageUrl, stripBoilerplate } from '../utils/boilerplate.js';
 
 const { HOTEL_PAGE_DATA_TABLE } = TABLE_NAMES;
 
+// Snippet provenance for facts taken from schema.org markup instead of LLM extraction
+const STRUCTURED_DATA_SOURCE = 'structured_data';
+
 const CATEGORY_FIELDS = MD_CAT_FIELDS.map(f => ({
   name: f.name,
   description: f.description,
@@ -15,14 +22,16 @@ const CATEGORY_FIELDS = MD_CAT_FIELDS.map(f => ({
 // BEGIN getActiveMarkdownPages
 /**
  * Fetch active markdown pages that have not been processed by the LLM (checksum diff).
+ * Near-duplicates of another page (duplicate_of_page_id, see NEAR_DUPLICATE_DETECTION in scrapeController) are left out.
  * @param {string} hotelUuid - Hotel UUID.
- * @returns {Promise<Array<{id: number, page_url: string, markdown: string, markdown_prev: string|null, checksum: string, depth: number}>>}
+ * @returns {Promise<Array<{id: number, page_url: string, markdown: string, markdown_prev: string|null, checksum: string, depth: number, structured_data: string|null, contact_links: string|null, content_type: string|null}>>}
  */
 async function getActiveMarkdownPages(hotelUuid) {
   const query = `
-    SELECT id, page_url, markdown, markdown_prev, checksum, depth
+    SELECT id, page_url, markdown, markdown_prev, checksum, depth, structured_data, contact_links, content_type
     FROM ${HOTEL_PAGE_DATA_TABLE}
-    WHERE active = 1 AND hotel_uuid = ? AND markdown IS NOT NULL AND markdown != '' AND NOT (checksum <=> llm_input_checksum) 
+    WHERE active = 1 AND hotel_uuid = ? AND markdown IS NOT NULL AND markdown != '' AND NOT (checksum <=> llm_input_checksum)
+      AND duplicate_of_page_id IS NULL
   `;
   try {
     return await executeQuery(query, [hotelUuid]);
@@ -33,6 +42,70 @@ async function getActiveMarkdownPages(hotelUuid) {
 }
 // END getActiveMarkdownPages
 
+// BEGIN getSkippedDuplicatePages
+/**
+ * Active pages skipped by extraction because they are near-duplicates of another page (for the page log audit).
+ * Only pages whose content changed since they were last skipped or extracted (see markDuplicateSkipped).
+ * @param {string} hotelUuid - Hotel UUID.
+ * @returns {Promise<Array<{id: number, page_url: string, depth: number, checksum: string, duplicate_of_page_id: number, duplicate_distance: number|null, duplicate_of_url: string|null}>>}
+ */
+async function getSkippedDuplicatePages(hotelUuid) {
+  const query = `
+    SELECT p.id, p.page_url, p.depth, p.checksum, p.duplicate_of_page_id, p.duplicate_distance, r.page_url AS duplicate_of_url
+    FROM ${HOTEL_PAGE_DATA_TABLE} p
+    LEFT JOIN ${HOTEL_PAGE_DATA_TABLE} r ON r.id = p.duplicate_of_page_id
+    WHERE p.active = 1 AND p.hotel_uuid = ? AND p.duplicate_of_page_id IS NOT NULL AND NOT (p.checksum <=> p.llm_input_checksum)
+  `;
+  try {
+    return await executeQuery(query, [hotelUuid]);
+  } catch (error) {
+    console.error('❌ Error fetching near-duplicate pages:', error.message);
+    return [];
+  }
+}
+// END getSkippedDuplicatePages
+
+// BEGIN parseContactLinks
+/**
+ * Parse hotel_page_data.contact_links.
+ * @param {string|Array|null} contactLinks - JSON-encoded contact links (or already parsed by the driver).
+ * @returns {Array<Object>}
+ */
+function parseContactLinks(contactLinks) {
+  if (Array.isArray(contactLinks)) return contactLinks;
+  if (!contactLinks) return [];
+  try {
+    const parsed = JSON.parse(contactLinks);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+// END parseContactLinks
+
+// BEGIN getSiteChromeMarkdown
+/**
+ * Markdown of the hotel's active site chrome document (blocks repeated across most pages), if any.
+ * @param {string} hotelUuid - Hotel UUID.
+ * @returns {Promise<string>} '' when there is none.
+ */
+async function getSiteChromeMarkdown(hotelUuid) {
+  const query = `
+    SELECT markdown
+    FROM ${HOTEL_PAGE_DATA_TABLE}
+    WHERE hotel_uuid = ? AND page_url = ? AND active = 1
+    LIMIT 1
+  `;
+  try {
+    const rows = await executeQuery(query, [hotelUuid, siteChromePageUrl(hotelUuid)]);
+    return rows?.[0]?.markdown || '';
+  } catch (error) {
+    console.error('❌ Error fetching site chrome document:', error.message);
+    return '';
+  }
+}
+// END getSiteChromeMarkdown
+
 // BEGIN markLLMInput
 /**
  * Update LLM input metadata for a page after successful extraction.
@@ -57,6 +130,50 @@ async function markLLMInput(pageId, checksum, llm_output) {
 }
 // END markLLMInput
 
+// BEGIN markDuplicateSkipped
+/**
+ * Record that extraction skipped a near-duplicate's current content, so it is logged once per change.
+ * The page's own earlier extraction no longer stands for it (its representative's does) and is dropped.
+ * @param {number} pageId - Page ID.
+ * @param {string} checksum - Checksum of the skipped content.
+ * @returns {Promise<number>} Number of affected rows.
+ */
+async function markDuplicateSkipped(pageId, checksum) {
+  const query = `
+    UPDATE ${HOTEL_PAGE_DATA_TABLE}
+    SET llm_input_checksum = ?, llm_output = NULL, llm_updated = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `;
+  try {
+    const result = await executeQuery(query, [checksum, pageId]);
+    return result.affectedRows || 0;
+  } catch (error) {
+    console.error(`❌ Error marking near-duplicate page ${pageId} as skipped:`, error.message);
+    return 0;
+  }
+}
+// END markDuplicateSkipped
+
+// BEGIN pushStructuredDataFacts
+/**
+ * Add schema.org facts of a page (hotel_page_data.structured_data) to fieldBuckets as high-confidence snippets.
+ * @param {Object<string, Array<{ page_url: string, value: string, source?: string }>>} fieldBuckets - Buckets to populate.
+ * @param {string} pageUrl - Source page URL.
+ * @param {string|null} structuredData - JSON-encoded structured data.
+ * @returns {number} Number of snippets added.
+ */
+function pushStructuredDataFacts(fieldBuckets, pageUrl, structuredData) {
+  const facts = structuredDataToFacts(structuredData);
+  let added = 0;
+  Object.entries(facts).forEach(([fieldName, value]) => {
+    if (!fieldBuckets[fieldName]) return;
+    fieldBuckets[fieldName].push({ page_url: pageUrl, value, source: STRUCTURED_DATA_SOURCE });
+    added += 1;
+  });
+  return added;
+}
+// END pushStructuredDataFacts
+
 // BEGIN loadFieldBucketsFromCachedOutputs
 /**
  * Load fieldBuckets from cached LLM outputs stored in hotel_page_data.llm_output.
@@ -68,7 +185,7 @@ async function markLLMInput(pageId, checksum, llm_output) {
 async function loadFieldBucketsFromCachedOutputs(hotelUuid, fieldBuckets) {
   console.log('🧪 UNIT_TEST_ACTION=after_extract: loading cached llm_output into field buckets (skipping per-page extraction).');
   const cachedQuery = `
-    SELECT page_url, llm_output
+    SELECT page_url, llm_output, structured_data
     FROM ${HOTEL_PAGE_DATA_TABLE}
     WHERE active = 1 AND hotel_uuid = ? AND llm_output IS NOT NULL AND llm_output != ''
   `;
@@ -83,6 +200,7 @@ async function loadFieldBucketsFromCachedOutputs(hotelUuid, fieldBuckets) {
   let pagesAnalyzed = 0;
   for (const page of cachedPages) {
     pagesAnalyzed += 1;
+    pushStructuredDataFacts(fieldBuckets, page.page_url, page.structured_data);
     if (!page.llm_output) continue;
     let extracted;
     try {
@@ -110,9 +228,11 @@ async function loadFieldBucketsFromCachedOutputs(hotelUuid, fieldBuckets) {
  * @param {string} pageUrl - Source page URL (for context).
  * @param {string} hotelNameLabel - Human-friendly hotel name for prompts.
  * @param {Object} hotelLLMUsage - Per-hotel LLM usage accumulator.
+ * @param {Array<string>} [anchorTexts=[]] - How other pages of the site link to this page (routing hint only).
+ * @param {string} [contactCandidates=''] - Normalized tel/mailto/WhatsApp/social links of the page (see contactLinksToText).
  * @returns {Promise<Object<string, string>>} Key/value pairs for category fields.
  */
-async function extractFieldsFromPage(markdown, pageUrl, hotelNameLabel, hotelLLMUsage) {
+export async function extractFieldsFromPage(markdown, pageUrl, hotelNameLabel, hotelLLMUsage, anchorTexts = [], contactCandidates = '') {
   hotelNameLabel = hotelNameLabel || 'the hotel';
 
   const describedFields = CATEGORY_FIELDS.map((f) => {
@@ -123,6 +243,16 @@ async function extractFieldsFromPage(markdown, pageUrl, hotelNameLabel, hotelLLM
     return `- "${f.name}" : ${desc}${guide}`;
   }).join('\n');
 
+  const anchorHint = anchorTexts.length
+    ? `- Other pages of this site link to this page as: ${anchorTexts.map((t) => `"${t}"`).join(', ')}. Use this only as a hint for which keys the page is likely to cover; every value must still come from the Markdown.\n`
+    : '';
+  const contactRule = contactCandidates
+    ? '- The contact links listed after the Markdown belong to this page (their targets are not visible in the Markdown). Use them for "contacts", with the description the Markdown or link text gives them.\n'
+    : '';
+  const contactSection = contactCandidates
+    ? `\nContact links on this page (phones in E.164, emails lowercase):\n---\n${contactCandidates}\n---`
+    : '';
+
   const prompt = `You are extracting structured hotel information from Markdown content for ${hotelNameLabel}.
 Return a JSON object with EXACTLY these keys (all string values; use "" if not found):
 ${describedFields}
@@ -134,11 +264,11 @@ Rules:
 - Do not drop, rename, or replace explicitly named places, businesses, properties, room types, brands, services or programs, amenities, events, or routes with generic labels.
 - Do not invent data.
 - Keep URLs if present.
-
+${anchorHint}${contactRule}
 Markdown source (from ${pageUrl}):
 ---
 ${markdown}
----`;
+---${contactSection}`;
   const { text } = await AIService.askLLM({
     prompt,
     maxTokens: 1024 * 64,
@@ -168,7 +298,8 @@ async function aggregateAndRefineSnippets(fieldName, snippets, hotelLLMUsage) {
   const items = (snippets || []).filter((s) => s && s.value);
   const formatSnippet = (s, i) => {
     const value = String(s.value).trim();
-    return `>>>>> Snippet ${i + 1} (page url: ${s.page_url || ''})\n${value}`;
+    const sourceNote = s.source === STRUCTURED_DATA_SOURCE ? ', source: structured data' : '';
+    return `>>>>> Snippet ${i + 1} (page url: ${s.page_url || ''}${sourceNote})\n${value}`;
   };
   const joined = items.map(formatSnippet).join(SNIPPET_DELIM);
   if (!joined) return '';
@@ -181,11 +312,14 @@ async function aggregateAndRefineSnippets(fieldName, snippets, hotelLLMUsage) {
   const mergeGuide = fieldDef?.merge_guide?.trim() || '';
   const mergeGuideLine = `Merge guide: ${`${mergeGuide} ${defaultMergeGuide}`.trim()}\n`;
   const prioritizeLine = isOtherField ? '' : 'First priority: facts from snippets whose page URL is related to this field. Second priority: facts from the homepage.\n';
+  const structuredDataLine = items.some((s) => s.source === STRUCTURED_DATA_SOURCE)
+    ? 'Snippets marked "source: structured data" come from the site\'s schema.org markup and are high-confidence facts; prefer them when snippets conflict on exact values (address, phone, times).\n'
+    : '';
   
   const prompt = `You are consolidating hotel information for the field "${fieldName}".
 ${descriptionLine}${mergeGuideLine}
 You will receive multiple snippets. Merge them into **one clean, human-readable, well-structured markdown text**.
-${prioritizeLine}**Remove duplicates**, fix formatting. But keep all factual information from the snippets.
+${prioritizeLine}${structuredDataLine}**Remove duplicates**, fix formatting. But keep all factual information from the snippets.
 Do not include source page URLs in the merged text.
 **Return ONLY the merged text.**
 
@@ -292,23 +426,54 @@ export async function loadMarketDataFromScrapedPage(logger, hotelUuid, hotelName
   } else {
     // BEGIN EXTRACT_DATA_FROM_PAGES_BODY
     const pages = await getActiveMarkdownPages(hotelUuid);
+    // Near-duplicates are represented by their cluster representative; record why each was skipped
+    for (const duplicate of await getSkippedDuplicatePages(hotelUuid)) {
+      await logger.updatePageLog(duplicate.page_url, {
+        page_depth: duplicate.depth ?? 0,
+        extraction_status: 'skipped_duplicate',
+        error_message: `Near-duplicate of page ${duplicate.duplicate_of_page_id} (${duplicate.duplicate_of_url || 'unknown'}), simhash distance ${duplicate.duplicate_distance ?? '?'}`,
+      });
+      await markDuplicateSkipped(duplicate.id, duplicate.checksum);
+    }
     if (!pages.length) {
       console.log(`⚠️  No markdown pages to aggregate for hotel ${hotelUuid}`);
       return null;
     }
     pagesActive = pages.length;
+    // Anchor texts from the site link graph: a hint for which fields a page covers
+    const anchorTextsByPage = await PageLinksService.getAnchorTextsByTarget(hotelUuid).catch((error) => {
+      console.error('⚠️  Could not load anchor texts:', error.message);
+      return new Map();
+    });
+    // Site chrome is extracted once from its own document and stripped from every other page
+    const siteChromeMarkdown = await getSiteChromeMarkdown(hotelUuid);
+    // Structured data facts of the changed pages, like their extracted snippets (they are part of each page's checksum,
+    // see convertPageToMarkdown); facts of unchanged pages are already in the stored market data
+    for (const page of pages) {
+      pushStructuredDataFacts(fieldBuckets, page.page_url, page.structured_data);
+    }
     // Per-page extraction (Count(pages) LLM calls)
     console.log(`🔍 Extracting fields' data from pages...`);
     for (const page of pages) {
       pagesAnalyzed += 1;
       const pageStartedAtMs = Date.now();
       const usedTokensBefore = hotelLLMUsage.total_tokens || 0;
+      const anchorTexts = anchorTextsByPage.get(page.page_url) || [];
+      const contactCandidates = contactLinksToText(parseContactLinks(page.contact_links));
+      const llmMarkdown = page.content_type === SITE_CHROME_CONTENT_TYPE
+        ? page.markdown
+        : stripBoilerplate(page.markdown, siteChromeMarkdown);
       try {
-        let extracted = await extractFieldsFromPage(page.markdown, page.page_url, hotelName, hotelLLMUsage);
-        if (!isValidStringMap(extracted)) {
-          console.log(`⚠️ Extraction empty for page ${page.id}, retrying once more...`);
-          const retried = await extractFieldsFromPage(page.markdown, page.page_url, hotelName, hotelLLMUsage);
-          extracted = isValidStringMap(retried) ? retried : {};
+        let extracted = {};
+        if (llmMarkdown || contactCandidates) {
+          extracted = await extractFieldsFromPage(llmMarkdown, page.page_url, hotelName, hotelLLMUsage, anchorTexts, contactCandidates);
+          if (!isValidStringMap(extracted)) {
+            console.log(`⚠️ Extraction empty for page ${page.id}, retrying once more...`);
+            const retried = await extractFieldsFromPage(llmMarkdown, page.page_url, hotelName, hotelLLMUsage, anchorTexts, contactCandidates);
+            extracted = isValidStringMap(retried) ? retried : {};
+          }
+        } else {
+          console.log(`⏭️  Page ${page.id} only holds site chrome; nothing to extract`);
         }
         CATEGORY_FIELDS.forEach((field) => {
           const val = extracted[field.name];
@@ -1,71 +1,82 @@
-import { PlaywrightCrawler } from 'crawlee';
-import TurndownService from 'turndown';
+import { PlaywrightCrawler, BasicCrawler, RequestQueue, KeyValueStore } from 'crawlee';
 import { executeQuery } from '../config/database.js';
-import { TABLE_NAMES } from '../middleware/constants.js';
+import { TABLE_NAMES, CRAWL_STOP_REASONS, ERROR_CLASS } from '../middleware/constants.js';
+import { LogRunsService } from '../services/log/logRunsService.js';
+import { PageLinksService } from '../services/pageLinksService.js';
 import { computeChecksum } from '../utils/custom.js';
+import { createCrawlScope, parseUrlPatterns, matchesUrlPattern } from '../utils/urlScope.js';
+import { loadRobotsTxt, collectSitemapUrls } from '../utils/siteDiscovery.js';
+import { isPdfUrl, downloadPdf, pdfToMarkdown } from '../utils/pdf.js';
+import { canonicalizeUrl, resolveCanonicalPageUrl } from '../utils/urlCanonical.js';
+import { collectStructuredDataInPage, hasStructuredData } from '../utils/structuredData.js';
+import { classifyPage, errorClassForVerdict, PAGE_VERDICTS } from '../utils/pageClassifier.js';
+import { EXPANDED_ATTRIBUTE, readCanonicalHrefInPage, readPageSignalsInPage, collectRawLinksInPage, expandHiddenContentInPage } from '../utils/pageDom.js';
+import { normalizeMarkdown, cleanPageForMarkdown, convertPageToMarkdown, convertPageDom } from '../utils/pageMarkdown.js';
+import { fetchStaticPage, headStaticPage, createStaticDom, detectJsRenderedPage, detectInteractiveContentInPage } from '../utils/staticPage.js';
+import { installResourceBlocking } from '../utils/resourceBlocking.js';
+import { SITE_CHROME_CONTENT_TYPE, siteChromePageUrl, detectBoilerplateBlocks, stripBoilerplate } from '../utils/boilerplate.js';
+import { clusterNearDuplicates } from '../utils/simhash.js';
+import { collectContactLinksInPage, normalizeContactLinks, phoneRegionFromUrl } from '../utils/contactLinks.js';
+import { decodeObfuscatedContactsInPage } from '../utils/deobfuscation.js';
+import { adapterSignatureSelectors, readAdapterSignalsInPage, matchSiteAdapters, mergeSiteAdapters, filterAdapterLinks, runAdapterInteractionsInPage } from '../adapters/index.js';
+import { SPA_CANDIDATE_ATTRIBUTE, collectSpaNavCandidatesInPage, readSpaStateInPage, spaStatePageUrl } from '../utils/spaDiscovery.js';
+import { FRAME_INDEX_ATTRIBUTE, parseFrameAllowlist, isFrameCapturable, readFrameElementsInPage, frameSectionLabel } from '../utils/frames.js';
+import { openWarcArchive } from '../utils/warc.js';
+import { loadVolatilityConfig, maskVolatileContent } from '../utils/volatility.js';
 
 const { HOTEL_PAGE_DATA_TABLE } = TABLE_NAMES;
 
-/* ⭐ Fully pinned Turndown configuration (NO defaults) */
-const turndown = new TurndownService({
-  headingStyle: 'atx',
-  hr: '---',
-  bulletListMarker: '-',
-  codeBlockStyle: 'fenced',
-  emDelimiter: '*',
-  strongDelimiter: '**',
-  linkStyle: 'inlined',
-  linkReferenceStyle: 'full',
-});
-// Strip links (keep text, drop URLs)
-// Keep link/button intent without including URLs (avoid checksum noise)
-turndown.addRule('stripLinks', {
-  filter: 'a',
-  replacement: (content, node) => {
-    const text = typeof content === 'string' ? content : '';
-    if (!text.trim()) {
-      return '';
-    }
-    const cls = (node?.className || '').toLowerCase();
-    const role = (node?.getAttribute ? node.getAttribute('role') : '')?.toLowerCase() || '';
-    const isButton = role === 'button' || cls.includes('button') || cls.includes('btn');
-    const tag = isButton ? 'button' : 'link';
-    return `${content} [${tag}]`;
-  },
-});
-
-// Drop images entirely
-// Image source URLs might confuse checksum calculation - different checksums for the same content
-turndown.addRule('dropImages', {
-  filter: 'img',
-  replacement: () => '',
-});
-
-// Convert button tags to markdown format: content [button]
-turndown.addRule('stripButtons', {
-  filter: 'button',
-  replacement: (content) => {
-    const text = typeof content === 'string' ? content : '';
-    if (!text.trim()) {
-      return '';
-    }
-    return `${content} [button]`;
-  },
-});
+// Content types stored in hotel_page_data.content_type
+const HTML_CONTENT_TYPE = 'text/html';
+const PDF_CONTENT_TYPE = 'application/pdf';
+// Request label for PDF documents (downloaded over HTTP, never rendered in the browser)
+const PDF_LABEL = 'PDF';
+// Request labels for pages fetched by the HTTP crawler and for pages rendered by the browser crawler (see queueRequests)
+const HTTP_LABEL = 'HTTP';
+const BROWSER_LABEL = 'BROWSER';
+// Path that handled a page (market_data_log_pages.fetch_mode)
+const FETCH_MODES = {
+  HTTP: 'http',
+  BROWSER: 'browser',
+};
+// Statuses that usually mean "plain HTTP client refused", not "page missing"
+const HTTP_FALLBACK_STATUSES = new Set([401, 403, 429, 503]);
+// Key of the persisted crawl state in the run's named key-value store
+const CRAWL_STATE_KEY = 'CRAWL_STATE';
+// Full-page WARC screenshot timeout; added on top of the request handler timeout instead of taken from the page's budget
+const WARC_SCREENSHOT_TIMEOUT_MS = 30000;
+// Handler time kept free after SPA discovery (one click, settle and reload), so the pass never hits the handler timeout
+const SPA_DISCOVERY_HANDLER_MARGIN_MS = 20000;
 
 /**
  * Save scraped page to database
+ * Rows are keyed on the canonical page URL (see canonicalizeUrl), so URL variants fold into one row.
  * @param {string} hotelUuid - Hotel UUID
  * @param {string} url - Page URL
- * @param {string} html - Cleaned HTML content
+ * @param {string|null} html - Cleaned HTML content (null for non-HTML documents such as PDFs)
  * @param {string|null} htmlRaw - raw HTML content (before cleaning)
- * @param {string} markdown - Markdown converted from cleaned HTML
- * @param {string} checksum - SHA256 checksum of the HTML
+ * @param {string} markdown - Markdown converted from cleaned HTML (or extracted from the document)
+ * @param {string} checksum - SHA256 checksum of the markdown with volatile content masked (see utils/volatility.js)
  * @param {number} depth - Crawl depth of the page
- * @param {number|null} pageId - Existing page id (if known)
+ * @param {Object} [options]
+ * @param {number|null} [options.pageId=null] - Existing page id (if known); its row is moved to the canonical URL
+ * @param {string} [options.contentType='text/html'] - Source content type (text/html | application/pdf)
+ * @param {Object|null} [options.structuredData=null] - schema.org JSON-LD/microdata/OpenGraph captured before DOM cleanup
+ * @param {Array<Object>} [options.contactLinks=[]] - Normalized tel/mailto/WhatsApp/social links (see utils/contactLinks.js)
+ * @param {string|null} [options.etag=null] - ETag response header (validator for the next run)
+ * @param {string|null} [options.lastModified=null] - Last-Modified response header (validator for the next run)
+ * @param {string|null} [options.sitemapLastmod=null] - Sitemap <lastmod> the page was seeded with (kept when null)
  * @returns {Promise<number>} Insert ID or affected rows
  */
-async function saveScrapedPage(hotelUuid, url, html, htmlRaw, markdown, checksum, depth, pageId = null) {
+async function saveScrapedPage(hotelUuid, url, html, htmlRaw, markdown, checksum, depth, {
+  pageId = null,
+  contentType = HTML_CONTENT_TYPE,
+  structuredData = null,
+  contactLinks = [],
+  etag = null,
+  lastModified = null,
+  sitemapLastmod = null,
+} = {}) {
   // Validate inputs
   if (!hotelUuid || typeof hotelUuid !== 'string') {
     throw new Error(`Invalid hotelUuid: ${typeof hotelUuid}`);
@@ -73,7 +84,10 @@ async function saveScrapedPage(hotelUuid, url, html, htmlRaw, markdown, checksum
   if (!url || typeof url !== 'string') {
     throw new Error(`Invalid url: ${typeof url}`);
   }
-  if (!html || typeof html !== 'string') {
+  if (contentType === HTML_CONTENT_TYPE && (!html || typeof html !== 'string')) {
+    throw new Error(`Invalid html: ${typeof html}`);
+  }
+  if (html !== null && typeof html !== 'string') {
     throw new Error(`Invalid html: ${typeof html}`);
   }
   if (htmlRaw !== null && typeof htmlRaw !== 'string') {
@@ -88,22 +102,22 @@ async function saveScrapedPage(hotelUuid, url, html, htmlRaw, markdown, checksum
   if (!Number.isInteger(depth) || depth < 0) {
     depth = 9999; // Fallback for debugging invalid depth
   }
+  url = canonicalizeUrl(url);
+  const structuredDataJson = hasStructuredData(structuredData) ? JSON.stringify(structuredData) : null;
+  const contactLinksJson = contactLinks?.length ? JSON.stringify(contactLinks) : null;
+  const sitemapLastmodValue = sitemapLastmod && !Number.isNaN(new Date(sitemapLastmod).getTime()) ? new Date(sitemapLastmod) : null;
 
-  // Resolve target id if not provided
-  let targetId = pageId;
+  // Resolve the target row: the known page id (which may still be stored under a legacy URL variant), else the URL
+  let targetId = null;
   let existingChecksum = null;
   let isChecksumUpdated = 0; // This is only for update (of page) use case. We **do not** treat checksum-updated in **new (insert) page** use case.
-  if (!targetId) {
-    const checkQuery = `
-      SELECT id, checksum FROM ${HOTEL_PAGE_DATA_TABLE}
-      WHERE hotel_uuid = ? AND page_url = ?
-      LIMIT 1
-    `;
-    const found = await executeQuery(checkQuery, [hotelUuid, url]);
-    if (found && found.length > 0) {
-      targetId = found[0].id;
-      existingChecksum = found[0].checksum;
-    }
+  const checkQuery = pageId
+    ? `SELECT id, checksum FROM ${HOTEL_PAGE_DATA_TABLE} WHERE id = ? LIMIT 1`
+    : `SELECT id, checksum FROM ${HOTEL_PAGE_DATA_TABLE} WHERE hotel_uuid = ? AND page_url = ? LIMIT 1`;
+  const found = await executeQuery(checkQuery, pageId ? [pageId] : [hotelUuid, url]);
+  if (found && found.length > 0) {
+    targetId = found[0].id;
+    existingChecksum = found[0].checksum;
   }
 
   if (targetId && existingChecksum !== null && existingChecksum !== checksum) {
@@ -120,25 +134,34 @@ async function saveScrapedPage(hotelUuid, url, html, htmlRaw, markdown, checksum
         UPDATE ${HOTEL_PAGE_DATA_TABLE}
         SET html_prev = html,
             markdown_prev = markdown,
+            page_url = ?,
             html = ?,
             html_raw = ?,
             markdown = ?,
             checksum = ?,
             is_checksum_updated = ?,
             depth = ?,
+            content_type = ?,
+            structured_data = ?,
+            contact_links = ?,
+            etag = ?,
+            last_modified = ?,
+            sitemap_lastmod = COALESCE(?, sitemap_lastmod),
+            rendered_at = CURRENT_TIMESTAMP,
+            missed_runs = 0,
             updated_at = CURRENT_TIMESTAMP,
             active = 1
         WHERE id = ?
       `;
-      const result = await executeQuery(updateQuery, [html, htmlRaw, markdown, checksum, isChecksumUpdated, depth, targetId]);
+      const result = await executeQuery(updateQuery, [url, html, htmlRaw, markdown, checksum, isChecksumUpdated, depth, contentType, structuredDataJson, contactLinksJson, etag, lastModified, sitemapLastmodValue, targetId]);
       return result.affectedRows;
     } else {
       // Insert new record
       const insertQuery = `
-        INSERT INTO ${HOTEL_PAGE_DATA_TABLE} (hotel_uuid, page_url, checksum, html, html_raw, markdown, depth, active)
-        VALUES (?, ?, ?, ?, ?, ?, ?, 1)
+        INSERT INTO ${HOTEL_PAGE_DATA_TABLE} (hotel_uuid, page_url, checksum, html, html_raw, markdown, depth, content_type, structured_data, contact_links, etag, last_modified, sitemap_lastmod, rendered_at, active)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, 1)
       `;
-      const result = await executeQuery(insertQuery, [hotelUuid, url, checksum, html, htmlRaw, markdown, depth]);
+      const result = await executeQuery(insertQuery, [hotelUuid, url, checksum, html, htmlRaw, markdown, depth, contentType, structuredDataJson, contactLinksJson, etag, lastModified, sitemapLastmodValue]);
       return result.insertId || result.affectedRows;
     }
   } catch (error) {
@@ -157,17 +180,18 @@ async function saveScrapedPage(hotelUuid, url, html, htmlRaw, markdown, checksum
 }
 
 /**
- * Fetch existing pages for a hotel (id, url, checksum).
+ * Fetch existing pages for a hotel (id, url, checksum, active flag and re-crawl validators).
  * Note: active = 0 indicates the page was not scraped in the last run; it is not a deletion flag.
+ * The site chrome document is not a crawled page and is left out.
  */
 async function getExistingPages(hotelUuid) {
   const query = `
-    SELECT id, page_url, checksum
+    SELECT id, page_url, checksum, active, etag, last_modified, sitemap_lastmod, rendered_at
     FROM ${HOTEL_PAGE_DATA_TABLE}
-    WHERE hotel_uuid = ?
+    WHERE hotel_uuid = ? AND NOT (content_type <=> ?)
   `;
   try {
-    return await executeQuery(query, [hotelUuid]);
+    return await executeQuery(query, [hotelUuid, SITE_CHROME_CONTENT_TYPE]);
   } catch (error) {
     console.error('❌ Error fetching existing pages:', error.message);
     return [];
@@ -175,26 +199,35 @@ async function getExistingPages(hotelUuid) {
 }
 
 /**
- * Deactivate pages that were not scraped in the current scrapeHotel execution.
- * Note: Sets active = 0 to indicate the page was not scraped in the last run. This does not mean the page is deleted.
+ * Count one more missed run for pages that were not scraped in the current scrapeHotel execution,
+ * and deactivate the ones missing for missedRunsLimit consecutive healthy runs.
+ * Note: Sets active = 0 to indicate the page was not scraped in recent runs. This does not mean the page is deleted.
+ * missed_runs is reset to 0 whenever the page is saved again (see saveScrapedPage).
  *
- * @param {Array<number>} pageIds - Array of page ids to deactivate
- * @returns {Promise<number>} Number of affected rows
+ * @param {Array<number>} pageIds - Ids of pages not visited in this run
+ * @param {number} missedRunsLimit - Consecutive missed runs before a page is deactivated
+ * @returns {Promise<number>} Number of deactivated pages
  */
-async function deactivatePagesByIds(pageIds = []) {
+async function deactivateMissingPages(pageIds = [], missedRunsLimit = 1) {
   if (pageIds.length === 0) {
     return 0;
   }
 
   const placeholders = pageIds.map(() => '?').join(', ');
-  const query = `
+  const countQuery = `
+    UPDATE ${HOTEL_PAGE_DATA_TABLE}
+    SET missed_runs = missed_runs + 1
+    WHERE id IN (${placeholders}) AND active = 1
+  `;
+  const deactivateQuery = `
     UPDATE ${HOTEL_PAGE_DATA_TABLE}
     SET active = 0, updated_at = CURRENT_TIMESTAMP
-    WHERE id IN (${placeholders})
+    WHERE id IN (${placeholders}) AND active = 1 AND missed_runs >= ?
   `;
 
   try {
-    const result = await executeQuery(query, pageIds);
+    await executeQuery(countQuery, pageIds);
+    const result = await executeQuery(deactivateQuery, [...pageIds, missedRunsLimit]);
     return result.affectedRows || 0;
   } catch (error) {
     console.error('❌ Error deactivating old pages:', error.message);
@@ -203,14 +236,305 @@ async function deactivatePagesByIds(pageIds = []) {
 }
 
 /**
- * Normalize markdown to a deterministic form for hashing/storage.
- * @param {string} markdown
- * @returns {string}
+ * Keep a page confirmed unchanged by its validators: active again, not missing, content untouched.
+ * updated_at is left alone so downstream extraction does not treat the page as changed.
+ *
+ * @param {number} pageId
+ * @returns {Promise<number>} Affected rows
+ */
+async function markPageNotModified(pageId) {
+  const query = `
+    UPDATE ${HOTEL_PAGE_DATA_TABLE}
+    SET active = 1, missed_runs = 0
+    WHERE id = ?
+  `;
+  const result = await executeQuery(query, [pageId]);
+  return result.affectedRows || 0;
+}
+
+/**
+ * Load the stored raw HTML of a page (links of unchanged pages are taken from it).
+ * @param {number} pageId
+ * @returns {Promise<string|null>}
+ */
+async function getStoredRawHtml(pageId) {
+  const rows = await executeQuery(`SELECT html_raw FROM ${HOTEL_PAGE_DATA_TABLE} WHERE id = ? LIMIT 1`, [pageId]);
+  return rows?.[0]?.html_raw || null;
+}
+
+/**
+ * Active content pages of a hotel (HTML and PDF; not the site chrome document) for the post-crawl analysis,
+ * in a stable order: depth, then URL.
+ * @param {string} hotelUuid
+ * @returns {Promise<Array<{ id: number, page_url: string, depth: number, markdown: string, content_type: string|null, simhash: string|null, duplicate_of_page_id: number|null, duplicate_distance: number|null }>>}
+ */
+async function getActiveContentPages(hotelUuid) {
+  const query = `
+    SELECT id, page_url, depth, markdown, content_type, simhash, duplicate_of_page_id, duplicate_distance
+    FROM ${HOTEL_PAGE_DATA_TABLE}
+    WHERE hotel_uuid = ? AND active = 1 AND NOT (content_type <=> ?) AND markdown IS NOT NULL AND markdown != ''
+    ORDER BY depth, page_url
+  `;
+  return executeQuery(query, [hotelUuid, SITE_CHROME_CONTENT_TYPE]);
+}
+
+/**
+ * Store simhash fingerprints and near-duplicate cluster membership (only rows that changed are written).
+ * A page leaving its cluster is extracted again on its own: its content was skipped while it was a near-duplicate
+ * (see markDuplicateSkipped in aggregateScrapedController), so its llm_input_checksum is reset.
+ * @param {Array<Object>} pages - Rows from getActiveContentPages
+ * @param {Map<number, { simhash: string, duplicateOf: number|null, distance: number|null }>} clusters - From clusterNearDuplicates
+ * @returns {Promise<number>} Updated rows
+ */
+async function saveNearDuplicateClusters(pages, clusters) {
+  const query = `
+    UPDATE ${HOTEL_PAGE_DATA_TABLE}
+    SET simhash = ?, duplicate_of_page_id = ?, duplicate_distance = ?, llm_input_checksum = IF(?, NULL, llm_input_checksum)
+    WHERE id = ?
+  `;
+  let updated = 0;
+  for (const page of pages) {
+    const cluster = clusters.get(page.id);
+    if (!cluster) continue;
+    if (page.simhash === cluster.simhash
+      && (page.duplicate_of_page_id ?? null) === cluster.duplicateOf
+      && (page.duplicate_distance ?? null) === cluster.distance) continue;
+    const leftCluster = page.duplicate_of_page_id != null && cluster.duplicateOf === null;
+    await executeQuery(query, [cluster.simhash, cluster.duplicateOf, cluster.distance, leftCluster ? 1 : 0, page.id]);
+    updated += 1;
+  }
+  return updated;
+}
+
+/**
+ * Store the hotel's site chrome document (boilerplate blocks, see utils/boilerplate.js) as one hotel_page_data row.
+ * The row is extracted once like any page; an empty markdown deactivates it.
+ *
+ * @param {string} hotelUuid
+ * @param {string} markdown - Boilerplate blocks joined by blank lines ('' when none were found)
+ * @param {string|null} checksum - Checksum of the markdown (null when empty)
+ * @returns {Promise<boolean>} True if the stored document changed
+ */
+async function saveSiteChromeDocument(hotelUuid, markdown, checksum) {
+  const pageUrl = siteChromePageUrl(hotelUuid);
+  const [existing] = await executeQuery(
+    `SELECT id, checksum, active FROM ${HOTEL_PAGE_DATA_TABLE} WHERE hotel_uuid = ? AND page_url = ? LIMIT 1`,
+    [hotelUuid, pageUrl]
+  );
+
+  if (!markdown) {
+    if (existing?.active) {
+      await executeQuery(`UPDATE ${HOTEL_PAGE_DATA_TABLE} SET active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [existing.id]);
+      return true;
+    }
+    return false;
+  }
+
+  if (!existing) {
+    const insertQuery = `
+      INSERT INTO ${HOTEL_PAGE_DATA_TABLE} (hotel_uuid, page_url, checksum, markdown, depth, content_type, rendered_at, active)
+      VALUES (?, ?, ?, ?, 0, ?, CURRENT_TIMESTAMP, 1)
+    `;
+    await executeQuery(insertQuery, [hotelUuid, pageUrl, checksum, markdown, SITE_CHROME_CONTENT_TYPE]);
+    return true;
+  }
+  if (existing.checksum === checksum && existing.active) {
+    return false;
+  }
+
+  const updateQuery = `
+    UPDATE ${HOTEL_PAGE_DATA_TABLE}
+    SET markdown_prev = markdown,
+        markdown = ?,
+        checksum = ?,
+        is_checksum_updated = ?,
+        rendered_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP,
+        active = 1
+    WHERE id = ?
+  `;
+  await executeQuery(updateQuery, [markdown, checksum, existing.checksum !== checksum ? 1 : 0, existing.id]);
+  return true;
+}
+
+/**
+ * Store the outgoing links of a page in the site link graph (hotel_page_links).
+ * Targets are canonicalized web URLs; duplicates (same target, anchor text and region) are dropped.
+ * Failures are logged and never fail the page.
+ *
+ * @param {string} hotelUuid
+ * @param {string} sourceUrl - Canonical URL of the page
+ * @param {string} baseUrl - URL the links were found on (resolves relative hrefs)
+ * @param {Array<{ href: string, text: string, region: string }>} rawLinks - Links from collectRawLinksInPage
+ * @returns {Promise<number>} Stored links
+ */
+async function savePageLinks(hotelUuid, sourceUrl, baseUrl, rawLinks = []) {
+  const links = new Map();
+  for (const { href, text, region } of rawLinks) {
+    let target;
+    try {
+      target = new URL(href, baseUrl);
+    } catch {
+      continue;
+    }
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') continue;
+    const link = { target_url: canonicalizeUrl(target.toString()), anchor_text: text || '', link_region: region || 'content' };
+    links.set(`${link.target_url}\n${link.anchor_text}\n${link.link_region}`, link);
+  }
+
+  try {
+    return await PageLinksService.replaceLinksForPage(hotelUuid, sourceUrl, [...links.values()]);
+  } catch (error) {
+    console.error(`⚠️ Failed to store links of ${sourceUrl}:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Validators usable for a conditional re-crawl of a stored page.
+ * None are returned once the page is due for its periodic full re-crawl.
+ *
+ * @param {Object|null} page - Row from getExistingPages
+ * @param {number} fullRecrawlDays - Re-render pages at least this often (0 disables conditional re-crawl)
+ * @returns {{ etag: string|null, lastModified: string|null, sitemapLastmod: Date|null }|null}
+ */
+function getPageValidators(page, fullRecrawlDays) {
+  if (!page || !(fullRecrawlDays > 0)) return null;
+  const renderedAtMs = page.rendered_at ? new Date(page.rendered_at).getTime() : 0;
+  if (!renderedAtMs || Date.now() - renderedAtMs >= fullRecrawlDays * 24 * 60 * 60 * 1000) return null;
+  if (!page.etag && !page.last_modified && !page.sitemap_lastmod) return null;
+  return {
+    etag: page.etag || null,
+    lastModified: page.last_modified || null,
+    sitemapLastmod: page.sitemap_lastmod ? new Date(page.sitemap_lastmod) : null,
+  };
+}
+
+/**
+ * Whether a HEAD response confirms a stored page unchanged: a 304 to the conditional headers or, from servers that
+ * ignore them on HEAD, the stored ETag or Last-Modified sent back unchanged.
+ * @param {{ status: number, headers: Object<string, string> }} head - From headStaticPage
+ * @param {{ etag: string|null, lastModified: string|null }} validators - From getPageValidators
+ * @returns {boolean}
+ */
+function headMatchesValidators(head, validators) {
+  if (head.status === 304) return true;
+  if (head.status < 200 || head.status >= 300) return false;
+  return Boolean(
+    (validators.etag && head.headers.etag === validators.etag)
+    || (validators.lastModified && head.headers['last-modified'] === validators.lastModified)
+  );
+}
+
+/**
+ * Error rate of a crawl: failed pages among all pages reached.
+ * @param {number} pages
+ * @param {number} errors
+ * @returns {number}
+ */
+function crawlErrorRate(pages, errors) {
+  return pages + errors > 0 ? errors / (pages + errors) : 0;
+}
+
+/**
+ * @param {Array<number>} values - Non-empty
+ * @returns {number}
  */
-function normalizeMarkdown(markdown) {
-  return (markdown || '')
-    .replace(/\r\n/g, '\n')
-    .trim();
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Baseline of the deactivation safety policy: medians over the hotel's recent runs, so one degraded run
+ * does not become the new normal the next crawl is compared to.
+ * @param {Array<Object>} runs - From LogRunsService.getRecentScrapeRuns
+ * @returns {{ runIds: Array<number>, pages: number, errorRate: number }|null} Null without earlier runs
+ */
+function buildRunBaseline(runs) {
+  if (runs.length === 0) return null;
+  // Pages confirmed unchanged by validators were reached as well (as in the current crawl's total)
+  const pagesOf = (run) => (Number(run.pages_scraped) || 0) + (Number(run.pages_not_modified) || 0);
+  return {
+    runIds: runs.map((run) => run.id),
+    pages: median(runs.map(pagesOf)),
+    errorRate: median(runs.map((run) => crawlErrorRate(pagesOf(run), Number(run.crawler_errors) || 0))),
+  };
+}
+
+/**
+ * Decide whether this crawl is trustworthy enough to count missing pages against.
+ * A site outage, timeout storm or anti-bot wall shows up as an error-rate spike or a page-count drop
+ * compared to the recent runs; such crawls must not shrink the active page set.
+ *
+ * @param {Object} current - { pagesScraped, errors, stopReason } of this crawl
+ * @param {Object|null} baseline - From buildRunBaseline, if the hotel has earlier runs
+ * @param {Object} thresholds - { maxErrorRateIncrease, minPagesRatio }
+ * @returns {{ apply: boolean, reason: string, errorRate: number, baselineErrorRate: number|null }}
+ */
+function evaluateDeactivationPolicy(current, baseline, thresholds) {
+  const errorRate = crawlErrorRate(current.pagesScraped, current.errors);
+  const baselinePages = baseline?.pages || 0;
+  const baselineErrorRate = baseline ? baseline.errorRate : null;
+  const decide = (apply, reason) => ({ apply, reason, errorRate, baselineErrorRate });
+
+  if (current.stopReason) return decide(false, 'crawl_truncated');
+  if (current.pagesScraped === 0) return decide(false, 'no_pages_scraped');
+  if (errorRate > (baselineErrorRate ?? 0) + thresholds.maxErrorRateIncrease) return decide(false, 'error_rate_spike');
+  if (baselinePages > 0 && current.pagesScraped < baselinePages * thresholds.minPagesRatio) return decide(false, 'page_count_drop');
+  return decide(true, 'healthy');
+}
+
+/**
+ * Resolve one crawl budget: the hotel's own limit wins, then the global env default.
+ * Empty, zero or invalid values mean "no limit".
+ *
+ * @param {number|string|null} hotelValue - hotel_list.crawl_max_* value
+ * @param {string|undefined} envValue - Global default from the environment
+ * @returns {number} Positive limit, or Infinity
+ */
+function resolveCrawlBudget(hotelValue, envValue) {
+  for (const value of [hotelValue, envValue]) {
+    const parsed = parseInt(value ?? '', 10);
+    if (Number.isInteger(parsed) && parsed > 0) return parsed;
+  }
+  return Infinity;
+}
+
+/**
+ * Re-run the markdown conversion of an archived page (see replay_warc.js) without network access:
+ * the crawl's adapter matching, contact decoding, cleanup and checksum, applied to a static DOM.
+ *
+ * @param {Object} page
+ * @param {string} page.url - Page key of the archived page
+ * @param {Buffer|string} page.body - Archived HTML (the rendered DOM for browser pages) or PDF bytes
+ * @param {string} [page.contentType='text/html'] - text/html | application/pdf
+ * @param {number} [page.depth=1] - Crawl depth (the start page keeps its navigation)
+ * @param {Array<{ index: number, label: string, html: string }>} [page.frameSections] - Archived frame sections
+ * @param {Object} [options]
+ * @param {Object} [options.hotelCleanup] - Per-hotel overrides recorded with the run (see scrapeHotel)
+ * @param {string} [options.contactRegion] - Region for national phone numbers (defaults to the page URL's ccTLD)
+ * @returns {Promise<{ markdown: string, checksum: string, structuredData: Object|null, contactLinks: Array<Object>, adapters: Array<string> }>}
+ */
+export async function convertArchivedPage({ url, body, contentType = HTML_CONTENT_TYPE, depth = 1, frameSections = [] }, {
+  hotelCleanup = { removeSelectors: [], contentRootSelectors: [], keepPageChrome: false },
+  contactRegion = phoneRegionFromUrl(url),
+} = {}) {
+  const volatility = loadVolatilityConfig();
+  if (contentType === PDF_CONTENT_TYPE) {
+    const { markdown: markdownRaw } = await pdfToMarkdown(new Uint8Array(body), { maxPages: parseInt(process.env.CRAWLER_PDF_MAX_PAGES || '50', 10) });
+    const markdown = normalizeMarkdown(markdownRaw);
+    const checksum = computeChecksum(normalizeMarkdown(maskVolatileContent(markdown, volatility)));
+    return { markdown, checksum, structuredData: null, contactLinks: [], adapters: [] };
+  }
+
+  const staticDom = createStaticDom(Buffer.isBuffer(body) ? body.toString('utf8') : String(body || ''), url);
+  try {
+    return await convertPageDom(staticDom.evaluate, { depth, frameSections, hotelCleanup, contactRegion, volatility });
+  } finally {
+    staticDom.close();
+  }
 }
 
 /**
@@ -281,6 +605,243 @@ async function waitForDomToSettle(page, {
   .catch(() => {});
 }
 
+/**
+ * Dismiss cookie-consent dialogs and expand hidden content before capture:
+ * `details`, `aria-expanded="false"` toggles, collapsed accordions, inactive tabs and "load more" buttons.
+ *
+ * Runs in the page (expandHiddenContentInPage) within a time budget. Elements that could navigate away
+ * (links with a real href, form submit buttons) are never clicked, and every toggle is clicked at most once
+ * (marked with EXPANDED_ATTRIBUTE), so accordions that toggle cannot collapse again and the captured DOM is stable.
+ *
+ * @param {import('playwright').Page} page
+ * @param {Object} [options]
+ * @param {number} [options.budgetMs=8000] - Hard upper bound for the whole interaction phase.
+ * @param {number} [options.clickDelayMs=250] - Pause after each click so the UI can render.
+ * @returns {Promise<{ consentDismissed: number, expanded: number }>} Counts of dismissed dialogs and expanded elements.
+ */
+async function expandHiddenContent(page, {
+  budgetMs = 8000,
+  clickDelayMs = 250,
+} = {}) {
+  const result = { consentDismissed: 0, expanded: 0 };
+  if (budgetMs <= 0) return result;
+  const urlBefore = page.url().split('#')[0];
+
+  try {
+    const counts = await page.evaluate(expandHiddenContentInPage, { deadline: Date.now() + budgetMs, clickDelayMs, expandedAttribute: EXPANDED_ATTRIBUTE });
+    Object.assign(result, counts);
+  } catch (error) {
+    // Ignore interaction failures (e.g. a click destroyed the execution context); continue scraping
+  }
+
+  // A click may still have navigated (JS router); return to the page being scraped
+  if (page.url().split('#')[0] !== urlBefore) {
+    await page.goto(urlBefore, { waitUntil: 'domcontentloaded' }).catch(() => {});
+  }
+  return result;
+}
+
+
+/**
+ * Prepare a navigated page for capture: lazy-load scrolling, hidden-content expansion and DOM settle.
+ * Only used on the browser path; HTTP-first pages whose content needs any of it are rendered instead
+ * (see detectInteractiveContentInPage).
+ *
+ * @param {Object} page - Playwright page
+ * @param {Object} options
+ * @param {number} options.currentDepth - Crawl depth (the start page gets longer settle windows)
+ * @param {number} options.interactionBudgetMs - Time budget for expandHiddenContent
+ * @param {string} options.pageUrl - For log lines
+ * @param {Object} options.log - Crawlee logger
+ * @returns {Promise<{ consentDismissed: number, expanded: number }>} Interaction counts
+ */
+async function renderPageInBrowser(page, { currentDepth, interactionBudgetMs, pageUrl, log }) {
+  await page.waitForLoadState('domcontentloaded', { timeout: 30000 }).catch(() => {});
+  await page.waitForSelector('body', { timeout: 5000 }).catch(() => {});
+
+  // Bridge page console logs to Node for debug visibility
+  page.on('console', (msg) => log.info(`[page:${msg.type()}] ${msg.text()}`));
+
+  // BEGIN LAZY_SCROLL_CONTENT_LOADING
+  // Attempt to load lazy/scroll-triggered content
+  try {
+    await page.evaluate(async () => {
+      const delay = (ms) => new Promise(res => setTimeout(res, ms));
+      let lastHeight = document.body.scrollHeight;
+      for (let i = 0; i < 25; i++) {
+        window.scrollTo(0, document.body.scrollHeight);
+        await delay(1500);
+        const newHeight = document.body.scrollHeight;
+        if (newHeight === lastHeight) break;
+        lastHeight = newHeight;
+        // console.log(`Scrolled to ${newHeight} at ${i+1} of 5`);
+      }
+      window.scrollTo(0, 0);
+    });
+  } catch (error) {
+    // Ignore scroll failures; continue scraping
+  }
+  // END LAZY_SCROLL_CONTENT_LOADING
+
+  // BEGIN EXPAND_HIDDEN_CONTENT
+  // Dismiss consent overlays and open accordions/tabs/"load more" lists so their content reaches innerHTML
+  const interaction = await expandHiddenContent(page, { budgetMs: interactionBudgetMs });
+  if (interaction.expanded > 0 || interaction.consentDismissed > 0) {
+    log.info(`🪗 Expanded ${interaction.expanded} element(s), dismissed ${interaction.consentDismissed} consent dialog(s): ${pageUrl}`);
+  }
+  // END EXPAND_HIDDEN_CONTENT
+
+  // BEGIN WAIT_FOR_ASYNC_CONTENT_TO_SETTLE
+  // Allow hero/above-the-fold async content to settle on root page
+  // await page.waitForFunction(
+  //   () => false,
+  //   { timeout: currentDepth === 0 ? 10000 : 6000 } // Home page might have more async content to settle
+  // ).catch(() => {});        
+  const settleStartMs = Date.now();
+  await waitForDomToSettle(page, {
+    quietMs: currentDepth === 0 ? 6000 : 4000,
+    timeoutMs: currentDepth === 0 ? 15000 : 10000,
+    minSigIntervalMs: 400,
+  });
+  if (process.env.NODE_ENV === 'development') {
+    const waitedSecs = (Date.now() - settleStartMs) / 1000;
+    log.info(`⏳ DOM settle waited ${waitedSecs.toFixed(2)}s: ${pageUrl}`);
+  }
+  // END WAIT_FOR_ASYNC_CONTENT_TO_SETTLE
+  return interaction;
+}
+
+
+/**
+ * Clean the bodies of a page's capturable child frames (same host or allowlisted) for markdown conversion, with the
+ * parent page's cleanup: site adapter and hotel overrides, volatile regions flagged (see cleanPageForMarkdown).
+ * Must run before the parent's DOM cleanup, which removes the frame elements (and with them the frames).
+ *
+ * @param {Object} page - Playwright page
+ * @param {Array<{ index: number, src: string, label: string }>} frameElements - From readFrameElementsInPage
+ * @param {Object} options
+ * @param {string} options.pageUrl - Parent page URL (same-host check)
+ * @param {Array<string>} options.allowlist - Cross-origin hosts whose frames are captured
+ * @param {number} options.maxFrames - Frames captured per page, in document order
+ * @param {Object} options.siteAdapter - Site adapters matched on the parent page (see mergeSiteAdapters)
+ * @param {Object} options.hotelCleanup - Per-hotel overrides: removeSelectors, contentRootSelectors, keepPageChrome
+ * @param {Object} options.volatility - From loadVolatilityConfig
+ * @returns {Promise<Array<{ index: number, label: string, url: string, html: string }>>}
+ */
+async function captureFrameSections(page, frameElements, { pageUrl, allowlist, maxFrames, siteAdapter, hotelCleanup, volatility }) {
+  const elementsByIndex = new Map(frameElements.map((el) => [String(el.index), el]));
+  const candidates = [];
+  for (const frame of page.mainFrame().childFrames()) {
+    const handle = await frame.frameElement().catch(() => null);
+    const index = handle ? await handle.getAttribute(FRAME_INDEX_ATTRIBUTE).catch(() => null) : null;
+    const element = elementsByIndex.get(index);
+    // Frames added after the elements were numbered have no stable position; skip them
+    if (!element || !isFrameCapturable(frame.url(), pageUrl, allowlist)) continue;
+    candidates.push({ frame, index: element.index, label: frameSectionLabel(element.label, frame.url()) });
+  }
+
+  const sections = [];
+  for (const { frame, index, label } of candidates.sort((a, b) => a.index - b.index).slice(0, maxFrames)) {
+    try {
+      await frame.waitForLoadState('domcontentloaded', { timeout: 10000 }).catch(() => {});
+      await frame.evaluate(decodeObfuscatedContactsInPage).catch(() => null);
+      // Frames never carry the site's navigation, so clean them like a deep page
+      const html = await cleanPageForMarkdown((fn, arg) => frame.evaluate(fn, arg), { currentDepth: 1, siteAdapter, hotelCleanup, volatility });
+      if (html) sections.push({ index, label, url: frame.url(), html });
+    } catch (error) {
+      // Detached or crashed frame; the parent page is still captured
+    }
+  }
+  return sections;
+}
+
+
+/**
+ * Click the SPA navigation item with the given label and wait for the resulting state to settle.
+ * The click runs in the page (element.click()), so leftover overlays cannot intercept it.
+ *
+ * @param {Object} page - Playwright page
+ * @param {string} label - Candidate label (see collectSpaNavCandidatesInPage)
+ * @returns {Promise<boolean>} False when no such item exists on the page
+ */
+async function clickSpaNavItem(page, label) {
+  const candidates = await page.evaluate(collectSpaNavCandidatesInPage, SPA_CANDIDATE_ATTRIBUTE).catch(() => []);
+  const candidate = candidates.find((c) => c.label.toLowerCase() === label.toLowerCase());
+  if (!candidate) return false;
+  const clicked = await page.evaluate(({ attribute, index }) => {
+    const el = document.querySelector(`[${attribute}="${index}"]`);
+    if (!el) return false;
+    // Restart the settle tracking (see waitForDomToSettle) so it measures the DOM after this click
+    window.__domStability = undefined;
+    el.click();
+    return true;
+  }, { attribute: SPA_CANDIDATE_ATTRIBUTE, index: candidate.index }).catch(() => false);
+  if (!clicked) return false;
+  await waitForDomToSettle(page, { quietMs: 1500, timeoutMs: 8000, minSigIntervalMs: 300 });
+  return true;
+}
+
+
+/**
+ * Exercise the navigation items of a rendered SPA page and record the distinct states they lead to.
+ * The page is reloaded before every click, so each state is reached from the page itself.
+ * Leaves the browser page on some state of the site; only call once the page has been captured.
+ *
+ * @param {Object} page - Playwright page
+ * @param {Object} options
+ * @param {string} options.pageUrl - URL of the page to explore (usually the homepage)
+ * @param {number} options.maxStates - Items clicked at most
+ * @param {number} options.budgetMs - Time budget for the whole pass (must end well before the request handler timeout)
+ * @param {(href: string) => Promise<void>} options.onUrl - Called for each new URL as soon as it is found
+ * @param {(state: { pageKey: string, label: string }) => Promise<void>} options.onState - Called for each new DOM-only state
+ * @returns {Promise<{ urls: Array<string>, states: Array<{ pageKey: string, label: string }> }>}
+ *   urls: new URLs reached by clicking (crawled as normal pages); states: DOM-only states with synthetic page URLs
+ */
+async function discoverSpaStates(page, { pageUrl, maxStates, budgetMs, onUrl, onState }) {
+  const deadline = Date.now() + budgetMs;
+  const result = { urls: [], states: [] };
+  const reload = async () => {
+    const timeout = Math.max(1000, deadline - Date.now());
+    if (page.url() === pageUrl) await page.reload({ waitUntil: 'domcontentloaded', timeout });
+    else await page.goto(pageUrl, { waitUntil: 'domcontentloaded', timeout });
+    await waitForDomToSettle(page, { quietMs: 1500, timeoutMs: 8000, minSigIntervalMs: 300 });
+  };
+
+  try {
+    await reload();
+    const base = await page.evaluate(readSpaStateInPage);
+    const baseUrl = canonicalizeUrl(base.href);
+    const seenUrls = new Set([baseUrl]);
+    const seenSignatures = new Set([base.signature]);
+    const takenPageKeys = new Set();
+    const candidates = (await page.evaluate(collectSpaNavCandidatesInPage, SPA_CANDIDATE_ATTRIBUTE)).slice(0, maxStates);
+
+    for (const { label } of candidates) {
+      if (Date.now() > deadline) break;
+      if (!(await clickSpaNavItem(page, label))) continue;
+      const state = await page.evaluate(readSpaStateInPage).catch(() => null);
+      const stateUrl = state ? canonicalizeUrl(state.href) : '';
+      if (state && stateUrl !== baseUrl) {
+        if (!seenUrls.has(stateUrl)) {
+          seenUrls.add(stateUrl);
+          result.urls.push(state.href);
+          await onUrl(state.href);
+        }
+      } else if (state && state.textLength > 0 && !seenSignatures.has(state.signature)) {
+        seenSignatures.add(state.signature);
+        const spaState = { pageKey: spaStatePageUrl(baseUrl, label, takenPageKeys), label };
+        result.states.push(spaState);
+        await onState(spaState);
+      }
+      // Next item starts from the page again (the click may have navigated or replaced the menu)
+      if (Date.now() <= deadline) await reload();
+    }
+  } catch (error) {
+    // Keep what was discovered so far (navigation/click failures end the pass)
+  }
+  return result;
+}
+
 
 /**
  * Scrape a hotel website using PlaywrightCrawler
@@ -290,9 +851,21 @@ async function waitForDomToSettle(page, {
  * @param {string} hotelUrl - Starting URL for the hotel
  * @param {string} hotelUuid - Hotel UUID
  * @param {string} hotelName - Hotel name (for logging)
+ * @param {Object} [crawlOptions] - Per-hotel crawl options
+ * @param {string|Array<string>} [crawlOptions.allowedHosts] - Extra hosts allowed besides the start URL's registrable domain
+ * @param {number} [crawlOptions.maxPages] - Page budget (falls back to CRAWLER_MAX_PAGES)
+ * @param {number} [crawlOptions.maxMinutes] - Wall-time budget in minutes (falls back to CRAWLER_MAX_MINUTES)
+ * @param {number} [crawlOptions.maxBytes] - Stored markdown budget in bytes (falls back to CRAWLER_MAX_BYTES)
+ * @param {boolean} [crawlOptions.resume] - Continue the crawl persisted for logger.runId (after a crash or kill)
+ * @param {boolean|number|null} [crawlOptions.blockResources] - Abort images/fonts/trackers while rendering (falls back to CRAWLER_BLOCK_RESOURCES)
+ * @param {string|null} [crawlOptions.removeSelectors] - Extra CSS selectors removed before conversion, one list per line
+ * @param {string|null} [crawlOptions.contentRootSelector] - CSS selector of the main content below the start page
+ * @param {string|Array<string>|null} [crawlOptions.excludeUrlPatterns] - URL path patterns never crawled (see parseUrlPatterns)
+ * @param {boolean|number|null} [crawlOptions.keepPageChrome] - Keep header/footer/nav on pages below the start page (inside the content root, if one matches)
+ * @param {boolean|number|null} [crawlOptions.spaDiscovery] - Click homepage navigation items to discover SPA states (falls back to CRAWLER_SPA_DISCOVERY)
  * @returns {Promise<Object>} Scraping statistics
  */
-export async function scrapeHotel(logger, hotelUrl, hotelUuid, hotelName) {
+export async function scrapeHotel(logger, hotelUrl, hotelUuid, hotelName, crawlOptions = {}) {
   if (!logger?.runId) throw new Error('logger with runId is required');
   if (!hotelUrl || !hotelUrl.startsWith('http')) {
     throw new Error(`Invalid hotel URL: ${hotelUrl}`);
@@ -304,38 +877,633 @@ export async function scrapeHotel(logger, hotelUrl, hotelUuid, hotelName) {
   const maxConcurrency = parseInt(process.env.CRAWLER_MAX_CONCURRENCY || '3', 10);
   const maxRetries = parseInt(process.env.CRAWLER_MAX_RETRIES || '2', 10);
   const timeoutSecs = parseInt(process.env.CRAWLER_TIMEOUT_SECS || '60', 10);
-  const blockedExtensions = new Set(['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.ico', '.bmp', '.mp4', '.avi', '.mov', '.wmv', '.flv', '.webm', '.mkv', '.m4v', '.pdf', '.mp3', '.wav', '.ogg', '.aac', '.flac']);
+  const blockedExtensions = new Set(['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.ico', '.bmp', '.mp4', '.avi', '.mov', '.wmv', '.flv', '.webm', '.mkv', '.m4v', '.mp3', '.wav', '.ogg', '.aac', '.flac']);
+  const robotsUserAgent = process.env.CRAWLER_ROBOTS_USER_AGENT || 'VAIA-Bot';
+  const sitemapMaxUrls = parseInt(process.env.CRAWLER_SITEMAP_MAX_URLS || '1000', 10);
+  const interactionBudgetMs = parseInt(process.env.CRAWLER_INTERACTION_BUDGET_MS || '8000', 10);
+  // "browser" (default): render every page; "hybrid" (opt-in): plain HTTP crawler first, browser only for pages that
+  // need it. The static path cannot scroll or click, so pages with content behind either are rendered as well
+  // (see detectInteractiveContentInPage); content injected by scripts into an otherwise complete page is still missed.
+  const httpFirst = (process.env.CRAWLER_FETCH_MODE || 'browser').toLowerCase() === 'hybrid';
+  // Per-hotel switch (hotel_list.crawl_block_resources) in case a site breaks without its third-party resources
+  const blockResources = crawlOptions.blockResources == null
+    ? (process.env.CRAWLER_BLOCK_RESOURCES || 'true').toLowerCase() !== 'false'
+    : Boolean(Number(crawlOptions.blockResources));
+  // Traffic counters per browser page (see installResourceBlocking)
+  const pageTraffic = new WeakMap();
+  // PDF ingestion limits (set either to 0 to skip PDFs entirely)
+  const pdfMaxBytes = parseInt(process.env.CRAWLER_PDF_MAX_BYTES || String(20 * 1024 * 1024), 10);
+  const pdfMaxPages = parseInt(process.env.CRAWLER_PDF_MAX_PAGES || '50', 10);
+  const pdfEnabled = pdfMaxBytes > 0 && pdfMaxPages > 0;
+  // Volatile widgets and fragments masked before hashing, so checksums only change on real edits
+  const volatility = loadVolatilityConfig();
+  // Per-hotel cleanup overrides (hotel_list.crawl_remove_selectors, crawl_content_root, crawl_keep_page_chrome), applied with the site adapters
+  const splitSelectorLines = (value) => String(value || '').split('\n').map((line) => line.trim()).filter(Boolean);
+  const hotelCleanup = {
+    removeSelectors: splitSelectorLines(crawlOptions.removeSelectors),
+    contentRootSelectors: splitSelectorLines(crawlOptions.contentRootSelector),
+    keepPageChrome: Boolean(Number(crawlOptions.keepPageChrome)),
+  };
+  // Per-hotel URL exclusions (hotel_list.crawl_exclude_url_patterns): careers, privacy, press archives, ...
+  const excludeUrlPatterns = parseUrlPatterns(crawlOptions.excludeUrlPatterns);
+  // SPA discovery: click the homepage's navigation items to reach sections without href (per-hotel hotel_list.crawl_spa_discovery)
+  const spaDiscovery = crawlOptions.spaDiscovery == null
+    ? (process.env.CRAWLER_SPA_DISCOVERY || 'false').toLowerCase() === 'true'
+    : Boolean(Number(crawlOptions.spaDiscovery));
+  const spaDiscoveryMaxStates = parseInt(process.env.CRAWLER_SPA_DISCOVERY_MAX_STATES || '20', 10);
+  const spaDiscoveryBudgetMs = parseInt(process.env.CRAWLER_SPA_DISCOVERY_BUDGET_MS || '30000', 10);
+  // Embedded frames captured per page (0 disables); cross-origin frames only from the hotel's domains and CRAWLER_FRAME_ALLOWLIST
+  const maxFramesPerPage = parseInt(process.env.CRAWLER_MAX_FRAMES_PER_PAGE || '5', 10);
+  // Region for national phone numbers in tel: links (E.164 normalization); defaults to the hotel URL's ccTLD
+  const contactRegion = (process.env.CONTACT_DEFAULT_REGION || '').toUpperCase() || phoneRegionFromUrl(hotelUrl);
+  // WARC archive of this run's responses (optionally with full-page screenshots), for disputes and offline replay (replay_warc.js)
+  const warcArchive = (process.env.CRAWLER_WARC_ARCHIVE || 'false').toLowerCase() === 'true'
+    ? await openWarcArchive({
+      dir: process.env.CRAWLER_WARC_DIR || './warc',
+      hotelUuid,
+      runId: logger.runId,
+      info: { 'hotel-url': hotelUrl, 'hotel-name': hotelName, 'hotel-cleanup': hotelCleanup, 'contact-region': contactRegion },
+    })
+    : null;
+  const warcScreenshots = (process.env.CRAWLER_WARC_SCREENSHOTS || 'false').toLowerCase() === 'true';
+  // Site chrome: blocks on at least this share of pages (0 disables), once the hotel has enough pages
+  const boilerplateOptions = {
+    minRatio: parseFloat(process.env.CRAWLER_BOILERPLATE_MIN_RATIO || '0.6'),
+    minPages: parseInt(process.env.CRAWLER_BOILERPLATE_MIN_PAGES || '5', 10),
+  };
+  // Near-duplicates: simhash Hamming distance (of 64 bits) at or below which pages are clustered (negative disables)
+  const nearDuplicateOptions = {
+    maxDistance: parseInt(process.env.CRAWLER_NEAR_DUPLICATE_MAX_DISTANCE || '3', 10),
+    minWords: parseInt(process.env.CRAWLER_NEAR_DUPLICATE_MIN_WORDS || '50', 10),
+  };
+  // Deactivation safety policy (see evaluateDeactivationPolicy)
+  const deactivationThresholds = {
+    maxErrorRateIncrease: parseFloat(process.env.CRAWLER_DEACTIVATION_MAX_ERROR_RATE_INCREASE || '0.2'),
+    minPagesRatio: parseFloat(process.env.CRAWLER_DEACTIVATION_MIN_PAGES_RATIO || '0.7'),
+  };
+  const deactivationMissedRuns = Math.max(1, parseInt(process.env.CRAWLER_DEACTIVATION_MISSED_RUNS || '3', 10) || 1);
+  // Recent runs whose median page count and error rate this crawl is compared to
+  const deactivationBaselineRuns = Math.max(1, parseInt(process.env.CRAWLER_DEACTIVATION_BASELINE_RUNS || '5', 10) || 1);
+  // Per-hotel crawl budgets (hotel_list.crawl_max_*), falling back to the global defaults
+  const budgets = {
+    maxPages: resolveCrawlBudget(crawlOptions.maxPages, process.env.CRAWLER_MAX_PAGES),
+    maxMinutes: resolveCrawlBudget(crawlOptions.maxMinutes, process.env.CRAWLER_MAX_MINUTES),
+    maxBytes: resolveCrawlBudget(crawlOptions.maxBytes, process.env.CRAWLER_MAX_BYTES),
+  };
   const visited = new Set();
   const existingPages = await getExistingPages(hotelUuid);
-  const nonScrapedPageMap = new Map((existingPages || []).map((page) => [page.page_url, page.id]));
-  const stats = { scraped: 0, skipped: 0, errors: 0 };
+  // Keyed on canonical URLs like every lookup below; legacy rows stored under a URL variant are found too.
+  // When several rows share a canonical URL, the one already stored under it is the page; the others stay keyed
+  // on their own URL and are deactivated as missing (npm run pages:merge-duplicates removes them).
+  const knownPages = new Map();
+  const nonScrapedPageMap = new Map();
+  const isStoredCanonically = (page) => Number(page.page_url === canonicalizeUrl(page.page_url));
+  for (const page of [...(existingPages || [])].sort((a, b) => isStoredCanonically(b) - isStoredCanonically(a))) {
+    const key = canonicalizeUrl(page.page_url);
+    if (knownPages.has(key)) {
+      nonScrapedPageMap.set(page.page_url, page.id);
+      continue;
+    }
+    knownPages.set(key, page);
+    nonScrapedPageMap.set(key, page.id);
+  }
+  // Stored pages reached in this run that failed (HTTP errors other than 404/410, handler errors): they were neither
+  // refreshed nor found gone, so they are kept apart from the missing pages and their missed-run count stays as it is
+  const failedPageUrls = new Set();
+  const markPageFailed = (pageKey) => {
+    if (!nonScrapedPageMap.has(pageKey)) return;
+    nonScrapedPageMap.delete(pageKey);
+    failedPageUrls.add(pageKey);
+  };
+  // Conditional re-crawl: pages are re-rendered regardless of validators at least this often
+  const fullRecrawlDays = parseFloat(process.env.CRAWLER_FULL_RECRAWL_DAYS || '7');
+  const stats = { scraped: 0, skipped: 0, errors: 0, outOfScope: 0, disallowed: 0, urlsFromSitemap: 0, urlsFromLinks: 0, elementsExpanded: 0, framesCaptured: 0, spaUrls: 0, spaStates: 0, excluded: 0, blocked: 0, viaHttp: 0, viaBrowser: 0, httpFallbacks: 0, notModified: 0 };
   let pagesDeactivated = 0;
+  let markdownBytes = 0;
+  let stopReason = null;
+  let crawlStartedAtMs = Date.now();
+  // Domain-scope policy: stay on the start URL's registrable domain plus the hotel's allowlisted hosts
+  const scope = createCrawlScope(hotelUrl, crawlOptions.allowedHosts);
+  // Site adapters matched on any page of this hotel (logged once each)
+  const adapterSelectors = adapterSignatureSelectors();
+  const adaptersSeen = new Set();
+  const frameAllowlist = parseFrameAllowlist([...scope.domains, ...scope.allowedHosts, ...parseFrameAllowlist(process.env.CRAWLER_FRAME_ALLOWLIST)]);
+  const policySkipLogged = new Set();
+
+  // BEGIN RESUMABLE_CRAWL_STATE
+  // Request queues (browser and HTTP crawler) and crawl state live in named storages keyed by run id,
+  // so a restarted run resumes where it stopped
+  const storageName = `scrape-run-${logger.runId}`;
+  const requestQueue = await RequestQueue.open(storageName);
+  const httpRequestQueue = await RequestQueue.open(`${storageName}-http`);
+  const stateStore = await KeyValueStore.open(storageName);
+  // Set right before missing pages are deactivated, so a run restarted after that point does not count them missed twice
+  let deactivationApplied = false;
+  // Crawl time spent before the restart (reported with the stats so the run duration leaves out the downtime)
+  let resumedElapsedMs = 0;
+  if (crawlOptions.resume) {
+    const saved = await stateStore.getValue(CRAWL_STATE_KEY);
+    if (saved) {
+      saved.visited.forEach((key) => visited.add(key));
+      saved.policySkipLogged.forEach((url) => policySkipLogged.add(url));
+      saved.scopeDomains.forEach((domain) => scope.addUrl(`https://${domain}/`));
+      // Pages reached before the restart are no longer candidates for deactivation
+      const pendingPageUrls = new Set(saved.nonScrapedPageUrls);
+      Array.from(nonScrapedPageMap.keys()).forEach((url) => !pendingPageUrls.has(url) && nonScrapedPageMap.delete(url));
+      (saved.failedPageUrls || []).forEach((url) => failedPageUrls.add(url));
+      Object.assign(stats, saved.stats);
+      markdownBytes = saved.markdownBytes;
+      stopReason = saved.stopReason;
+      deactivationApplied = Boolean(saved.deactivationApplied);
+      resumedElapsedMs = saved.elapsedMs;
+      // Wall-time budget counts crawl time only, not the downtime before the restart
+      crawlStartedAtMs = Date.now() - saved.elapsedMs;
+      console.log(`⏯️  Resuming run ${logger.runId}: ${visited.size} page(s) already visited`);
+    }
+  }
+
+  /**
+   * Persist the in-memory crawl state next to the run's request queue (after every handled request).
+   */
+  const persistCrawlState = async () => {
+    await stateStore.setValue(CRAWL_STATE_KEY, {
+      visited: Array.from(visited),
+      policySkipLogged: Array.from(policySkipLogged),
+      scopeDomains: Array.from(scope.domains),
+      nonScrapedPageUrls: Array.from(nonScrapedPageMap.keys()),
+      failedPageUrls: Array.from(failedPageUrls),
+      stats,
+      markdownBytes,
+      stopReason,
+      deactivationApplied,
+      elapsedMs: Date.now() - crawlStartedAtMs,
+    }).catch((error) => console.warn(`⚠️  Could not persist crawl state: ${error?.message || error}`));
+  };
+
+  /**
+   * Wrap the request handler so the crawl state is persisted after every request, handled or failed.
+   * @param {Function} handler - Crawlee request handler
+   * @returns {Function}
+   */
+  const withPersistedCrawlState = (handler) => async (context) => {
+    try {
+      await handler(context);
+    } finally {
+      await persistCrawlState();
+    }
+  };
+  // END RESUMABLE_CRAWL_STATE
+
+  /**
+   * Record URLs rejected by the domain-scope policy (once per URL per run).
+   * @param {Array<string>} urls
+   * @param {number} depth - Depth the URLs would have been crawled at
+   */
+  const logOutOfScope = async (urls, depth) => {
+    for (const url of urls) {
+      if (policySkipLogged.has(url)) continue;
+      policySkipLogged.add(url);
+      stats.outOfScope += 1;
+      await logger.pageLog(url, {
+        page_depth: depth,
+        scrape_status: 'out_of_scope',
+        duration_ms: 0,
+        error_message: `Skipped: host outside crawl scope (${Array.from(scope.domains).join(', ')})`,
+      });
+    }
+  };
+
+  /**
+   * Record URLs rejected by the hotel's exclude patterns (once per URL per run).
+   * @param {Array<string>} urls
+   * @param {number} depth - Depth the URLs would have been crawled at
+   */
+  const logExcluded = async (urls, depth) => {
+    for (const url of urls) {
+      if (policySkipLogged.has(url)) continue;
+      policySkipLogged.add(url);
+      stats.excluded += 1;
+      await logger.pageLog(url, {
+        page_depth: depth,
+        scrape_status: 'excluded',
+        duration_ms: 0,
+        error_message: 'Skipped: matches hotel URL exclude pattern',
+      });
+    }
+  };
+
+  /**
+   * Record URLs rejected by robots.txt Disallow rules (once per URL per run).
+   * @param {string} url
+   * @param {number} [depth] - Depth the URL would have been crawled at, when known
+   */
+  const logDisallowed = async (url, depth) => {
+    if (policySkipLogged.has(url)) return;
+    policySkipLogged.add(url);
+    stats.disallowed += 1;
+    await logger.pageLog(url, {
+      ...(Number.isInteger(depth) ? { page_depth: depth } : {}),
+      scrape_status: 'robots_disallowed',
+      duration_ms: 0,
+      error_message: `Skipped: disallowed by robots.txt for user agent "${robotsUserAgent}"`,
+    });
+  };
+
+  /**
+   * True if the URL path ends with an extension we never crawl (media, archives, ...).
+   * Checks the pathname so query strings do not hide the extension.
+   * @param {string} url
+   * @returns {boolean}
+   */
+  const hasBlockedExtension = (url) => {
+    let target = String(url || '').toLowerCase();
+    try {
+      target = new URL(url).pathname.toLowerCase();
+    } catch {
+      // Fallback to simple endsWith check if URL parsing fails
+    }
+    return Array.from(blockedExtensions).some((ext) => target.endsWith(ext));
+  };
+
+  /**
+   * Route a request to its crawler: PDFs to the download path and pages to HTTP-first (hybrid mode, or any page with
+   * re-crawl validators) in the HTTP crawler, other pages straight to the browser crawler (see queueRequests).
+   * @param {Object} requestOptions - Crawlee request options
+   * @returns {Object|false} The same options, or false when PDFs are disabled
+   */
+  const routeRequest = (requestOptions) => {
+    if (isPdfUrl(requestOptions.url)) {
+      if (!pdfEnabled) return false;
+      requestOptions.label = PDF_LABEL;
+    } else if (httpFirst || getPageValidators(knownPages.get(canonicalizeUrl(requestOptions.url)), fullRecrawlDays)) {
+      requestOptions.label = HTTP_LABEL;
+    } else {
+      requestOptions.label = BROWSER_LABEL;
+    }
+    return requestOptions;
+  };
+
+  /**
+   * Add requests to the queue of the crawler their label routes them to: BROWSER to the Playwright crawler,
+   * HTTP and PDF to the HTTP crawler. Both crawlers drop robots.txt-disallowed URLs (see onSkippedRequest).
+   * @param {Array<Object>} requests - Request options from routeRequest
+   * @param {Object} [options] - crawler.addRequests options
+   * @returns {Promise<Array<Object>>} Processed requests (wasAlreadyPresent tells new URLs apart)
+   */
+  const queueRequests = async (requests, options = {}) => {
+    const browserRequests = requests.filter((request) => request.label === BROWSER_LABEL);
+    const httpRequests = requests.filter((request) => request.label !== BROWSER_LABEL);
+    const processed = [];
+    if (httpRequests.length > 0) processed.push(...(await httpCrawler.addRequests(httpRequests, options)).addedRequests);
+    if (browserRequests.length > 0) processed.push(...(await browserCrawler.addRequests(browserRequests, options)).addedRequests);
+    return processed;
+  };
+
+  /**
+   * Queue in-scope links of a page one level deeper; out-of-scope web links are logged.
+   * @param {Array<{ href: string }>} rawLinks - Links from collectRawLinksInPage
+   * @param {string} pageUrl - URL the links were found on (resolves relative hrefs)
+   * @param {number} currentDepth - Depth of that page
+   */
+  const enqueuePageLinks = async (rawLinks, pageUrl, currentDepth) => {
+    const urlsToEnqueue = rawLinks
+      .map(({ href }) => {
+        try {
+          return new URL(href, pageUrl).toString();
+        } catch {
+          return '';
+        }
+      })
+      .filter(Boolean);
+
+    const outOfScopeUrls = [];
+    const excludedUrls = [];
+    const requests = urlsToEnqueue
+      .map((url) => {
+        const lower = url.toLowerCase();
+        if (lower.startsWith('javascript:') || lower.startsWith('tel:')) return false;
+        if (!scope.isInScope(url)) {
+          // Only web pages are worth recording; mailto:/data: etc. are dropped silently
+          if (lower.startsWith('http')) outOfScopeUrls.push(url);
+          return false;
+        }
+
+        // Check blocked extensions (handle URLs with parameters by checking pathname)
+        if (hasBlockedExtension(url)) return false;
+        if (matchesUrlPattern(url, excludeUrlPatterns)) {
+          excludedUrls.push(url);
+          return false;
+        }
+
+        // Dedupe URL variants (tracking params, fragments, trailing slashes, ...) in the queue
+        const uniqueKey = canonicalizeUrl(url);
+        if (visited.has(uniqueKey)) return false;
+        if (maxDepth !== Infinity && currentDepth + 1 > maxDepth) return false;
+
+        return routeRequest({ url, uniqueKey, userData: { depth: currentDepth + 1, source: 'link' } });
+      })
+      .filter(Boolean);
+    if (requests.length > 0) {
+      const processed = await queueRequests(requests);
+      stats.urlsFromLinks += processed.filter((r) => !r.wasAlreadyPresent).length;
+    }
+    await logOutOfScope(outOfScopeUrls, currentDepth + 1);
+    await logExcluded(excludedUrls, currentDepth + 1);
+  };
+
+  /**
+   * Record a stored page confirmed unchanged by its validators, without rendering it.
+   * Its links come from the stored raw HTML so pages behind it are still discovered, and its link graph rows are
+   * rebuilt from them; without stored HTML the rows saved with the page are kept (the page did not change).
+   * @param {Object} params
+   * @param {Object} params.knownPage - Row from getExistingPages
+   * @param {string} params.pageKey - Canonical page URL
+   * @param {number} params.currentDepth
+   * @param {number} params.pageStartedAtMs
+   * @param {string} params.reason - Which validator confirmed it (http_304 | http_validators | sitemap_lastmod)
+   * @param {Object} params.log - Crawlee logger
+   */
+  const confirmNotModified = async ({ knownPage, pageKey, currentDepth, pageStartedAtMs, reason, log }) => {
+    await markPageNotModified(knownPage.id);
+    visited.add(pageKey);
+    nonScrapedPageMap.delete(canonicalizeUrl(knownPage.page_url));
+    stats.notModified += 1;
+    await logger.pageLog(pageKey, {
+      page_depth: currentDepth,
+      scrape_status: 'not_modified',
+      markdown_hash: knownPage.checksum,
+      duration_ms: Date.now() - pageStartedAtMs,
+      error_message: `Unchanged (${reason})`,
+      fetch_mode: FETCH_MODES.HTTP,
+    });
+    log.info(`♻️  Not modified (${reason}): ${pageKey}`);
+
+    const htmlRaw = await getStoredRawHtml(knownPage.id);
+    if (!htmlRaw) return;
+    const storedDom = createStaticDom(htmlRaw, pageKey);
+    try {
+      const storedAdapter = mergeSiteAdapters(matchSiteAdapters(await storedDom.evaluate(readAdapterSignalsInPage, adapterSelectors).catch(() => null)));
+      const rawLinks = filterAdapterLinks(await storedDom.evaluate(collectRawLinksInPage).catch(() => []), pageKey, storedAdapter);
+      await savePageLinks(hotelUuid, pageKey, pageKey, rawLinks);
+      await enqueuePageLinks(rawLinks, pageKey, currentDepth);
+    } finally {
+      storedDom.close();
+    }
+  };
+
+  /**
+   * Queue a page handled by the HTTP crawler for rendering in the browser crawler (ahead of other pages).
+   * @param {Object} request - Crawlee request (label HTTP)
+   * @param {Object} [userData] - Replaces the request's userData
+   */
+  const queueForRendering = async (request, userData = request.userData) => {
+    await browserCrawler.addRequests([{
+      url: request.url,
+      uniqueKey: request.uniqueKey,
+      label: BROWSER_LABEL,
+      userData,
+    }], { forefront: true });
+  };
+
+  /**
+   * Render an HTTP-first page in the browser instead, counted and logged as a fallback.
+   * @param {Object} request - Crawlee request (label HTTP)
+   * @param {string} reason - Why the static response was not usable
+   * @param {Object} log - Crawlee logger
+   */
+  const fallBackToBrowser = async (request, reason, log) => {
+    stats.httpFallbacks += 1;
+    log.info(`🖥️  Browser fallback (${reason}): ${request.url}`);
+    await queueForRendering(request, { ...request.userData, fetchFallbackReason: reason });
+  };
+
+  /**
+   * Download a PDF, convert it to markdown and store it like an HTML page.
+   * A download redirected off-site is dropped like an HTML page redirected out of scope.
+   * @param {Object} request - Crawlee request (label PDF, or a page served as application/pdf)
+   * @param {Function} sendRequest - Crawlee context sendRequest helper (the crawl's session and proxy)
+   * @param {number} currentDepth
+   * @param {number} pageStartedAtMs
+   * @param {Object} log - Crawlee logger
+   */
+  const scrapePdfDocument = async (request, sendRequest, currentDepth, pageStartedAtMs, log) => {
+    let pdfUrl = canonicalizeUrl(request.url);
+    try {
+      const { buffer, status, finalUrl } = await downloadPdf(sendRequest, pdfUrl, { maxBytes: pdfMaxBytes, timeoutMs: timeoutSecs * 1000 });
+      if (!scope.isInScope(finalUrl)) {
+        log.info(`🚫 Out of scope (PDF redirect): ${pdfUrl} → ${finalUrl}`);
+        await logOutOfScope([finalUrl], currentDepth);
+        return;
+      }
+      if (canonicalizeUrl(finalUrl) !== pdfUrl) {
+        log.info(`🔁 Redirected: ${pdfUrl} → ${finalUrl}`);
+        pdfUrl = canonicalizeUrl(finalUrl);
+        if (visited.has(pdfUrl)) {
+          stats.skipped += 1;
+          return;
+        }
+      }
+      warcArchive?.writeResponse({ url: pdfUrl, pageKey: pdfUrl, depth: currentDepth, fetchMode: FETCH_MODES.HTTP, status, headers: { 'content-type': PDF_CONTENT_TYPE }, body: buffer });
+      const { markdown: markdownRaw, totalPages, pagesConverted } = await pdfToMarkdown(buffer, { maxPages: pdfMaxPages });
+      const markdown = normalizeMarkdown(markdownRaw);
+      if (!markdown) {
+        // Typically a scanned PDF without a text layer
+        log.warning(`⚠️  No text in PDF: ${pdfUrl}`);
+        stats.errors += 1;
+        await logger.pageLog(pdfUrl, {
+          page_depth: currentDepth,
+          scrape_status: 'fail',
+          duration_ms: Date.now() - pageStartedAtMs,
+          error_message: 'No extractable text in PDF',
+        });
+        return;
+      }
+
+      const checksum = computeChecksum(normalizeMarkdown(maskVolatileContent(markdown, volatility)));
+      await saveScrapedPage(hotelUuid, pdfUrl, null, null, markdown, checksum, currentDepth, { pageId: knownPages.get(pdfUrl)?.id ?? null, contentType: PDF_CONTENT_TYPE });
+      await logger.pageLog(pdfUrl, {
+        page_depth: currentDepth,
+        scrape_status: 'success',
+        markdown_hash: checksum,
+        markdown_raw_hash: computeChecksum(markdown),
+        markdown_size: markdown.length,
+        duration_ms: Date.now() - pageStartedAtMs,
+        pdf_pages_total: totalPages,
+        pdf_pages_converted: pagesConverted,
+      });
+      if (pagesConverted < totalPages) {
+        log.warning(`✂️  PDF truncated to ${pagesConverted} of ${totalPages} pages (CRAWLER_PDF_MAX_PAGES): ${pdfUrl}`);
+      }
+      visited.add(pdfUrl);
+      if (nonScrapedPageMap.has(pdfUrl)) {
+        nonScrapedPageMap.delete(pdfUrl);
+      }
+      stats.scraped += 1;
+      markdownBytes += Buffer.byteLength(markdown, 'utf8');
+      enforceBudgets();
+      log.info(`✅ Saved PDF (${pagesConverted}/${totalPages} pages): ${pdfUrl}`);
+    } catch (error) {
+      const tooLarge = error?.code === 'PDF_TOO_LARGE';
+      if (tooLarge) {
+        stats.skipped += 1;
+      } else {
+        stats.errors += 1;
+      }
+      log.warning(`⚠️  PDF ${tooLarge ? 'skipped' : 'failed'}: ${pdfUrl} -> ${error?.message || error}`);
+      await logger.pageLog(pdfUrl, {
+        page_depth: currentDepth,
+        scrape_status: tooLarge ? 'skipped' : 'fail',
+        duration_ms: Date.now() - pageStartedAtMs,
+        error_message: error?.message || String(error),
+      });
+    }
+  };
+
+  /**
+   * Stop the crawl once any budget is used up. In-flight pages finish; queued ones are dropped.
+   * @returns {boolean} True if the crawl is (now) stopped
+   */
+  const enforceBudgets = () => {
+    if (stopReason) return true;
+    if (stats.scraped >= budgets.maxPages) {
+      stopReason = CRAWL_STOP_REASONS.MAX_PAGES;
+    } else if (markdownBytes >= budgets.maxBytes) {
+      stopReason = CRAWL_STOP_REASONS.MAX_BYTES;
+    } else if (Date.now() - crawlStartedAtMs >= budgets.maxMinutes * 60 * 1000) {
+      stopReason = CRAWL_STOP_REASONS.MAX_MINUTES;
+    }
+    if (stopReason) {
+      console.log(`⛔ Crawl budget reached (${stopReason}) for ${hotelName}; stopping`);
+      httpCrawler.stop(`Crawl budget reached: ${stopReason}`);
+      browserCrawler.stop(`Crawl budget reached: ${stopReason}`);
+    }
+    return Boolean(stopReason);
+  };
+
+  /**
+   * Record a page dropped because the crawl budget was used up while it was queued.
+   * @param {string} url
+   * @param {number} depth
+   */
+  const logBudgetSkip = async (url, depth) => {
+    stats.skipped += 1;
+    await logger.pageLog(url, {
+      page_depth: depth,
+      scrape_status: 'skipped',
+      duration_ms: 0,
+      error_message: `Skipped: crawl budget reached (${stopReason})`,
+    });
+  };
+
+  // BEGIN ROBOTS_AND_SITEMAP_DISCOVERY
+  // Crawl rules for our user agent, plus sitemap seeds (depth 1) for pages only reachable through JS menus
+  const robots = await loadRobotsTxt(hotelUrl, { userAgent: robotsUserAgent });
+  const sitemapSeeds = [];
+  if (sitemapMaxUrls > 0 && (maxDepth === Infinity || maxDepth >= 1)) {
+    const sitemapEntries = await collectSitemapUrls(hotelUrl, robots.sitemaps, { maxUrls: sitemapMaxUrls });
+    const seenSeeds = new Set([canonicalizeUrl(hotelUrl)]);
+    for (const { url, lastmod } of sitemapEntries) {
+      if (seenSeeds.has(canonicalizeUrl(url))) continue;
+      seenSeeds.add(canonicalizeUrl(url));
+      if (!scope.isInScope(url)) {
+        await logOutOfScope([url], 1);
+        continue;
+      }
+      if (hasBlockedExtension(url)) continue;
+      if (matchesUrlPattern(url, excludeUrlPatterns)) {
+        await logExcluded([url], 1);
+        continue;
+      }
+      if (!robots.isAllowed(url)) {
+        await logDisallowed(url, 1);
+        continue;
+      }
+      const seedLastmod = lastmod && !Number.isNaN(new Date(lastmod).getTime()) ? new Date(lastmod).toISOString() : null;
+      const seed = routeRequest({ url, uniqueKey: canonicalizeUrl(url), userData: { depth: 1, source: 'sitemap', lastmod: seedLastmod } });
+      if (seed) sitemapSeeds.push(seed);
+    }
+  }
+  // END ROBOTS_AND_SITEMAP_DISCOVERY
 
   console.log(`\n🕷️  Crawl-all mode: ${hotelName}`);
   console.log(`📍 Start URL: ${hotelUrl}`);
   console.log(`📏 Max depth: ${maxDepth === Infinity ? 'unlimited' : maxDepth}`);
-
-  const crawler = new PlaywrightCrawler({
-    maxConcurrency,
-    maxRequestRetries: maxRetries,
-    requestHandlerTimeoutSecs: timeoutSecs,
-    launchContext: { launchOptions: { headless: true } },
-
-    async requestHandler({ page, request, response, enqueueLinks, log }) {
+  console.log(`🌐 Scope: ${[...scope.domains, ...scope.allowedHosts].join(', ')}`);
+  console.log(`🤖 robots.txt: ${robots.found ? robots.robotsUrl : 'not found'}${robots.crawlDelaySecs ? ` (crawl-delay ${robots.crawlDelaySecs}s)` : ''}`);
+  console.log(`🗺️  Sitemap seeds: ${sitemapSeeds.length}`);
+  const formatBudget = (value, unit) => (value === Infinity ? 'unlimited' : `${value}${unit}`);
+  console.log(`🧹 Resource blocking: ${blockResources ? 'on' : 'off'}`);
+  if (excludeUrlPatterns.length > 0 || hotelCleanup.removeSelectors.length > 0 || hotelCleanup.contentRootSelectors.length > 0 || hotelCleanup.keepPageChrome) {
+    console.log(`🎛️  Hotel overrides: ${excludeUrlPatterns.length} exclude pattern(s), ${hotelCleanup.removeSelectors.length} remove selector(s), content root ${hotelCleanup.contentRootSelectors.length > 0 ? 'set' : 'default'}, page chrome ${hotelCleanup.keepPageChrome ? 'kept' : 'removed below start page'}`);
+  }
+  if (hotelCleanup.keepPageChrome && hotelCleanup.contentRootSelectors.length > 0) {
+    console.warn('⚠️  Hotel overrides set both a content root and keep page chrome: below the start page only the page chrome inside the content root is kept');
+  }
+  if (spaDiscovery) console.log(`🧭 SPA discovery: on (up to ${spaDiscoveryMaxStates} item(s))`);
+  console.log(`⚡ Fetch mode: ${httpFirst ? 'hybrid (HTTP first, browser fallback)' : 'browser'}`);
+  console.log(`💰 Budgets: ${formatBudget(budgets.maxPages, ' pages')}, ${formatBudget(budgets.maxMinutes, ' min')}, ${formatBudget(budgets.maxBytes, ' bytes')}`);
+
+  // One handler for both crawlers: HTTP and PDF requests come from the HTTP crawler (no browser, so `page` and
+  // `response` are undefined), BROWSER requests from the Playwright crawler
+  const crawlHandlers = {
+    requestHandler: withPersistedCrawlState(async ({ page, request, response, sendRequest, log }) => {
       const currentDepth = request.userData?.depth ?? 0;
-      const pageUrl = response?.url() || request.url;
       const pageStartedAtMs = Date.now();
+      // DOM-only SPA state (see SPA_ROUTE_DISCOVERY): request.url is the page it is reached from
+      const spaState = request.userData?.spaState || null;
+      // Stored pages carry validators (ETag, Last-Modified, sitemap <lastmod>) for a conditional re-crawl
+      const knownPage = knownPages.get(spaState ? spaState.pageKey : canonicalizeUrl(request.url)) || null;
+      const validators = request.label === HTTP_LABEL ? getPageValidators(knownPage, fullRecrawlDays) : null;
+      // Browser mode only checks stored pages over HTTP; a changed page is rendered in the browser crawler
+      const validatorCheckOnly = request.label === HTTP_LABEL && !httpFirst;
+      // A sitemap <lastmod> no newer than the stored one is only trusted once the server confirms the page: pages with
+      // ETag/Last-Modified get a conditional request (304), others a HEAD that must answer 2xx at the same URL
+      // (a redirect or move out of scope is then detected by the full fetch)
+      const sitemapUnchanged = Boolean(
+        validators?.sitemapLastmod && request.userData?.lastmod && new Date(request.userData.lastmod) <= validators.sitemapLastmod
+      );
+      let unchangedBySitemap = false;
+      let unchangedByHead = null;
+      if (validatorCheckOnly || (sitemapUnchanged && !validators.etag && !validators.lastModified)) {
+        // In browser mode the conditional request is a HEAD too: the body would be thrown away for the render
+        const head = await headStaticPage(sendRequest, request.url, {
+          timeoutMs: timeoutSecs * 1000,
+          validators: validatorCheckOnly ? validators : null,
+        });
+        const sameUrl = !head.error && canonicalizeUrl(head.url) === canonicalizeUrl(request.url);
+        if (validatorCheckOnly && validators && sameUrl && headMatchesValidators(head, validators)) {
+          unchangedByHead = head.status === 304 ? 'http_304' : 'http_validators';
+        }
+        unchangedBySitemap = !unchangedByHead && sitemapUnchanged && !validators.etag && !validators.lastModified
+          && sameUrl && head.status >= 200 && head.status < 300;
+      }
+      // HTTP-first pages are fetched without navigating the browser; see HTTP_FIRST_FALLBACK below
+      const staticPage = request.label === HTTP_LABEL && !validatorCheckOnly && !unchangedBySitemap
+        ? await fetchStaticPage(sendRequest, request.url, { timeoutMs: timeoutSecs * 1000, validators })
+        : null;
+      const pageUrl = staticPage?.url || response?.url() || request.url;
+      // Identity of the page in visited/hotel_page_data/page logs; refined by <link rel="canonical"> below
+      let pageKey = spaState ? spaState.pageKey : canonicalizeUrl(pageUrl);
       if (pageUrl !== request.url) {
         log.info(`🔁 Redirected: ${request.url} → ${pageUrl}`);
+        // The start URL may redirect to the property's canonical domain; widen the scope to it
+        if (currentDepth === 0) {
+          scope.addUrl(pageUrl);
+        }
+      }
+      if (!scope.isInScope(pageUrl)) {
+        log.info(`🚫 Out of scope (redirect): ${pageUrl}`);
+        await logOutOfScope([pageUrl], currentDepth);
+        return;
       }
 
-      if (visited.has(pageUrl)) {
+      if (visited.has(pageKey)) {
         stats.skipped += 1;
         return;
       }
       if (maxDepth !== Infinity && currentDepth > maxDepth) {
         stats.skipped += 1;
-        await logger.pageLog(pageUrl, {
+        await logger.pageLog(pageKey, {
           page_depth: currentDepth,
           scrape_status: 'skipped',
           duration_ms: Date.now() - pageStartedAtMs,
@@ -344,325 +1512,555 @@ export async function scrapeHotel(logger, hotelUrl, hotelUuid, hotelName) {
         return;
       }
 
-      try {
-        await page.waitForLoadState('domcontentloaded', { timeout: 30000 }).catch(() => {});
-        await page.waitForSelector('body', { timeout: 5000 }).catch(() => {});
+      if (enforceBudgets()) {
+        await logBudgetSkip(pageKey, currentDepth);
+        return;
+      }
+
+      // BEGIN CONDITIONAL_RECRAWL
+      if (knownPage && (unchangedBySitemap || unchangedByHead || staticPage?.status === 304)) {
+        await confirmNotModified({
+          knownPage,
+          pageKey,
+          currentDepth,
+          pageStartedAtMs,
+          reason: unchangedBySitemap ? 'sitemap_lastmod' : unchangedByHead || 'http_304',
+          log,
+        });
+        return;
+      }
+      // The page changed since it was stored: render it like any browser-mode page (not an HTTP fallback)
+      if (validatorCheckOnly) {
+        log.info(`🔄 Changed since last crawl: ${request.url}`);
+        await queueForRendering(request);
+        return;
+      }
+      // END CONDITIONAL_RECRAWL
 
-        // Bridge page console logs to Node for debug visibility
-        page.on('console', (msg) => log.info(`[page:${msg.type()}] ${msg.text()}`));
+      if (request.label === PDF_LABEL) {
+        await scrapePdfDocument(request, sendRequest, currentDepth, pageStartedAtMs, log);
+        return;
+      }
+      // PDFs behind URLs without a .pdf extension (download scripts, CMS media routes)
+      const responseContentType = String((staticPage ? staticPage.contentType : response?.headers()['content-type']) || '').toLowerCase();
+      if (pdfEnabled && responseContentType.includes(PDF_CONTENT_TYPE)) {
+        await scrapePdfDocument(request, sendRequest, currentDepth, pageStartedAtMs, log);
+        return;
+      }
 
-        // BEGIN LAZY_SCROLL_CONTENT_LOADING
-        // Attempt to load lazy/scroll-triggered content
-        try {
-          await page.evaluate(async () => {
-            const delay = (ms) => new Promise(res => setTimeout(res, ms));
-            let lastHeight = document.body.scrollHeight;
-            for (let i = 0; i < 25; i++) {
-              window.scrollTo(0, document.body.scrollHeight);
-              await delay(1500);
-              const newHeight = document.body.scrollHeight;
-              if (newHeight === lastHeight) break;
-              lastHeight = newHeight;
-              // console.log(`Scrolled to ${newHeight} at ${i+1} of 5`);
-            }
-            window.scrollTo(0, 0);
-          });
-        } catch (error) {
-          // Ignore scroll failures; continue scraping
+      // Which path handled the page, recorded on every page log below
+      const fetchLog = {
+        fetch_mode: staticPage ? FETCH_MODES.HTTP : FETCH_MODES.BROWSER,
+        fetch_fallback_reason: request.userData?.fetchFallbackReason || null,
+      };
+      let staticDom = null;
+      try {
+        // Same DOM steps on both paths: page.evaluate in the browser, JSDOM for static HTML
+        let evaluate;
+        let elementsExpanded = 0;
+        let navigationTiming = null;
+        if (staticPage) {
+          if (staticPage.error || (staticPage.contentType && !staticPage.contentType.includes('html'))) {
+            await fallBackToBrowser(request, staticPage.error ? 'http_error' : 'non_html_content', log);
+            return;
+          }
+          staticDom = createStaticDom(staticPage.html, pageUrl);
+          evaluate = staticDom.evaluate;
+        } else {
+          const interaction = await renderPageInBrowser(page, { currentDepth, interactionBudgetMs, pageUrl, log });
+          navigationTiming = await page.evaluate(() => {
+            const nav = performance.getEntriesByType('navigation')[0];
+            return nav ? { domContentLoadedMs: Math.round(nav.domContentLoadedEventEnd), loadMs: Math.round(nav.loadEventEnd) } : null;
+          }).catch(() => null);
+          elementsExpanded = interaction.expanded;
+          stats.elementsExpanded += interaction.expanded;
+          evaluate = (fn, arg) => page.evaluate(fn, arg);
+          if (spaState && !(await clickSpaNavItem(page, spaState.label))) {
+            log.warning(`⚠️  SPA state not reachable ("${spaState.label}"): ${pageKey}`);
+            stats.errors += 1;
+            await logger.pageLog(pageKey, {
+              page_depth: currentDepth,
+              scrape_status: 'fail',
+              duration_ms: Date.now() - pageStartedAtMs,
+              error_message: `SPA navigation item "${spaState.label}" not found`,
+              ...fetchLog,
+            });
+            return;
+          }
         }
-        // END LAZY_SCROLL_CONTENT_LOADING
-
-        // BEGIN WAIT_FOR_ASYNC_CONTENT_TO_SETTLE
-        // Allow hero/above-the-fold async content to settle on root page
-        // await page.waitForFunction(
-        //   () => false,
-        //   { timeout: currentDepth === 0 ? 10000 : 6000 } // Home page might have more async content to settle
-        // ).catch(() => {});        
-        const settleStartMs = Date.now();
-        await waitForDomToSettle(page, {
-          quietMs: currentDepth === 0 ? 6000 : 4000,
-          timeoutMs: currentDepth === 0 ? 15000 : 10000,
-          minSigIntervalMs: 400,
+
+        // BEGIN MATCH_SITE_ADAPTERS
+        // Platform-specific cleanup selectors, content roots, interaction steps and link filters (see adapters/)
+        const siteAdapter = mergeSiteAdapters(matchSiteAdapters(await evaluate(readAdapterSignalsInPage, adapterSelectors).catch(() => null)));
+        siteAdapter.names.filter((name) => !adaptersSeen.has(name)).forEach((name) => {
+          adaptersSeen.add(name);
+          log.info(`🔌 Site adapter "${name}" matched: ${pageUrl}`);
         });
-        if (process.env.NODE_ENV === 'development') {
-          const waitedSecs = (Date.now() - settleStartMs) / 1000;
-          log.info(`⏳ DOM settle waited ${waitedSecs.toFixed(2)}s: ${pageUrl}`);
+        if (!staticPage && siteAdapter.interactionSelectors.length > 0) {
+          const clicks = await page.evaluate(runAdapterInteractionsInPage, { selectors: siteAdapter.interactionSelectors, maxClicks: 5 }).catch(() => 0);
+          if (clicks > 0) await waitForDomToSettle(page, { quietMs: 1500, timeoutMs: 8000, minSigIntervalMs: 300 });
+        }
+        // END MATCH_SITE_ADAPTERS
+
+        const status = staticPage ? staticPage.status : response?.status();
+        const rawTitle = staticPage ? staticDom.title : await page.title().catch(() => '');
+        const title = (rawTitle || '').toLowerCase();
+        const signals = await evaluate(readPageSignalsInPage).catch(() => ({}));
+
+        // Bot walls, challenges, parked domains and soft 404s must not overwrite stored content.
+        const classification = classifyPage({
+          status: status || 200,
+          headers: (staticPage ? staticPage.headers : response?.headers()) || {},
+          title: rawTitle,
+          ...signals,
+        });
+
+        // BEGIN HTTP_FIRST_FALLBACK
+        // Render in the browser when the static response is refused or the content needs JavaScript, scrolling or clicks
+        if (staticPage) {
+          // Frames are only captured through the browser
+          const hasCapturableFrames = maxFramesPerPage > 0
+            && (await evaluate(readFrameElementsInPage, FRAME_INDEX_ATTRIBUTE).catch(() => []))
+              .some((el) => isFrameCapturable(el.src, pageUrl, frameAllowlist));
+          const fallbackReason = HTTP_FALLBACK_STATUSES.has(status)
+            ? `http_status_${status}`
+            : errorClassForVerdict(classification.verdict) === ERROR_CLASS.BOT_PROTECTION
+              ? classification.verdict
+              : detectJsRenderedPage({ url: pageUrl, html: staticPage.html, text: signals.text, linkCount: signals.linkCount })
+                || (await evaluate(detectInteractiveContentInPage).catch(() => null))
+                || (hasCapturableFrames ? 'embedded_frames' : null)
+                || (spaDiscovery && currentDepth === 0 ? 'spa_discovery' : null);
+          if (fallbackReason) {
+            await fallBackToBrowser(request, fallbackReason, log);
+            return;
+          }
+        }
+        // END HTTP_FIRST_FALLBACK
+
+        // BEGIN DETECT_NON_CONTENT_PAGES
+        // Behind a bot wall the page still exists, so it keeps its row active; a soft 404 counts as missing.
+        if (classification.verdict !== PAGE_VERDICTS.OK) {
+          log.warning(`🧱 Not content (${classification.verdict}: ${classification.reason}): ${pageUrl}`);
+          stats.errors += 1;
+          stats.blocked += 1;
+          await logger.pageLog(pageKey, {
+            page_depth: currentDepth,
+            scrape_status: classification.verdict,
+            error_class: errorClassForVerdict(classification.verdict),
+            duration_ms: Date.now() - pageStartedAtMs,
+            error_message: `Not stored: ${classification.reason}`,
+            ...fetchLog,
+          });
+          visited.add(pageKey);
+          if (errorClassForVerdict(classification.verdict) === ERROR_CLASS.BOT_PROTECTION) {
+            nonScrapedPageMap.delete(pageKey);
+          }
+          return;
         }
-        // END WAIT_FOR_ASYNC_CONTENT_TO_SETTLE
+        // END DETECT_NON_CONTENT_PAGES
 
-        const status = response?.status();
-        const title = (await page.title().catch(() => '') || '').toLowerCase();
         if (status && status >= 400) {
           log.warning(`⚠️  Skipping error page (status ${status}): ${pageUrl}`);
           stats.errors += 1;
-          await logger.pageLog(pageUrl, {
+          await logger.pageLog(pageKey, {
             page_depth: currentDepth,
             scrape_status: 'fail',
             duration_ms: Date.now() - pageStartedAtMs,
             error_message: `HTTP status ${status}`,
+            ...fetchLog,
           });
+          // 404 and 410 say the page is gone; other statuses say nothing about it
+          if (status !== 404 && status !== 410) markPageFailed(pageKey);
           return;
         }
         if (title.includes('404') || title.includes('500')) {
           log.warning(`⚠️  Skipping page due to error code intitle (${title}): ${pageUrl}`);
           stats.errors += 1;
-          await logger.pageLog(pageUrl, {
+          await logger.pageLog(pageKey, {
             page_depth: currentDepth,
             scrape_status: 'fail',
             duration_ms: Date.now() - pageStartedAtMs,
             error_message: `Page title indicates server/client error (${title})`,
+            ...fetchLog,
           });
+          if (!title.includes('404')) markPageFailed(pageKey);
           return;
         }
 
         // BEGIN CLEAN_PAGE_DOM_FOR_MARKDWON_CONVERSION_FRIENDLY
         // Capture raw HTML before cleaning (for debugging)
-        const htmlRaw = await page.content();
+        const htmlRaw = staticPage ? staticPage.html : await page.content();
         
-        // BEGIN GET_RAW_LINKS_IN_PAGE
-        // Capture raw links before DOM mutations (for enqueue after save), skipping obvious ads
-        const rawLinks = await page.evaluate(() => {
-          const isAd = (el) => {
-            const id = (el.id || '').toLowerCase();
-            const cls = (el.className || '').toLowerCase();
-            if (id.includes('ad') || id.includes('ads') || id.includes('advertisement')) return true;
-            if (cls.includes(' ad') || cls.includes('ads') || cls.includes('advertisement')) return true;
-            if (el.closest("[id*='ad'], .ad, .ads, .advertisement")) return true;
-            return false;
-          };
-          const blockedHosts = ['google.com', 'bing.com', 'yahoo.com', 'instagram.com'];
-          return Array.from(document.querySelectorAll('a[href]'))
-            .filter((a) => !isAd(a))
-            .map((a) => a.getAttribute('href') || '')
-            .filter(Boolean)
-            .filter((href) => {
-              try {
-                const url = new URL(href, location.href);
-                return !blockedHosts.some((host) => url.hostname.includes(host));
-              } catch {
-                return true;
-              }
-            });
-        }).catch(() => []);
-        // END GET_RAW_LINKS_IN_PAGE
-
-        /* ⭐ Deterministic DOM cleanup */
-        const bodyHtml = await page.evaluate((currentDepth) => {
-          const root = document.body || document.documentElement;
-          if (!root) return '';
-
-          // Remove unstable elements
-          document.querySelectorAll('script, style, noscript, iframe, frame').forEach(e => e.remove());
-          document.querySelectorAll("[id*='ad'], .ad, .ads, .advertisement").forEach(e => e.remove());
-          document.querySelectorAll('svg, figure').forEach(e => e.remove());
-
-          // Remove Here Map tags (https://www.here.com/)
-          document.querySelectorAll('.H_imprint [class^="H_"], .H_ui [class^="H_"]').forEach(e => e.remove());
-
-          // Strip all inline styles for consistency
-          document.querySelectorAll('[style]').forEach(el => el.removeAttribute('style'));
-
-          // Remove navigational chrome for markdown friendliness (skip on depth 0)
-          if (currentDepth > 0) {
-            document.querySelectorAll(
-              'nav, header, footer, breadcrumb, [class*="nav"], [id*="nav"], [role*="nav"], [class*="header"], [id*="header"], [role*="header"], [class*="footer"], [id*="footer"], [role*="footer"], [class*="breadcrumb"], [id*="breadcrumb"], [role*="breadcrumb"]'
-            ).forEach(el => el.remove());
-          }
+        // Respect <link rel="canonical"> so print/campaign variants fold into the canonical page
+        const canonicalHref = await evaluate(readCanonicalHrefInPage).catch(() => null);
+        pageKey = spaState ? spaState.pageKey : resolveCanonicalPageUrl(pageUrl, canonicalHref);
+        if (pageKey !== canonicalizeUrl(pageUrl) && visited.has(pageKey)) {
+          log.info(`⏭️  Duplicate of canonical ${pageKey}: ${pageUrl}`);
+          stats.skipped += 1;
+          await logger.pageLog(canonicalizeUrl(pageUrl), {
+            page_depth: currentDepth,
+            scrape_status: 'duplicate',
+            duration_ms: Date.now() - pageStartedAtMs,
+            error_message: `Skipped: canonical page ${pageKey} already scraped`,
+            ...fetchLog,
+          });
+          return;
+        }
 
-          // Remove common reCAPTCHA containers
-          document.querySelectorAll(
-            '.g-recaptcha, .recaptcha, .grecaptcha, [class*="recaptcha"], [id*="recaptcha"], [data-sitekey]'
-          ).forEach(el => el.remove());
-
-          // Remove Instagram feed/embed widgets (reduce DOM noise)
-          document.querySelectorAll(
-            '.instagram-media, blockquote.instagram-media, .eapps-instagram-feed, [class*="instagram"], [id*="instagram"], [data-instagram]'
-          ).forEach(el => el.remove());
-
-          // Remove Facebook feed/embed widgets
-          document.querySelectorAll(
-            '.fb-page, .fb-post, .fb-like, .eapps-facebook-feed, [class*="facebook"], [id*="facebook"], [data-href*="facebook.com"]'
-          ).forEach(el => el.remove());
-
-          // Remove Twitter/X embed widgets
-          document.querySelectorAll(
-            'blockquote.twitter-tweet, .embed-tweet, .eapps-twitter-feed, [class*="twitter"], [id*="twitter"], [data-dnt*="twitter"]'
-          ).forEach(el => el.remove());
-
-          // Remove Pinterest embed widgets
-          document.querySelectorAll(
-            '[data-pin-do], [data-pin-build], .eapps-pinterest-feed, [class*="pinterest"], [id*="pinterest"], .pin-it-button'
-          ).forEach(el => el.remove());
-
-          // Resolve relative URLs deterministically
-          const toAbsolute = (url) => {
-            try {
-              return new URL(url, location.href).href;
-            } catch {
-              return url;
+        // BEGIN ARCHIVE_PAGE_TO_WARC
+        // The response as received; for browser pages also the rendered DOM the conversion starts from (replayed offline)
+        if (warcArchive) {
+          const archivedPage = { url: pageUrl, pageKey, depth: currentDepth, fetchMode: fetchLog.fetch_mode };
+          const responseBody = staticPage ? staticPage.html : await response?.body().catch(() => null);
+          const responseRecordId = warcArchive.writeResponse({
+            ...archivedPage,
+            status: status || 200,
+            headers: (staticPage ? staticPage.headers : response?.headers()) || {},
+            body: responseBody ?? htmlRaw,
+          });
+          if (!staticPage) {
+            warcArchive.writeConversion({ ...archivedPage, html: htmlRaw, refersTo: responseRecordId });
+            if (warcScreenshots) {
+              const png = await page.screenshot({ fullPage: true, type: 'png', timeout: WARC_SCREENSHOT_TIMEOUT_MS }).catch(() => null);
+              if (png) warcArchive.writeScreenshot({ ...archivedPage, png });
             }
-          };
+          }
+        }
+        // END ARCHIVE_PAGE_TO_WARC
+
+        // BEGIN DECODE_OBFUSCATED_CONTACTS_IN_PAGE
+        // Cloudflare/Joomla/TYPO3 email protection and similar schemes need their scripts, which the cleanup strips;
+        // decode them first so contact links, raw links and the markdown see the real addresses
+        const decodedContacts = await evaluate(decodeObfuscatedContactsInPage).catch(() => ({}));
+        const decodedContactCount = Object.values(decodedContacts).reduce((sum, count) => sum + count, 0);
+        if (decodedContactCount > 0) {
+          log.info(`🔓 Decoded ${decodedContactCount} obfuscated contact(s): ${pageKey}`);
+        }
+        // END DECODE_OBFUSCATED_CONTACTS_IN_PAGE
 
-          document.querySelectorAll('a[href]').forEach(a => {
-            const href = a.getAttribute('href');
-            if (href) a.setAttribute('href', toAbsolute(href));
-          });
+        // BEGIN GET_STRUCTURED_DATA_IN_PAGE
+        // Capture schema.org JSON-LD, microdata and OpenGraph before the cleanup strips <script> and <meta>
+        const structuredData = await evaluate(collectStructuredDataInPage).catch(() => null);
+        // END GET_STRUCTURED_DATA_IN_PAGE
 
-          document.querySelectorAll('img[src]').forEach(img => {
-            const src = img.getAttribute('src');
-            if (src) img.setAttribute('src', toAbsolute(src));
-          });
+        // BEGIN GET_CONTACT_LINKS_IN_PAGE
+        // tel:/mailto:/WhatsApp/social links lose their targets in the markdown and social widgets are removed by the cleanup
+        const contactLinks = normalizeContactLinks(await evaluate(collectContactLinksInPage).catch(() => []), { defaultRegion: contactRegion });
+        // END GET_CONTACT_LINKS_IN_PAGE
 
-          // Remove only structurally empty containers
-          document.querySelectorAll('p, div, span').forEach(el => {
-            if (
-              el.children.length === 0 &&
-              el.textContent.replace(/\s+/g, '').length === 0
-            ) {
-              el.remove();
-            }
-          });
+        // BEGIN GET_RAW_LINKS_IN_PAGE
+        // Capture raw links before DOM mutations (for enqueue and the link graph after save), skipping obvious ads
+        // and links excluded by the site adapters
+        const rawLinks = filterAdapterLinks(await evaluate(collectRawLinksInPage).catch(() => []), pageUrl, siteAdapter);
+        // END GET_RAW_LINKS_IN_PAGE
 
-          // Normalize adjacent text nodes for deterministic Turndown output
-          (function normalizeTextNodes(node) {
-            // Safety guards
-            if (!node || node.nodeType !== Node.ELEMENT_NODE) return;
-          
-            // Do not normalize inside code blocks (preserve formatting)
-            const tag = node.tagName && node.tagName.toLowerCase();
-            if (tag === 'pre' || tag === 'code') return;
-          
-            let prevTextNode = null;
-          
-            node.childNodes.forEach(child => {
-              if (child.nodeType === Node.TEXT_NODE) {
-                if (prevTextNode) {
-                  // Merge adjacent text nodes
-                  prevTextNode.textContent += child.textContent;
-                  child.remove();
-                } else {
-                  prevTextNode = child;
-                }
-              } else {
-                // Reset when encountering a non-text node
-                prevTextNode = null;
-                normalizeTextNodes(child);
-              }
+        // BEGIN CAPTURE_FRAMES_IN_PAGE
+        // Menus, calendars and tour descriptions embedded as same-host or allowlisted frames; the cleanup removes the frames
+        let frameSections = [];
+        if (!staticPage && maxFramesPerPage > 0) {
+          const frameElements = await evaluate(readFrameElementsInPage, FRAME_INDEX_ATTRIBUTE).catch(() => []);
+          if (frameElements.length > 0) {
+            frameSections = await captureFrameSections(page, frameElements, {
+              pageUrl: pageKey,
+              allowlist: frameAllowlist,
+              maxFrames: maxFramesPerPage,
+              siteAdapter,
+              hotelCleanup,
+              volatility,
             });
-          })(root);
+            stats.framesCaptured += frameSections.length;
+            frameSections.forEach((section) => warcArchive?.writeFrameSection({ ...section, pageKey, depth: currentDepth }));
+          }
+        }
+        // END CAPTURE_FRAMES_IN_PAGE
 
-          return root.innerHTML || '';
-        }, currentDepth); // Pass currentDepth to the evaluate function
+        /* ⭐ Deterministic DOM cleanup (volatile regions flagged first) */
+        const html = await cleanPageForMarkdown(evaluate, { currentDepth, siteAdapter, hotelCleanup, volatility });
         // END CLEAN_PAGE_DOM_FOR_MARKDWON_CONVERSION_FRIENDLY
-
-        // remove whitespace between tags
-        let html = bodyHtml ? bodyHtml.replace(/>\s+</g, '><').trim() : '';
         
         if (!html || html.length === 0 || html.trim().length === 0) {
           log.warning(`⚠️  Empty HTML: ${pageUrl}`);
           stats.errors += 1;
-          await logger.pageLog(pageUrl, {
+          await logger.pageLog(pageKey, {
             page_depth: currentDepth,
             scrape_status: 'fail',
             duration_ms: Date.now() - pageStartedAtMs,
             error_message: 'Empty HTML after cleanup',
+            ...fetchLog,
           });
           return;
         }
 
         // ⭐ Deterministic Markdown + checksum
-        const markdownRaw = turndown.turndown(html);
-        const markdown = normalizeMarkdown(markdownRaw);
-        const checksum = computeChecksum(markdown);
-        await saveScrapedPage(hotelUuid, pageUrl, html, htmlRaw, markdown, checksum, currentDepth);
-        await logger.pageLog(pageUrl, {
+        const { markdown, checksum } = convertPageToMarkdown(html, { frameSections, contactLinks, structuredData, volatility });
+        const responseHeaders = (staticPage ? staticPage.headers : response?.headers()) || {};
+        await saveScrapedPage(hotelUuid, pageKey, html, htmlRaw, markdown, checksum, currentDepth, {
+          pageId: knownPages.get(pageKey)?.id ?? null,
+          structuredData,
+          contactLinks,
+          etag: responseHeaders.etag || null,
+          lastModified: responseHeaders['last-modified'] || null,
+          sitemapLastmod: request.userData?.lastmod || null,
+        });
+        await logger.pageLog(pageKey, {
           page_depth: currentDepth,
           scrape_status: 'success',
           markdown_hash: checksum,
+          markdown_raw_hash: computeChecksum(markdown),
           markdown_size: markdown.length,
+          elements_expanded: elementsExpanded,
+          ...(staticPage
+            ? { bytes_transferred: Buffer.byteLength(staticPage.html, 'utf8'), requests_total: 1, requests_blocked: 0 }
+            : {
+              bytes_transferred: pageTraffic.get(page)?.bytes ?? null,
+              requests_total: pageTraffic.get(page)?.requests ?? null,
+              requests_blocked: pageTraffic.get(page)?.blocked ?? null,
+              dom_content_loaded_ms: navigationTiming?.domContentLoadedMs ?? null,
+              load_ms: navigationTiming?.loadMs ?? null,
+            }),
           duration_ms: Date.now() - pageStartedAtMs,
           error_message: '',
+          ...fetchLog,
         });
-        visited.add(pageUrl);
-        if (nonScrapedPageMap.has(pageUrl)) {
-          nonScrapedPageMap.delete(pageUrl);
+        visited.add(pageKey);
+        if (nonScrapedPageMap.has(pageKey)) {
+          nonScrapedPageMap.delete(pageKey);
         }
         stats.scraped += 1;
-        log.info(`✅ Saved: ${pageUrl}`);
-
-        const urlsToEnqueue = rawLinks
-          .map((href) => {
-            try {
-              return new URL(href, pageUrl).toString();
-            } catch {
-              return '';
-            }
-          })
-          .filter(Boolean);
-
-        if (urlsToEnqueue.length > 0) {
-          await enqueueLinks({
-            urls: urlsToEnqueue,
-            transformRequestFunction: (newReq) => {
-              if (!newReq?.url) return false;
-
-              const lower = newReq.url.toLowerCase();
-              if (lower.startsWith('javascript:') || lower.startsWith('tel:')) return false;
-              
-              // Check blocked extensions (handle URLs with parameters by checking pathname)
-              try {
-                const urlObj = new URL(newReq.url);
-                const pathname = urlObj.pathname.toLowerCase();
-                if (Array.from(blockedExtensions).some(ext => pathname.endsWith(ext))) return false;
-              } catch {
-                // Fallback to simple endsWith check if URL parsing fails
-                if (Array.from(blockedExtensions).some(ext => lower.endsWith(ext))) return false;
-              }
-              
-              if (visited.has(newReq.url)) return false;
-              if (maxDepth !== Infinity && currentDepth + 1 > maxDepth) return false;
-
-              newReq.userData = { depth: currentDepth + 1 };
-              return newReq;
-            },
+        stats[staticPage ? 'viaHttp' : 'viaBrowser'] += 1;
+        markdownBytes += Buffer.byteLength(markdown, 'utf8');
+        log.info(`✅ Saved${staticPage ? ' (http)' : ''}: ${pageKey}`);
+        await savePageLinks(hotelUuid, pageKey, pageUrl, rawLinks);
+        // No point discovering more links once a budget is used up
+        if (enforceBudgets()) return;
+
+        await enqueuePageLinks(rawLinks, pageUrl, currentDepth);
+
+        // BEGIN SPA_ROUTE_DISCOVERY
+        // Sections only reachable by clicking (anchors without href, router buttons): new URLs are crawled as usual,
+        // DOM-only states are queued under synthetic page URLs and re-created by clicking the same item
+        if (spaDiscovery && currentDepth === 0 && !staticPage && !spaState) {
+          // The pass runs inside this handler, so it must end (with a margin for one click and reload) before its timeout;
+          // what is found is queued right away, so a cut-off pass keeps its results
+          const handlerMsLeft = timeoutSecs * 1000 - (Date.now() - pageStartedAtMs) - SPA_DISCOVERY_HANDLER_MARGIN_MS;
+          const discovered = await discoverSpaStates(page, {
+            pageUrl,
+            maxStates: spaDiscoveryMaxStates,
+            budgetMs: Math.max(0, Math.min(spaDiscoveryBudgetMs, handlerMsLeft)),
+            onUrl: (href) => enqueuePageLinks([{ href }], pageUrl, currentDepth),
+            onState: (state) => browserCrawler.addRequests([{
+              url: pageUrl,
+              uniqueKey: state.pageKey,
+              label: BROWSER_LABEL,
+              userData: { depth: currentDepth + 1, source: 'spa_discovery', spaState: state },
+            }]),
           });
+          log.info(`🧭 SPA discovery: ${discovered.urls.length} URL(s), ${discovered.states.length} DOM state(s): ${pageKey}`);
+          stats.spaUrls += discovered.urls.length;
+          stats.spaStates += discovered.states.length;
         }
+        // END SPA_ROUTE_DISCOVERY
       } catch (error) {
         stats.errors += 1;
         log.error(`❌ Failed: ${request.url} -> ${error?.message || error}`);
-        await logger.pageLog(pageUrl, {
+        await logger.pageLog(pageKey, {
           page_depth: currentDepth,
           scrape_status: 'fail',
           duration_ms: Date.now() - pageStartedAtMs,
           error_message: error?.message || String(error),
+          ...fetchLog,
         });
+      } finally {
+        staticDom?.close();
       }
-    },
+    }),
 
     errorHandler({ request, log, error }) {
       stats.errors += 1;
       log.error(`❌ Handler error: ${request.url} -> ${error?.message || error}`);
     },
+
+    // Retries used up: the page was reached but could not be handled
+    async failedRequestHandler({ request }) {
+      markPageFailed(request.userData?.spaState?.pageKey || canonicalizeUrl(request.url));
+      await persistCrawlState();
+    },
+  };
+
+  const crawlerOptions = {
+    ...crawlHandlers,
+    // Crawl-delay means one request at a time per crawler, spaced by the delay (the two crawlers split the rate)
+    maxConcurrency: robots.crawlDelaySecs > 0 ? 1 : maxConcurrency,
+    ...(robots.crawlDelaySecs > 0 ? { maxRequestsPerMinute: Math.max(1, Math.floor(30 / robots.crawlDelaySecs)) } : {}),
+    maxRequestRetries: maxRetries,
+    // Disallow rules are enforced per origin by Crawlee (robots.txt fetched lazily for every host in scope)
+    respectRobotsTxtFile: { userAgent: robotsUserAgent },
+    async onSkippedRequest({ url, reason }) {
+      if (reason === 'robotsTxt') {
+        await logDisallowed(url);
+      }
+    },
+    // A page handled by one crawler may queue work for the other, so each keeps waiting while the other is busy.
+    // Handlers queue their follow-up requests before their own request is marked handled, so both queues finished
+    // at once means the crawl is done.
+    autoscaledPoolOptions: {
+      isFinishedFunction: async () => (await httpRequestQueue.isFinished()) && (await requestQueue.isFinished()),
+    },
+  };
+
+  // Plain HTTP crawler, no browser: PDFs, the validator checks of stored pages and hybrid mode's first pass.
+  // Pages that need rendering are queued into the browser crawler (see fallBackToBrowser).
+  const httpCrawler = new BasicCrawler({
+    ...crawlerOptions,
+    requestQueue: httpRequestQueue,
+    requestHandlerTimeoutSecs: timeoutSecs,
+  });
+
+  const browserCrawler = new PlaywrightCrawler({
+    ...crawlerOptions,
+    requestQueue,
+    // WARC screenshots get their own time on top of the page's handler budget
+    requestHandlerTimeoutSecs: timeoutSecs + (warcArchive && warcScreenshots ? WARC_SCREENSHOT_TIMEOUT_MS / 1000 : 0),
+    launchContext: { launchOptions: { headless: true } },
+    preNavigationHooks: [
+      async ({ page }) => {
+        pageTraffic.set(page, await installResourceBlocking(page, { blockResources }));
+      },
+    ],
   });
 
+  // The wall-time budget (which includes discovery above) must also fire while a slow page is still being handled
+  const wallTimeTimer = budgets.maxMinutes === Infinity
+    ? null
+    : setTimeout(enforceBudgets, Math.max(0, crawlStartedAtMs + budgets.maxMinutes * 60 * 1000 - Date.now()));
   try {
-    await crawler.run([{ url: hotelUrl, userData: { depth: 0 } }]);
+    const startRequest = routeRequest({ url: hotelUrl, uniqueKey: canonicalizeUrl(hotelUrl), userData: { depth: 0, source: 'start' } });
+    await queueRequests([startRequest, ...sitemapSeeds].filter(Boolean));
+    // The browser is only launched once the first page is queued for rendering
+    await Promise.all([httpCrawler.run(), browserCrawler.run()]);
+    stats.urlsFromSitemap = sitemapSeeds.length;
   } catch (error) {
     console.error(`❌ Fatal crawl error for ${hotelName}: ${error?.message || error}`);
     throw error;
+  } finally {
+    if (wallTimeTimer) clearTimeout(wallTimeTimer);
+    if (warcArchive) {
+      await warcArchive.close();
+      console.log(`🗄️  WARC archive for ${hotelName}: ${warcArchive.warcPath}`);
+    }
   }
 
-  // Deactivate pages that were present before but not scraped in this run
+  // BEGIN DEACTIVATION_SAFETY_POLICY
+  // Pages present before but not scraped in this run only count as missing when the crawl looks healthy.
+  // A truncated or degraded crawl did not see the whole site, so unvisited pages are not evidence of removal.
   const stalePageIds = Array.from(nonScrapedPageMap.values());
-  if (stalePageIds.length > 0) {
-    pagesDeactivated = await deactivatePagesByIds(stalePageIds);
-    console.log(`🗂️  Deactivated ${pagesDeactivated} outdated page(s) for ${hotelName}`);
+  const recentRuns = await LogRunsService.getRecentScrapeRuns(hotelUuid, logger.runId, deactivationBaselineRuns).catch((error) => {
+    console.warn(`⚠️  Could not load previous runs for ${hotelName}: ${error?.message || error}`);
+    return [];
+  });
+  const baseline = buildRunBaseline(recentRuns);
+  // Pages confirmed unchanged by validators were reached as well, so they count towards the page total
+  const policy = evaluateDeactivationPolicy({ pagesScraped: stats.scraped + stats.notModified, errors: stats.errors, stopReason }, baseline, deactivationThresholds);
+  if (policy.apply && deactivationApplied) {
+    console.log(`⏸️  Deactivation already applied before the restart; kept ${stalePageIds.length} unvisited page(s) as they are for ${hotelName}`);
+  } else if (policy.apply) {
+    // Marked before the update: a kill between the update and dropping the crawl storage must not count another missed run
+    deactivationApplied = true;
+    await persistCrawlState();
+    pagesDeactivated = await deactivateMissingPages(stalePageIds, deactivationMissedRuns);
+    console.log(`🗂️  ${stalePageIds.length} page(s) missing, ${failedPageUrls.size} failed (not counted); deactivated ${pagesDeactivated} missing for ${deactivationMissedRuns}+ run(s) for ${hotelName}`);
+  } else {
+    console.log(`⏸️  Deactivation skipped (${policy.reason}); kept ${stalePageIds.length} unvisited page(s) active for ${hotelName}`);
   }
+  await logger.event(policy.apply ? 'scrape.deactivation_applied' : 'scrape.deactivation_skipped', {
+    reason: policy.reason,
+    pages_scraped: stats.scraped,
+    errors: stats.errors,
+    error_rate: Number(policy.errorRate.toFixed(4)),
+    baseline_run_ids: baseline?.runIds ?? [],
+    baseline_pages: baseline?.pages ?? null,
+    baseline_error_rate: policy.baselineErrorRate === null ? null : Number(policy.baselineErrorRate.toFixed(4)),
+    thresholds: { ...deactivationThresholds, missed_runs: deactivationMissedRuns, baseline_runs: deactivationBaselineRuns },
+    pages_missing: stalePageIds.length,
+    pages_failed: failedPageUrls.size,
+    pages_deactivated: pagesDeactivated,
+  });
+  // END DEACTIVATION_SAFETY_POLICY
+
+  // BEGIN SITE_CHROME_DETECTION
+  // Blocks repeated on most active pages (promos, newsletter forms, address footers) become one site chrome document;
+  // the LLM extracts it once and they are stripped from every other page (see aggregateScrapedController).
+  let siteChromeBlocks = 0;
+  let siteChromeMarkdown = '';
+  const contentPages = await getActiveContentPages(hotelUuid).catch((error) => {
+    console.warn(`⚠️  Could not load pages for post-crawl analysis of ${hotelName}: ${error?.message || error}`);
+    return [];
+  });
+  try {
+    const chromePages = contentPages.filter((page) => (page.content_type || HTML_CONTENT_TYPE) === HTML_CONTENT_TYPE);
+    const blocks = detectBoilerplateBlocks(chromePages, boilerplateOptions);
+    const chromeMarkdown = blocks.join('\n\n');
+    const chromeChecksum = chromeMarkdown ? computeChecksum(normalizeMarkdown(maskVolatileContent(chromeMarkdown, volatility))) : null;
+    const changed = await saveSiteChromeDocument(hotelUuid, chromeMarkdown, chromeChecksum);
+    siteChromeBlocks = blocks.length;
+    siteChromeMarkdown = chromeMarkdown;
+    console.log(`🧩 Site chrome: ${blocks.length} repeated block(s) across ${chromePages.length} page(s)${changed ? ' (updated)' : ''} for ${hotelName}`);
+    await logger.event('scrape.site_chrome', {
+      blocks: blocks.length,
+      pages: chromePages.length,
+      bytes: Buffer.byteLength(chromeMarkdown, 'utf8'),
+      changed,
+    });
+  } catch (error) {
+    console.warn(`⚠️  Site chrome detection failed for ${hotelName}: ${error?.message || error}`);
+  }
+  // END SITE_CHROME_DETECTION
+
+  // BEGIN NEAR_DUPLICATE_DETECTION
+  // Printer-friendly, language-prefixed, paginated and campaign copies of a page: only the cluster
+  // representative (lowest depth, then shortest URL) is sent to the LLM. Fingerprints ignore the site chrome.
+  let nearDuplicates = 0;
+  try {
+    const candidates = [...contentPages]
+      .sort((a, b) => a.depth - b.depth || a.page_url.length - b.page_url.length || a.id - b.id)
+      .map((page) => ({ id: page.id, text: stripBoilerplate(page.markdown, siteChromeMarkdown) }));
+    const clusters = clusterNearDuplicates(candidates, nearDuplicateOptions);
+    const updated = await saveNearDuplicateClusters(contentPages, clusters);
+    nearDuplicates = [...clusters.values()].filter((cluster) => cluster.duplicateOf !== null).length;
+    console.log(`👯 Near-duplicates: ${nearDuplicates} of ${contentPages.length} page(s) (${updated} row(s) updated) for ${hotelName}`);
+    await logger.event('scrape.near_duplicates', {
+      pages: contentPages.length,
+      duplicates: nearDuplicates,
+      max_distance: nearDuplicateOptions.maxDistance,
+      rows_updated: updated,
+    });
+  } catch (error) {
+    console.warn(`⚠️  Near-duplicate detection failed for ${hotelName}: ${error?.message || error}`);
+  }
+  // END NEAR_DUPLICATE_DETECTION
+
+  // The run finished its crawl; nothing left to resume
+  await Promise.all([requestQueue.drop(), httpRequestQueue.drop(), stateStore.drop()])
+    .catch((error) => console.warn(`⚠️  Could not drop crawl storage ${storageName}: ${error?.message || error}`));
 
   console.log(`\n📊 Crawl summary for ${hotelName}`);
   console.log(`   ✅ Scraped: ${stats.scraped}`);
+  console.log(`   ♻️  Not modified (validators): ${stats.notModified}`);
   console.log(`   ⏭️  Skipped: ${stats.skipped}`);
   console.log(`   ❌ Errors: ${stats.errors}`);
+  console.log(`   🧱 Blocked / challenge / parked / soft 404: ${stats.blocked}`);
+  console.log(`   🚫 Out of scope: ${stats.outOfScope}`);
+  console.log(`   🙈 Excluded by hotel patterns: ${stats.excluded}`);
+  console.log(`   🤖 Disallowed by robots.txt: ${stats.disallowed}`);
+  console.log(`   🗺️  URLs from sitemap: ${stats.urlsFromSitemap}, from links: ${stats.urlsFromLinks}`);
+  console.log(`   🪗 Elements expanded: ${stats.elementsExpanded}`);
+  console.log(`   🪟 Frames captured: ${stats.framesCaptured}`);
+  console.log(`   🔌 Site adapters: ${[...adaptersSeen].join(', ') || 'none'}`);
+  if (spaDiscovery) console.log(`   🧭 SPA discovery: ${stats.spaUrls} URL(s), ${stats.spaStates} DOM state(s)`);
+  console.log(`   ⚡ Via HTTP: ${stats.viaHttp}, via browser: ${stats.viaBrowser} (${stats.httpFallbacks} fallback(s))`);
+  console.log(`   ⛔ Stopped by budget: ${stopReason || 'no'}`);
+  console.log(`   🧩 Site chrome blocks: ${siteChromeBlocks}`);
+  console.log(`   👯 Near-duplicate pages: ${nearDuplicates}`);
   // We will not track maxDepthReached yet, cuz it's not necessary for now.
 
   return {
@@ -670,10 +2068,22 @@ export async function scrapeHotel(logger, hotelUrl, hotelUuid, hotelName) {
     hotelName,
     hotelUrl,
     pagesScraped: stats.scraped,
+    pagesNotModified: stats.notModified,
     pagesDeactivated,
     pagesSkipped: stats.skipped,
     errors: stats.errors,
+    pagesBlocked: stats.blocked,
+    pagesOutOfScope: stats.outOfScope,
+    pagesDisallowed: stats.disallowed,
+    urlsFromSitemap: stats.urlsFromSitemap,
+    urlsFromLinks: stats.urlsFromLinks,
+    pagesViaHttp: stats.viaHttp,
+    pagesViaBrowser: stats.viaBrowser,
+    httpFallbacks: stats.httpFallbacks,
+    stopReason,
     totalPages: stats.scraped + stats.skipped,
+    resumedElapsedMs,
+    deactivationPolicy: policy.reason,
   };
 }
 
@@ -0,0 +1,110 @@
+import 'dotenv/config';
+import { closePool } from './config/database.js';
+import { HotelService } from './services/hotelService.js';
+import { PageLinksService } from './services/pageLinksService.js';
+import { canonicalizeUrl } from './utils/urlCanonical.js';
+
+// Site chrome regions (links repeated on every page)
+const CHROME_REGIONS = new Set(['nav', 'header', 'footer']);
+const TOP_LINKED_PAGES = 20;
+
+/**
+ * Dump the stored site link graph of one hotel (hotel_page_links).
+ *
+ * Usage:
+ *   npm run links:dump -- <hotel_uuid> [--format=json|dot] [--external]
+ *
+ * json (default): pages with inbound/outbound link counts, orphan pages (no inbound links
+ *   from other pages, start URL excluded), the most-linked pages and all edges.
+ * dot: Graphviz digraph labelled with anchor text; nav/header/footer links are dashed.
+ * Links leaving the crawled pages are left out unless --external is passed.
+ */
+
+/**
+ * Quote a string for Graphviz.
+ * @param {string} value
+ * @returns {string}
+ */
+function dotQuote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * @param {Array<Object>} links - Rows from PageLinksService.getLinksByHotel
+ * @returns {string}
+ */
+function toDot(links) {
+  const lines = ['digraph site {', '  rankdir=LR;', '  node [shape=box, fontsize=10];'];
+  for (const link of links) {
+    const attrs = [];
+    if (link.anchor_text) attrs.push(`label=${dotQuote(link.anchor_text)}`);
+    if (CHROME_REGIONS.has(link.link_region)) attrs.push('style=dashed');
+    lines.push(`  ${dotQuote(link.source_url)} -> ${dotQuote(link.target_url)}${attrs.length ? ` [${attrs.join(', ')}]` : ''};`);
+  }
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * @param {Array<Object>} links - Rows from PageLinksService.getLinksByHotel
+ * @param {string|null} startUrl - Canonical start URL of the hotel
+ * @returns {Object}
+ */
+function toJson(links, startUrl) {
+  const pages = new Map();
+  const pageOf = (url) => {
+    if (!pages.has(url)) pages.set(url, { url, inbound: 0, outbound: 0, anchor_texts: new Set() });
+    return pages.get(url);
+  };
+
+  const sources = new Set(links.map((link) => link.source_url));
+  sources.forEach(pageOf);
+  for (const link of links) {
+    if (link.source_url === link.target_url) continue;
+    pageOf(link.source_url).outbound += 1;
+    const target = pageOf(link.target_url);
+    target.inbound += 1;
+    if (link.anchor_text) target.anchor_texts.add(link.anchor_text);
+  }
+
+  const pageList = [...pages.values()]
+    .map((page) => ({ ...page, anchor_texts: [...page.anchor_texts] }))
+    .sort((a, b) => a.url.localeCompare(b.url));
+  return {
+    pages: pageList,
+    orphans: pageList.filter((page) => sources.has(page.url) && page.inbound === 0 && page.url !== startUrl).map((page) => page.url),
+    most_linked: [...pageList].sort((a, b) => b.inbound - a.inbound).slice(0, TOP_LINKED_PAGES)
+      .map(({ url, inbound }) => ({ url, inbound })),
+    links,
+  };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const hotelUuid = args.find((arg) => !arg.startsWith('--')) || null;
+  const format = (args.find((arg) => arg.startsWith('--format='))?.split('=')[1] || 'json').toLowerCase();
+  const includeExternal = args.includes('--external');
+  if (!hotelUuid || !['json', 'dot'].includes(format)) {
+    console.error('Usage: npm run links:dump -- <hotel_uuid> [--format=json|dot] [--external]');
+    process.exitCode = 1;
+    await closePool();
+    return;
+  }
+
+  const hotel = await HotelService.getHotelByUuid(hotelUuid);
+  const startUrl = hotel?.hotel_url ? canonicalizeUrl(hotel.hotel_url) : null;
+  let links = await PageLinksService.getLinksByHotel(hotelUuid);
+  if (!includeExternal) {
+    const crawled = new Set(links.map((link) => link.source_url));
+    links = links.filter((link) => crawled.has(link.target_url));
+  }
+
+  console.log(format === 'dot' ? toDot(links) : JSON.stringify(toJson(links, startUrl), null, 2));
+  await closePool();
+}
+
+main().catch(async (err) => {
+  console.error('❌', err.message);
+  await closePool();
+  process.exit(1);
+});
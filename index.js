@@ -3,7 +3,8 @@ import { testConnection, closePool } from './config/database.js';
 import { HotelService } from './services/hotelService.js';
 import { scrapeHotel } from './controllers/scrapeController.js';
 import { loadMarketDataFromScrapedPage } from './controllers/aggregateScrapedController.js';
-import { createLogger } from './middleware/logger.js';
+import { createLogger, loadLogger } from './middleware/logger.js';
+import { LogRunsService } from './services/log/logRunsService.js';
 import { RUN_STATUS_NAMES, STAGE_NAMES } from './middleware/constants.js';
 async function main() {
   console.log("🚀 Starting Hotel Data Fetcher...");
@@ -12,6 +13,8 @@ async function main() {
   const unitTestModule = String(process.env.UNIT_TEST_MODULE || '').toLowerCase();
   const shouldRunScrape = !isUnitTest || unitTestModule === 'scrape';
   const shouldRunAggregate = !isUnitTest || unitTestModule === 'ai';
+  // Runs interrupted mid-crawl within this window are resumed instead of restarted (0 disables)
+  const resumeMaxAgeHours = parseFloat(process.env.CRAWLER_RESUME_MAX_AGE_HOURS || '24');
 
   if (isUnitTest) {
     if (!unitTestModule) {
@@ -56,13 +59,19 @@ async function main() {
 
       if (hotel.hotel_url) {
         // BEGIN PROCESS_SINGLE_HOTEL
+        // A run killed mid-crawl is reattached and its persisted crawl resumed
+        const resumableRun = shouldRunScrape
+          ? await LogRunsService.getResumableScrapeRun(hotel.hotel_uuid, resumeMaxAgeHours)
+          : null;
         const startAt = new Date();
         const startMs = startAt.getTime();
         // Without runId, createLogger creates a new run log and returns a logger bound to that run.
-        const logger = await createLogger(hotel.hotel_uuid, RUN_STATUS_NAMES.RUNNING, STAGE_NAMES.SCRAPE);
+        const logger = resumableRun
+          ? await loadLogger(resumableRun.id)
+          : await createLogger(hotel.hotel_uuid, RUN_STATUS_NAMES.RUNNING, STAGE_NAMES.SCRAPE);
         const runId = logger.runId;
         if (runId > 0) {
-          console.log(`✅ Log run started with ID: ${runId}`);
+          console.log(`✅ Log run ${resumableRun ? 'resumed' : 'started'} with ID: ${runId}`);
         } else {
           console.error(`❌ Failed to start log run: ${hotel.hotel_uuid}. Skip this hotel.`);
           continue;
@@ -73,13 +82,33 @@ async function main() {
         if (shouldRunScrape) {
           // BEGIN SCRAPE_HOTEL_BODY
           try {
-            await logger.event('scrape.started');
-            scrapeStats = await scrapeHotel(logger, hotel.hotel_url, hotel.hotel_uuid, hotel.name);
+            await logger.event(resumableRun ? 'scrape.resumed' : 'scrape.started');
+            scrapeStats = await scrapeHotel(logger, hotel.hotel_url, hotel.hotel_uuid, hotel.name, {
+              allowedHosts: hotel.crawl_allowed_hosts,
+              maxPages: hotel.crawl_max_pages,
+              maxMinutes: hotel.crawl_max_minutes,
+              maxBytes: hotel.crawl_max_bytes,
+              blockResources: hotel.crawl_block_resources,
+              spaDiscovery: hotel.crawl_spa_discovery,
+              removeSelectors: hotel.crawl_remove_selectors,
+              contentRootSelector: hotel.crawl_content_root,
+              excludeUrlPatterns: hotel.crawl_exclude_url_patterns,
+              keepPageChrome: hotel.crawl_keep_page_chrome,
+              resume: Boolean(resumableRun),
+            });
             await logger.updateRun({
               crawler_skipped: scrapeStats?.pagesSkipped ?? 0,
               crawler_errors: scrapeStats?.errors ?? 0,
               pages_scraped: scrapeStats?.pagesScraped ?? 0,
               pages_deactivated: scrapeStats?.pagesDeactivated ?? 0,
+              pages_not_modified: scrapeStats?.pagesNotModified ?? 0,
+              urls_from_sitemap: scrapeStats?.urlsFromSitemap ?? 0,
+              urls_from_links: scrapeStats?.urlsFromLinks ?? 0,
+              crawl_stop_reason: scrapeStats?.stopReason || null,
+              deactivation_policy: scrapeStats?.deactivationPolicy || null,
+              pages_via_http: scrapeStats?.pagesViaHttp ?? 0,
+              pages_via_browser: scrapeStats?.pagesViaBrowser ?? 0,
+              http_fallbacks: scrapeStats?.httpFallbacks ?? 0,
             });
             await logger.event('scrape.completed');
             scrapedSuccess = true;
@@ -110,7 +139,8 @@ async function main() {
         await logger.updateRun({
           status: RUN_STATUS_NAMES.SUCCESS, // NOTE: Do not mark stage as 'completed' here, cuz we want to track which stage the pipeline ends at.
           finished_at: new Date(),
-          duration_ms: Date.now() - startMs,
+          // A resumed run adds the crawl time before the restart, not the downtime since its started_at
+          duration_ms: Date.now() - startMs + (scrapeStats?.resumedElapsedMs ?? 0),
         });
         // END PROCESS_SINGLE_HOTEL
       } else {
@@ -0,0 +1,97 @@
+import 'dotenv/config';
+import { executeQuery, closePool } from './config/database.js';
+import { TABLE_NAMES } from './middleware/constants.js';
+import { canonicalizeUrl } from './utils/urlCanonical.js';
+
+const { HOTEL_PAGE_DATA_TABLE } = TABLE_NAMES;
+
+/**
+ * One-off merge of hotel_page_data rows whose page_url variants share the same canonical URL.
+ *
+ * Usage:
+ *   npm run pages:merge-duplicates -- [hotel_uuid] [--apply]
+ *
+ * Without --apply the planned merges are only printed (dry run).
+ * Per group the freshest row is kept (active first, then latest updated_at, then highest id),
+ * its page_url is rewritten to the canonical URL and the other rows are deleted.
+ */
+
+/**
+ * Pick the row to keep from a group of duplicates.
+ * @param {Array<Object>} rows
+ * @returns {Object}
+ */
+function pickKeeper(rows) {
+  return [...rows].sort((a, b) => {
+    if (Number(b.active) !== Number(a.active)) return Number(b.active) - Number(a.active);
+    const timeDiff = new Date(b.updated_at || 0).getTime() - new Date(a.updated_at || 0).getTime();
+    if (timeDiff !== 0) return timeDiff;
+    return b.id - a.id;
+  })[0];
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const apply = args.includes('--apply');
+  const hotelUuid = args.find((arg) => !arg.startsWith('--')) || null;
+
+  const query = `
+    SELECT id, hotel_uuid, page_url, active, updated_at
+    FROM ${HOTEL_PAGE_DATA_TABLE}
+    ${hotelUuid ? 'WHERE hotel_uuid = ?' : ''}
+    ORDER BY hotel_uuid, id
+  `;
+  const rows = await executeQuery(query, hotelUuid ? [hotelUuid] : []);
+
+  const groups = new Map();
+  for (const row of rows) {
+    const canonicalUrl = canonicalizeUrl(row.page_url);
+    const key = `${row.hotel_uuid}\n${canonicalUrl}`;
+    if (!groups.has(key)) {
+      groups.set(key, { hotelUuid: row.hotel_uuid, canonicalUrl, rows: [] });
+    }
+    groups.get(key).rows.push(row);
+  }
+
+  let rowsDeleted = 0;
+  let rowsRenamed = 0;
+  console.log(`${apply ? '🔧 Merging' : '🔍 Dry run (pass --apply to write)'}: ${rows.length} page rows scanned\n`);
+  for (const { hotelUuid: groupHotelUuid, canonicalUrl, rows: groupRows } of groups.values()) {
+    const keeper = pickKeeper(groupRows);
+    const duplicates = groupRows.filter((row) => row.id !== keeper.id);
+    const needsRename = keeper.page_url !== canonicalUrl;
+    if (duplicates.length === 0 && !needsRename) continue;
+
+    console.log(`${groupHotelUuid}\t${canonicalUrl}`);
+    console.log(`   keep #${keeper.id} (${keeper.page_url})`);
+    duplicates.forEach((row) => console.log(`   drop #${row.id} (${row.page_url})`));
+
+    if (apply) {
+      // Delete first so the rename cannot collide with a row that already holds the canonical URL
+      if (duplicates.length > 0) {
+        const ids = duplicates.map((row) => row.id);
+        const placeholders = ids.map(() => '?').join(', ');
+        const result = await executeQuery(`DELETE FROM ${HOTEL_PAGE_DATA_TABLE} WHERE id IN (${placeholders})`, ids);
+        rowsDeleted += result.affectedRows || 0;
+      }
+      if (needsRename) {
+        const result = await executeQuery(`UPDATE ${HOTEL_PAGE_DATA_TABLE} SET page_url = ? WHERE id = ?`, [canonicalUrl, keeper.id]);
+        rowsRenamed += result.affectedRows || 0;
+      }
+    } else {
+      rowsDeleted += duplicates.length;
+      rowsRenamed += needsRename ? 1 : 0;
+    }
+  }
+
+  console.log('-'.repeat(70));
+  console.log(`Rows ${apply ? 'deleted' : 'to delete'}: ${rowsDeleted}`);
+  console.log(`Rows ${apply ? 'renamed' : 'to rename'} to canonical URL: ${rowsRenamed}`);
+  await closePool();
+}
+
+main().catch(async (err) => {
+  console.error('❌', err.message);
+  await closePool();
+  process.exit(1);
+});
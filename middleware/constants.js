@@ -5,6 +5,7 @@
 export const TABLE_NAMES = {
 	MARKET_DATA_TABLE: 'market_data',
 	HOTEL_PAGE_DATA_TABLE: 'hotel_page_data',
+	HOTEL_PAGE_LINKS_TABLE: 'hotel_page_links',
 	MARKET_DATA_DEBUG1_TABLE: 'market_data_debug1',
 	MARKET_DATA_DEBUG2_TABLE: 'market_data_debug2',
 };
@@ -23,6 +24,8 @@ export const ERROR_CLASS = {
 	PARSING_ERROR: 'parsing_error',
 	DB_ERROR: 'db_error',
 	SYSTEM_ERROR: 'system_error',
+	BOT_PROTECTION: 'bot_protection',
+	INVALID_CONTENT: 'invalid_content',
 };
 
 export const STAGE_NAMES = {
@@ -40,6 +43,13 @@ export const RUN_STATUS_NAMES = {
 	FAIL: 'fail',
 };
 
+/** Budget that stopped a crawl early (market_data_log_runs.crawl_stop_reason). */
+export const CRAWL_STOP_REASONS = {
+	MAX_PAGES: 'max_pages',
+	MAX_MINUTES: 'max_minutes',
+	MAX_BYTES: 'max_bytes',
+};
+
 // Category text fields (16 categories plus "other")
 export const MD_CAT_FIELDS = [
 	{
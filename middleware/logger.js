@@ -41,9 +41,7 @@ export class Logger {
   }
 
   async event(eventType, payload = null) {
-    // payload is reserved for future event payload logging
-    void payload;
-    return LogRunEventsService.logRunEvent(this.runId, this.hotelUuid, this.stage || '', eventType);
+    return LogRunEventsService.logRunEvent(this.runId, this.hotelUuid, this.stage || '', eventType, payload);
   }
 
   async updateRun(data) {
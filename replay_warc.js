@@ -0,0 +1,184 @@
+import 'dotenv/config';
+import fs from 'fs/promises';
+import path from 'path';
+import { closePool } from './config/database.js';
+import { convertArchivedPage } from './controllers/scrapeController.js';
+import { contactLinksToText } from './utils/contactLinks.js';
+import { readWarcRecords, readWarcIndex, readIndexedRecords, readWarcInfo, parseHttpResponseBlock } from './utils/warc.js';
+
+/**
+ * Replay a crawl run from its WARC archive (CRAWLER_WARC_ARCHIVE=true): re-run the markdown conversion
+ * (and optionally the LLM extraction) on the archived responses without fetching anything from the hotel site.
+ *
+ * Usage:
+ *   npm run warc:replay -- <run_id | path/to/run-N.warc.gz> [--url=<page url>] [--out=<dir>] [--extract]
+ *
+ * Prints checksum, markdown size and matched site adapters per page. Browser pages are converted from their
+ * rendered DOM, HTTP pages and PDFs from the response body. --url limits the replay to pages whose URL contains
+ * the value, --out writes each page's markdown to <dir>, and --extract runs the per-page field extraction
+ * (the only step that goes over the network: the LLM API) and prints its JSON.
+ */
+
+/**
+ * Archives of a run id under CRAWLER_WARC_DIR (one per hotel directory), or the given file.
+ * @param {string} target - Run id or WARC path
+ * @returns {Promise<Array<string>>}
+ */
+async function resolveWarcPaths(target) {
+  if (/\.warc(\.gz)?$/.test(target)) return [target];
+  const dir = process.env.CRAWLER_WARC_DIR || './warc';
+  const hotelDirs = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const candidates = hotelDirs
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => path.join(dir, entry.name, `run-${target}.warc.gz`));
+  const found = [];
+  for (const candidate of candidates) {
+    if (await fs.stat(candidate).then(() => true).catch(() => false)) found.push(candidate);
+  }
+  return found;
+}
+
+/**
+ * Group archived records by page key. A page archived twice (resumed run) keeps its latest records.
+ * @param {Array<{ type: string, headers: Object, block: Buffer }>} records - From readWarcRecords or readIndexedRecords
+ * @returns {Array<{ pageKey: string, url: string, depth: number, response: Object|null, rendered: Buffer|null, frameSections: Array<Object> }>}
+ */
+function groupPages(records) {
+  const pages = new Map();
+  for (const record of records) {
+    const pageKey = record.headers['x-page-key'];
+    if (!pageKey || (record.type !== 'response' && record.type !== 'conversion')) continue;
+    if (record.type === 'response' || !pages.has(pageKey)) {
+      pages.set(pageKey, {
+        pageKey,
+        url: record.headers['warc-target-uri'],
+        depth: parseInt(record.headers['x-crawl-depth'] || '1', 10),
+        response: null,
+        rendered: null,
+        frameSections: [],
+      });
+    }
+    const page = pages.get(pageKey);
+    if (record.type === 'response') {
+      page.response = parseHttpResponseBlock(record.block);
+    } else if (record.headers['x-frame-index'] != null) {
+      page.frameSections.push({ index: parseInt(record.headers['x-frame-index'], 10), label: record.headers['x-frame-label'] || '', html: record.block.toString('utf8') });
+    } else {
+      page.rendered = record.block;
+    }
+  }
+  return [...pages.values()];
+}
+
+/**
+ * Pages of an archive that match the URL filter, each loaded on demand. With the archive's index only the page's
+ * response and conversion records are read and gunzipped (screenshots never are); archives without one are read whole.
+ * @param {string} warcFile
+ * @param {string} urlFilter - Substring of the page key or URL ('' matches all pages)
+ * @returns {Promise<{ info: Object<string, *>, pages: Array<{ pageKey: string, load: () => Promise<Object|null> }> }>}
+ */
+async function openArchivedPages(warcFile, urlFilter) {
+  const matches = (pageKey, url) => !urlFilter || pageKey.includes(urlFilter) || (url || '').includes(urlFilter);
+  const index = await readWarcIndex(warcFile);
+  if (!index) {
+    console.warn(`⚠️  No index for ${warcFile}; reading the whole archive`);
+    const records = await readWarcRecords(warcFile);
+    const pages = groupPages(records).filter((page) => matches(page.pageKey, page.url));
+    return { info: readWarcInfo(records), pages: pages.map((page) => ({ pageKey: page.pageKey, load: async () => page })) };
+  }
+
+  const infoEntry = index.find((entry) => entry.type === 'warcinfo');
+  const info = infoEntry ? readWarcInfo(await readIndexedRecords(warcFile, [infoEntry])) : {};
+  const entriesByPage = new Map();
+  for (const entry of index) {
+    if (!entry.page_key || (entry.type !== 'response' && entry.type !== 'conversion')) continue;
+    if (!entriesByPage.has(entry.page_key)) entriesByPage.set(entry.page_key, []);
+    entriesByPage.get(entry.page_key).push(entry);
+  }
+  const pages = [...entriesByPage]
+    .filter(([pageKey, entries]) => matches(pageKey, entries[0].url))
+    .map(([pageKey, entries]) => ({
+      pageKey,
+      load: async () => groupPages(await readIndexedRecords(warcFile, entries))[0] || null,
+    }));
+  return { info, pages };
+}
+
+/**
+ * File name for a page's markdown.
+ * @param {string} pageKey
+ * @returns {string}
+ */
+function markdownFileName(pageKey) {
+  const slug = pageKey.replace(/^https?:\/\//, '').replace(/[^a-zA-Z0-9._-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 150);
+  return `${slug || 'page'}.md`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const target = args.find((arg) => !arg.startsWith('--')) || null;
+  const urlFilter = args.find((arg) => arg.startsWith('--url='))?.slice('--url='.length) || '';
+  const outDir = args.find((arg) => arg.startsWith('--out='))?.slice('--out='.length) || '';
+  const extract = args.includes('--extract');
+  if (!target) {
+    console.error('Usage: npm run warc:replay -- <run_id | path/to/run-N.warc.gz> [--url=<page url>] [--out=<dir>] [--extract]');
+    process.exitCode = 1;
+    await closePool();
+    return;
+  }
+
+  const warcFiles = await resolveWarcPaths(target);
+  if (warcFiles.length === 0) {
+    console.error(`❌ No WARC archive found for ${target}`);
+    process.exitCode = 1;
+    await closePool();
+    return;
+  }
+  // The LLM client needs its API key at import time, so it is only loaded for --extract
+  const extractFieldsFromPage = extract
+    ? (await import('./controllers/aggregateScrapedController.js')).extractFieldsFromPage
+    : null;
+  if (outDir) await fs.mkdir(outDir, { recursive: true });
+
+  const llmUsage = { total_tokens: 0, input_tokens: 0, output_tokens: 0, cost: 0 };
+  for (const warcFile of warcFiles) {
+    const { info, pages } = await openArchivedPages(warcFile, urlFilter);
+    console.log(`🗄️  ${warcFile}: run ${info['run-id'] ?? '?'}, ${info['hotel-name'] || info['hotel-uuid'] || ''} (${pages.length} page(s))`);
+
+    for (const { pageKey, load } of pages) {
+      try {
+        // One page's records at a time, so replaying a large run stays within memory
+        const page = await load();
+        const contentType = (page?.response?.headers['content-type'] || 'text/html').split(';')[0].trim().toLowerCase();
+        const body = page?.rendered || page?.response?.body;
+        if (!body) continue;
+        const result = await convertArchivedPage(
+          { url: page.pageKey, body, contentType, depth: page.depth, frameSections: page.frameSections },
+          { hotelCleanup: info['hotel-cleanup'] || undefined, contactRegion: info['contact-region'] || undefined },
+        );
+        const adapters = result.adapters.length ? ` [${result.adapters.join(', ')}]` : '';
+        console.log(`✅ ${result.checksum.slice(0, 12)} ${String(result.markdown.length).padStart(7)} chars  ${page.pageKey}${adapters}`);
+        if (outDir) {
+          await fs.writeFile(path.join(outDir, markdownFileName(page.pageKey)), `${result.markdown}\n`, 'utf8');
+        }
+        if (extractFieldsFromPage) {
+          const contactCandidates = contactLinksToText(result.contactLinks);
+          const extracted = await extractFieldsFromPage(result.markdown, page.pageKey, info['hotel-name'], llmUsage, [], contactCandidates);
+          console.log(JSON.stringify({ page_url: page.pageKey, extracted }, null, 2));
+        }
+      } catch (error) {
+        console.error(`⚠️  Replay failed for ${pageKey}: ${error?.message || error}`);
+      }
+    }
+  }
+  if (extract) {
+    console.log(`🤖 LLM usage: ${llmUsage.total_tokens} tokens ($${llmUsage.cost.toFixed(4)})`);
+  }
+  await closePool();
+}
+
+main().catch(async (err) => {
+  console.error('❌', err.message);
+  await closePool();
+  process.exit(1);
+});
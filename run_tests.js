@@ -0,0 +1,35 @@
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Run every fixture script (test_*.js) one after another and fail when any of them fails.
+ *
+ * Usage:
+ *   npm test
+ *
+ * test_db.js is left out: it checks the service field lists against a live database (npm run test:db).
+ */
+
+// Scripts that need more than the repository (database, network)
+const EXCLUDED_SCRIPTS = new Set(['test_db.js']);
+
+const rootDir = path.dirname(fileURLToPath(import.meta.url));
+const scripts = fs.readdirSync(rootDir)
+  .filter((file) => /^test_.+\.js$/.test(file) && !EXCLUDED_SCRIPTS.has(file))
+  .sort();
+
+const failed = [];
+for (const script of scripts) {
+  console.log(`\n▶️  ${script}`);
+  const result = spawnSync(process.execPath, [path.join(rootDir, script)], { stdio: 'inherit', cwd: rootDir });
+  if (result.status !== 0) failed.push(script);
+}
+
+if (failed.length > 0) {
+  console.error(`\n❌ ${failed.length} of ${scripts.length} test script(s) failed: ${failed.join(', ')}`);
+  process.exitCode = 1;
+} else {
+  console.log(`\n🎉 All ${scripts.length} test script(s) passed`);
+}
@@ -5,7 +5,8 @@ export class HotelService {
   // Get all active hotels from hotel_list table
   static async getActiveHotels() {
     const query = `
-      SELECT id, hotel_uuid, name, hotel_url 
+      SELECT id, hotel_uuid, name, hotel_url, crawl_allowed_hosts, crawl_max_pages, crawl_max_minutes, crawl_max_bytes, crawl_block_resources, crawl_spa_discovery,
+        crawl_remove_selectors, crawl_content_root, crawl_exclude_url_patterns, crawl_keep_page_chrome
       FROM hotel_list 
       WHERE is_deleted = 0 
       ORDER BY id ASC
@@ -24,7 +25,8 @@ export class HotelService {
   // Get hotel by UUID
   static async getHotelByUuid(hotelUuid) {
     const query = `
-      SELECT id, hotel_uuid, name, hotel_url 
+      SELECT id, hotel_uuid, name, hotel_url, crawl_allowed_hosts, crawl_max_pages, crawl_max_minutes, crawl_max_bytes, crawl_block_resources, crawl_spa_discovery,
+        crawl_remove_selectors, crawl_content_root, crawl_exclude_url_patterns, crawl_keep_page_chrome
       FROM hotel_list 
       WHERE hotel_uuid = ? AND is_deleted = 0
     `;
@@ -12,11 +12,25 @@ export class LogPagesService {
     { name: 'page_depth', type: T.NUMBER },
     { name: 'scrape_status', type: T.TEXT },
     { name: 'markdown_hash', type: T.TEXT },
+    // Hash of the unmasked markdown (markdown_hash masks volatile content; see utils/volatility.js)
+    { name: 'markdown_raw_hash', type: T.TEXT },
     { name: 'markdown_size', type: T.NUMBER },
+    { name: 'elements_expanded', type: T.NUMBER },
+    { name: 'bytes_transferred', type: T.NUMBER },
+    { name: 'requests_total', type: T.NUMBER },
+    { name: 'requests_blocked', type: T.NUMBER },
+    { name: 'dom_content_loaded_ms', type: T.NUMBER },
+    { name: 'load_ms', type: T.NUMBER },
     { name: 'extraction_status', type: T.TEXT },
     { name: 'total_tokens', type: T.NUMBER },
     { name: 'duration_ms', type: T.NUMBER },
     { name: 'error_message', type: T.TEXT },
+    { name: 'error_class', type: T.TEXT },
+    { name: 'fetch_mode', type: T.TEXT },
+    { name: 'fetch_fallback_reason', type: T.TEXT },
+    // PDF documents: pages in the file and pages converted (fewer when truncated at CRAWLER_PDF_MAX_PAGES)
+    { name: 'pdf_pages_total', type: T.NUMBER },
+    { name: 'pdf_pages_converted', type: T.NUMBER },
     { name: 'markdown', type: T.TEXT },
     { name: 'markdown_prev', type: T.TEXT },
     { name: 'llm_output', type: T.TEXT },
@@ -57,15 +57,17 @@ export class LogRunEventsService {
    * @param {string} hotelUuid
    * @param {string} stage
    * @param {string} eventType
+   * @param {Object|null} [payload=null] - Optional event details, stored to payload_json
    * @returns {Promise<number>} inserted row id (0 on failure)
    */
-  static async logRunEvent(runId, hotelUuid, stage, eventType) {
+  static async logRunEvent(runId, hotelUuid, stage, eventType, payload = null) {
     try {
       return await LogRunEventsService.insert({
         run_id: runId,
         hotel_uuid: hotelUuid,
         stage,
         event_type: eventType,
+        ...(payload != null ? { payload_json: payload } : {}),
       });
     } catch (error) {
       console.error(`⚠️ Failed to log run event "${eventType}" for run ${runId}:`, error.message);
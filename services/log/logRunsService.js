@@ -1,7 +1,9 @@
 import { executeQuery } from '../../config/database.js';
-import { T } from '../../middleware/constants.js';
+import { T, RUN_STATUS_NAMES, STAGE_NAMES } from '../../middleware/constants.js';
 
 const TABLE = 'market_data_log_runs';
+// deactivation_policy of a crawl whose missing pages were counted (see evaluateDeactivationPolicy in scrapeController)
+const HEALTHY_DEACTIVATION_POLICY = 'healthy';
 
 export class LogRunsService {
   static TABLE = TABLE;
@@ -16,6 +18,15 @@ export class LogRunsService {
     { name: 'crawler_errors', type: T.NUMBER },
     { name: 'pages_scraped', type: T.NUMBER },
     { name: 'pages_deactivated', type: T.NUMBER },
+    { name: 'pages_not_modified', type: T.NUMBER },
+    { name: 'urls_from_sitemap', type: T.NUMBER },
+    { name: 'urls_from_links', type: T.NUMBER },
+    { name: 'crawl_stop_reason', type: T.TEXT },
+    // Outcome of the deactivation safety policy ("healthy" or why missing pages were kept)
+    { name: 'deactivation_policy', type: T.TEXT },
+    { name: 'pages_via_http', type: T.NUMBER },
+    { name: 'pages_via_browser', type: T.NUMBER },
+    { name: 'http_fallbacks', type: T.NUMBER },
     { name: 'pages_active', type: T.NUMBER },
     { name: 'pages_analyzed', type: T.NUMBER },
     { name: 'categories_updated', type: T.NUMBER },
@@ -109,6 +120,54 @@ export class LogRunsService {
     return rows?.[0] || null;
   }
 
+  /**
+   * Latest earlier runs of a hotel that recorded crawl stats, newest first.
+   * Used as the baseline for the deactivation safety policy, so only complete, healthy crawls count: runs that failed,
+   * stopped at a budget or were judged degraded (deactivation_policy other than "healthy") would pull the baseline
+   * down and hide the drop it should catch. Runs from before deactivation_policy was recorded count.
+   * @param {string} hotelUuid
+   * @param {number} beforeRunId - Only runs with a smaller id are considered
+   * @param {number} [limit=5] - Number of runs
+   * @returns {Promise<Array<Object>>} [{ id, pages_scraped, pages_not_modified, crawler_errors }]
+   */
+  static async getRecentScrapeRuns(hotelUuid, beforeRunId, limit = 5) {
+    if (!hotelUuid) throw new Error(`${TABLE}.getRecentScrapeRuns requires hotelUuid`);
+    // LIMIT cannot be a prepared statement parameter; the value is a sanitized integer
+    const query = `
+      SELECT id, pages_scraped, pages_not_modified, crawler_errors
+      FROM ${TABLE}
+      WHERE hotel_uuid = ? AND id < ? AND pages_scraped IS NOT NULL
+        AND status <> ? AND crawl_stop_reason IS NULL
+        AND (deactivation_policy IS NULL OR deactivation_policy = ?)
+      ORDER BY id DESC
+      LIMIT ${Math.max(1, parseInt(limit, 10) || 1)}
+    `;
+    const rows = await executeQuery(query, [hotelUuid, beforeRunId || Number.MAX_SAFE_INTEGER, RUN_STATUS_NAMES.FAIL, HEALTHY_DEACTIVATION_POLICY]);
+    return rows || [];
+  }
+
+  /**
+   * Latest run of a hotel that was interrupted mid-crawl: still running, in the scrape stage,
+   * without crawl stats yet and started within maxAgeHours.
+   * @param {string} hotelUuid
+   * @param {number} maxAgeHours - Older interrupted runs are not resumed
+   * @returns {Promise<Object|null>} { id, started_at } or null when there is none
+   */
+  static async getResumableScrapeRun(hotelUuid, maxAgeHours) {
+    if (!hotelUuid) throw new Error(`${TABLE}.getResumableScrapeRun requires hotelUuid`);
+    if (!(maxAgeHours > 0)) return null;
+    const query = `
+      SELECT id, started_at
+      FROM ${TABLE}
+      WHERE hotel_uuid = ? AND status = ? AND stage = ? AND pages_scraped IS NULL
+        AND started_at >= DATE_SUB(NOW(), INTERVAL ? HOUR)
+      ORDER BY id DESC
+      LIMIT 1
+    `;
+    const rows = await executeQuery(query, [hotelUuid, RUN_STATUS_NAMES.RUNNING, STAGE_NAMES.SCRAPE, maxAgeHours]);
+    return rows?.[0] || null;
+  }
+
   static async logMarkStage(runId, stage) {
     if (!runId) return 0;
     try {
@@ -238,7 +238,7 @@ export class MarketDataService {
         const bothNull = (snippets == null || (Array.isArray(snippets) && snippets.length === 0)) &&
           (newDataVal == null || newDataVal === '' || newDataVal === 'N/A');
         const snippetsStr = snippets == null ? '' : (Array.isArray(snippets)
-          ? snippets.map((s) => (s && s.value != null) ? `[${s.page_url || ''}]\n${s.value}` : '').filter(Boolean).join('\n==========================\n')
+          ? snippets.map((s) => (s && s.value != null) ? `[${s.page_url || ''}]${s.source ? ` (${s.source})` : ''}\n${s.value}` : '').filter(Boolean).join('\n==========================\n')
           : '');
         const newDataStr = newDataVal == null ? '' : String(newDataVal);
         debugPayload[field.name] = bothNull ? null
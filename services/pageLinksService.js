@@ -0,0 +1,98 @@
+import { executeQuery } from '../config/database.js';
+import { T, TABLE_NAMES } from '../middleware/constants.js';
+
+const TABLE = TABLE_NAMES.HOTEL_PAGE_LINKS_TABLE;
+const { HOTEL_PAGE_DATA_TABLE } = TABLE_NAMES;
+
+// Anchor texts passed per page as a routing hint (see aggregateScrapedController)
+const MAX_ANCHOR_TEXTS_PER_PAGE = 10;
+
+/**
+ * Site link graph: one row per (source page, target URL, anchor text, region) found while crawling.
+ */
+export class PageLinksService {
+  static TABLE = TABLE;
+
+  static INSERTABLE_FIELDS = [
+    { name: 'hotel_uuid', type: T.TEXT },
+    { name: 'source_url', type: T.TEXT },
+    { name: 'target_url', type: T.TEXT },
+    { name: 'anchor_text', type: T.TEXT },
+    // nav | header | footer | content
+    { name: 'link_region', type: T.TEXT },
+    { name: 'created_at', type: T.TIMESTAMP },
+  ];
+
+  /**
+   * Replace the outgoing links of one page with the links found in this crawl.
+   * @param {string} hotelUuid
+   * @param {string} sourceUrl - Canonical URL of the linking page
+   * @param {Array<{ target_url: string, anchor_text: string, link_region: string }>} links
+   * @returns {Promise<number>} Inserted rows
+   */
+  static async replaceLinksForPage(hotelUuid, sourceUrl, links = []) {
+    if (!hotelUuid) throw new Error(`${TABLE}.replaceLinksForPage requires hotelUuid`);
+    if (!sourceUrl) throw new Error(`${TABLE}.replaceLinksForPage requires sourceUrl`);
+
+    await executeQuery(`DELETE FROM ${TABLE} WHERE hotel_uuid = ? AND source_url = ?`, [hotelUuid, sourceUrl]);
+    if (links.length === 0) return 0;
+
+    const placeholders = links.map(() => '(?, ?, ?, ?, ?, CURRENT_TIMESTAMP)').join(', ');
+    const values = links.flatMap((link) => [hotelUuid, sourceUrl, link.target_url, link.anchor_text || '', link.link_region || '']);
+    const query = `
+      INSERT INTO ${TABLE} (hotel_uuid, source_url, target_url, anchor_text, link_region, created_at)
+      VALUES ${placeholders}
+    `;
+    const result = await executeQuery(query, values);
+    return result.affectedRows || 0;
+  }
+
+  /**
+   * All links of a hotel.
+   * @param {string} hotelUuid
+   * @returns {Promise<Array<{ source_url: string, target_url: string, anchor_text: string, link_region: string }>>}
+   */
+  static async getLinksByHotel(hotelUuid) {
+    if (!hotelUuid) throw new Error(`${TABLE}.getLinksByHotel requires hotelUuid`);
+    const query = `
+      SELECT source_url, target_url, anchor_text, link_region
+      FROM ${TABLE}
+      WHERE hotel_uuid = ?
+      ORDER BY source_url, target_url
+    `;
+    return executeQuery(query, [hotelUuid]);
+  }
+
+  /**
+   * Anchor texts other pages use to link to each page, most frequent first (self-links ignored).
+   * Only links of active source pages count; deactivated or removed pages no longer vouch for a page's topic.
+   * @param {string} hotelUuid
+   * @returns {Promise<Map<string, Array<string>>>} Anchor texts keyed by target URL
+   */
+  static async getAnchorTextsByTarget(hotelUuid) {
+    if (!hotelUuid) throw new Error(`${TABLE}.getAnchorTextsByTarget requires hotelUuid`);
+    // Semi-join rather than JOIN: a source page stored twice (legacy rows) must not count its links twice
+    const query = `
+      SELECT l.target_url, l.anchor_text, COUNT(*) AS link_count
+      FROM ${TABLE} l
+      WHERE l.hotel_uuid = ? AND l.anchor_text <> '' AND l.source_url <> l.target_url
+        AND EXISTS (
+          SELECT 1 FROM ${HOTEL_PAGE_DATA_TABLE} p
+          WHERE p.hotel_uuid = l.hotel_uuid AND p.page_url = l.source_url AND p.active = 1
+        )
+      GROUP BY l.target_url, l.anchor_text
+      ORDER BY l.target_url, link_count DESC
+    `;
+    const rows = await executeQuery(query, [hotelUuid]);
+    const anchorTexts = new Map();
+    for (const row of rows) {
+      const texts = anchorTexts.get(row.target_url) || [];
+      const seen = new Set(texts.map((text) => text.toLowerCase()));
+      if (texts.length < MAX_ANCHOR_TEXTS_PER_PAGE && !seen.has(row.anchor_text.toLowerCase())) {
+        texts.push(row.anchor_text);
+      }
+      anchorTexts.set(row.target_url, texts);
+    }
+    return anchorTexts;
+  }
+}
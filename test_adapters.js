@@ -0,0 +1,51 @@
+import { runFixtures, withStaticDom } from './utils/fixtureRunner.js';
+import { collectRawLinksInPage, cleanPageDomInPage } from './utils/pageDom.js';
+import { adapterSignatureSelectors, readAdapterSignalsInPage, matchSiteAdapters, mergeSiteAdapters, filterAdapterLinks } from './adapters/index.js';
+
+/**
+ * Run adapter matching, link filtering and cleanup on one fixture the way the scraper does.
+ * @param {{ file: string, content: string, expected: Object }} fixture - expected: { url, depth, keepPageChrome, adapters, removed, kept, excludedLinks, keptLinks }
+ * @returns {Promise<Array<string>>} Problems found (empty when the fixture passes)
+ */
+async function checkFixture({ content, expected }) {
+  return withStaticDom(content, expected.url, async (dom) => {
+    const signals = await dom.evaluate(readAdapterSignalsInPage, adapterSignatureSelectors());
+    const siteAdapter = mergeSiteAdapters(matchSiteAdapters(signals));
+    const rawLinks = await dom.evaluate(collectRawLinksInPage);
+    const links = filterAdapterLinks(rawLinks, expected.url, siteAdapter).map(({ href }) => new URL(href, expected.url).href);
+    const bodyHtml = await dom.evaluate(cleanPageDomInPage, {
+      currentDepth: expected.depth,
+      removeSelectors: siteAdapter.cleanupSelectors,
+      contentRootSelectors: siteAdapter.contentRootSelectors,
+      keepPageChrome: Boolean(expected.keepPageChrome),
+    });
+    const text = bodyHtml.replace(/<[^>]+>/g, ' ').replace(/&amp;/g, '&').replace(/\s+/g, ' ');
+
+    const problems = [];
+    if (siteAdapter.names.join(',') !== (expected.adapters || []).join(',')) {
+      problems.push(`adapters: expected [${(expected.adapters || []).join(', ')}], got [${siteAdapter.names.join(', ')}]`);
+    }
+    for (const snippet of expected.removed || []) {
+      if (text.includes(snippet)) problems.push(`not removed: ${snippet}`);
+    }
+    for (const snippet of expected.kept || []) {
+      if (!text.includes(snippet)) problems.push(`missing text: ${snippet}`);
+    }
+    for (const url of expected.excludedLinks || []) {
+      if (links.includes(url)) problems.push(`link not excluded: ${url}`);
+    }
+    for (const url of expected.keptLinks || []) {
+      if (!links.includes(url)) problems.push(`link dropped: ${url}`);
+    }
+    return problems;
+  });
+}
+
+// Each fixture in fixtures/adapters is a saved page of one platform; expected.json lists what the adapters must do
+runFixtures({
+  name: 'Adapter',
+  dir: 'adapters',
+  check: checkFixture,
+  passLabel: (file, expected) => expected.adapters.join(', ') || 'no adapter',
+  failLabel: 'adapter mismatch',
+});
@@ -0,0 +1,31 @@
+import { runFixtures, withStaticDom } from './utils/fixtureRunner.js';
+import { readPageSignalsInPage } from './utils/pageDom.js';
+import { classifyPage } from './utils/pageClassifier.js';
+
+/**
+ * Classify one fixture with the signals the scraper reads from the page.
+ * @param {{ file: string, content: string, expected: Object }} fixture - expected: { url, status, headers, verdict }
+ * @returns {Promise<Array<string>>} Problems found (empty when the fixture passes)
+ */
+async function checkFixture({ content, expected }) {
+  return withStaticDom(content, expected.url, async (dom) => {
+    const signals = await dom.evaluate(readPageSignalsInPage);
+    const { verdict, reason } = classifyPage({
+      status: expected.status || 200,
+      headers: expected.headers || {},
+      title: dom.title,
+      ...signals,
+    });
+    return verdict === expected.verdict ? [] : [`verdict: expected ${expected.verdict}, got ${verdict}${reason ? ` (${reason})` : ''}`];
+  });
+}
+
+// Each fixture in fixtures/classifier is a saved page (bot wall, challenge, parked domain, soft 404 or a short real page);
+// expected.json lists the verdict the classifier must return
+runFixtures({
+  name: 'Classifier',
+  dir: 'classifier',
+  check: checkFixture,
+  passLabel: (file, expected) => expected.verdict,
+  failLabel: 'wrong verdict',
+});
@@ -0,0 +1,36 @@
+import { runFixtures, withStaticDom } from './utils/fixtureRunner.js';
+import { collectContactLinksInPage, normalizeContactLinks, phoneRegionFromUrl } from './utils/contactLinks.js';
+
+/**
+ * Collect and normalize the contact links of one fixture the way the scraper does.
+ * @param {{ file: string, content: string, expected: Object }} fixture - expected: { url, contacts: ["type:value"], absent: ["type:value"], onlyListed }
+ * @returns {Promise<Array<string>>} Problems found (empty when the fixture passes)
+ */
+async function checkFixture({ content, expected }) {
+  return withStaticDom(content, expected.url, async (dom) => {
+    const links = await dom.evaluate(collectContactLinksInPage);
+    const contacts = normalizeContactLinks(links, { defaultRegion: phoneRegionFromUrl(expected.url) }).map((c) => `${c.type}:${c.value}`);
+
+    const problems = [];
+    for (const contact of expected.contacts || []) {
+      if (!contacts.includes(contact)) problems.push(`missing contact: ${contact} (got ${contacts.join(', ') || 'none'})`);
+    }
+    for (const contact of expected.absent || []) {
+      if (contacts.includes(contact)) problems.push(`unexpected contact: ${contact}`);
+    }
+    if (expected.onlyListed) {
+      contacts.filter((contact) => !(expected.contacts || []).includes(contact))
+        .forEach((contact) => problems.push(`unexpected contact: ${contact}`));
+    }
+    return problems;
+  });
+}
+
+// Each fixture in fixtures/contact-links is a page with contact links; expected.json lists the normalized contacts
+runFixtures({
+  name: 'Contact link',
+  dir: 'contact-links',
+  check: checkFixture,
+  passLabel: (file, expected) => `${expected.contacts.length} contact(s)`,
+  failLabel: 'contact mismatch',
+});
@@ -6,6 +6,7 @@ import { LogRunEventsService } from './services/log/logRunEventsService.js';
 import { LogPagesService } from './services/log/logPagesService.js';
 import { LogCategoriesService } from './services/log/logCategoriesService.js';
 import { LogFailuresService } from './services/log/logFailuresService.js';
+import { PageLinksService } from './services/pageLinksService.js';
 
 function namesFromFieldDefs(fieldDefs = []) {
   return fieldDefs
@@ -108,6 +109,72 @@ async function main() {
         ])
       ),
     },
+    {
+      serviceName: 'PageLinksService',
+      tableName: PageLinksService.TABLE,
+      expectedFields: Array.from(
+        new Set([
+          ...namesFromFieldDefs(PageLinksService.INSERTABLE_FIELDS),
+          'id',
+        ])
+      ),
+    },
+    // HotelService-related schema fields referenced by service logic.
+    {
+      serviceName: 'HotelService.hotel_list',
+      tableName: 'hotel_list',
+      expectedFields: [
+        'id',
+        'hotel_uuid',
+        'name',
+        'hotel_url',
+        'is_deleted',
+        'crawl_allowed_hosts',
+        'crawl_max_pages',
+        'crawl_max_minutes',
+        'crawl_max_bytes',
+        'crawl_block_resources',
+        'crawl_spa_discovery',
+        'crawl_remove_selectors',
+        'crawl_content_root',
+        'crawl_exclude_url_patterns',
+        'crawl_keep_page_chrome',
+      ],
+    },
+    // Scrape/aggregate controllers: hotel_page_data fields referenced by page storage and extraction.
+    {
+      serviceName: 'scrapeController.hotel_page_data',
+      tableName: TABLE_NAMES.HOTEL_PAGE_DATA_TABLE,
+      expectedFields: [
+        'id',
+        'hotel_uuid',
+        'page_url',
+        'checksum',
+        'html',
+        'html_raw',
+        'html_prev',
+        'markdown',
+        'markdown_prev',
+        'is_checksum_updated',
+        'depth',
+        'content_type',
+        'structured_data',
+        'contact_links',
+        'missed_runs',
+        'etag',
+        'last_modified',
+        'sitemap_lastmod',
+        'rendered_at',
+        'simhash',
+        'duplicate_of_page_id',
+        'duplicate_distance',
+        'active',
+        'updated_at',
+        'llm_input_checksum',
+        'llm_output',
+        'llm_updated',
+      ],
+    },
     // MarketDataService-related schema fields referenced by service logic.
     {
       serviceName: 'MarketDataService.market_data',
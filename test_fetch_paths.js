@@ -0,0 +1,73 @@
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { runFixtures, withStaticDom } from './utils/fixtureRunner.js';
+import { EXPANDED_ATTRIBUTE, readPageSignalsInPage, expandHiddenContentInPage } from './utils/pageDom.js';
+import { detectJsRenderedPage, detectInteractiveContentInPage } from './utils/staticPage.js';
+import { convertPageDom } from './utils/pageMarkdown.js';
+import { loadVolatilityConfig } from './utils/volatility.js';
+
+const FIXTURE_URL = 'https://www.seaside-hotel.example/page/';
+// Converted like a page below the start page, without hotel overrides
+const CONVERSION_OPTIONS = {
+  depth: 1,
+  hotelCleanup: { removeSelectors: [], contentRootSelectors: [], keepPageChrome: false },
+  contactRegion: 'GB',
+  volatility: loadVolatilityConfig(),
+};
+
+/**
+ * Stand-in for the browser path (no browser here): the page's scripts run, the window gets a scroll event and
+ * expandHiddenContentInPage clicks its toggles, as renderPageInBrowser does. JSDOM has no layout, so every element
+ * counts as visible.
+ * @param {string} html
+ * @param {string} url
+ * @param {(dom: { evaluate: Function }) => Promise<*>} fn
+ * @returns {Promise<*>} What fn returns
+ */
+async function withRenderedDom(html, url, fn) {
+  const { window } = new JSDOM(html, { url, runScripts: 'dangerously', pretendToBeVisual: true, virtualConsole: new VirtualConsole() });
+  try {
+    if (window.document.readyState !== 'complete') {
+      await new Promise((resolve) => window.addEventListener('load', resolve));
+    }
+    window.HTMLElement.prototype.getClientRects = () => [{ width: 1, height: 1 }];
+    const evaluate = async (pageFn, arg) => window.eval(`(${pageFn.toString()})(${arg === undefined ? '' : JSON.stringify(arg)})`);
+    window.dispatchEvent(new window.Event('scroll'));
+    await evaluate(expandHiddenContentInPage, { deadline: Date.now() + 5000, clickDelayMs: 0, expandedAttribute: EXPANDED_ATTRIBUTE });
+    return await fn({ evaluate });
+  } finally {
+    window.close();
+  }
+}
+
+/**
+ * Run the static path's fallback checks on one fixture, and compare its conversion with the rendered page's.
+ * @param {{ file: string, content: string, expected: Object }} fixture - expected: { fallback }
+ * @returns {Promise<Array<string>>} Problems found (empty when the fixture passes)
+ */
+async function checkFixture({ content: html, expected }) {
+  const viaHttp = await withStaticDom(html, FIXTURE_URL, async ({ evaluate }) => {
+    const signals = await evaluate(readPageSignalsInPage);
+    const fallback = detectJsRenderedPage({ url: FIXTURE_URL, html, text: signals.text, linkCount: signals.linkCount })
+      || await evaluate(detectInteractiveContentInPage);
+    return { fallback, ...(await convertPageDom(evaluate, CONVERSION_OPTIONS)) };
+  });
+  const viaBrowser = await withRenderedDom(html, FIXTURE_URL, ({ evaluate }) => convertPageDom(evaluate, CONVERSION_OPTIONS));
+
+  const problems = [];
+  if (viaHttp.fallback !== expected.fallback) problems.push(`fallback: expected ${expected.fallback}, got ${viaHttp.fallback}`);
+  const same = viaHttp.markdown === viaBrowser.markdown && viaHttp.checksum === viaBrowser.checksum;
+  if (!viaHttp.fallback && !same) {
+    problems.push(`static markdown differs from the rendered page's:\n--- http\n${viaHttp.markdown}\n--- browser\n${viaBrowser.markdown}`);
+  }
+  if (viaHttp.fallback && same) problems.push('rendering adds nothing, so the fallback is not needed');
+  return problems;
+}
+
+// Each fixture in fixtures/fetch-paths is a page the static path either keeps (same markdown as rendered) or sends
+// to the browser (rendering adds content); expected.json names the fallback reason
+await runFixtures({
+  name: 'Fetch path',
+  dir: 'fetch-paths',
+  check: checkFixture,
+  passLabel: (file, expected) => (expected.fallback ? `browser (${expected.fallback})` : 'http, same markdown'),
+});
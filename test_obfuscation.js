@@ -0,0 +1,41 @@
+import { runFixtures, withStaticDom } from './utils/fixtureRunner.js';
+import { decodeObfuscatedContactsInPage } from './utils/deobfuscation.js';
+import { collectContactLinksInPage, normalizeContactLinks } from './utils/contactLinks.js';
+
+const PLACEHOLDER_RE = /email.protected|protected from spambots|protetto dagli spambots/i;
+
+/**
+ * Decode one fixture the way the scraper does (static DOM, before cleanup).
+ * @param {{ file: string, content: string, expected: Object }} fixture - expected: { decoded: { scheme: count },
+ *   contacts: ["type:value"], text: [string] }
+ * @returns {Promise<Array<string>>} Problems found (empty when the fixture passes)
+ */
+async function checkFixture({ file, content, expected }) {
+  return withStaticDom(content, `https://www.example.com/${file}`, async (dom) => {
+    const decoded = await dom.evaluate(decodeObfuscatedContactsInPage);
+    const contacts = normalizeContactLinks(await dom.evaluate(collectContactLinksInPage)).map((c) => `${c.type}:${c.value}`);
+    const text = (await dom.evaluate(() => document.body.textContent)).replace(/\s+/g, ' ');
+
+    const problems = [];
+    for (const [scheme, count] of Object.entries(expected.decoded || {})) {
+      if (decoded[scheme] !== count) problems.push(`decoded ${scheme}: expected ${count}, got ${decoded[scheme]}`);
+    }
+    for (const contact of expected.contacts || []) {
+      if (!contacts.includes(contact)) problems.push(`missing contact link: ${contact} (got ${contacts.join(', ') || 'none'})`);
+    }
+    for (const snippet of expected.text || []) {
+      if (!text.includes(snippet)) problems.push(`missing text: ${snippet}`);
+    }
+    if (PLACEHOLDER_RE.test(text)) problems.push('obfuscation placeholder left in text');
+    return problems;
+  });
+}
+
+// Each fixture in fixtures/obfuscation covers one scheme; expected.json lists what must be decoded
+runFixtures({
+  name: 'Obfuscation',
+  dir: 'obfuscation',
+  check: checkFixture,
+  passLabel: () => 'decoded',
+  failLabel: 'decoding mismatch',
+});
@@ -0,0 +1,29 @@
+import { runFixtures } from './utils/fixtureRunner.js';
+import { createCrawlScope } from './utils/urlScope.js';
+
+/**
+ * Build the crawl scope of one case and check which URLs it admits.
+ * @param {{ expected: Object }} fixture - expected: { startUrl, allowedHosts, inScope: [url], outOfScope: [url] }
+ * @returns {Promise<Array<string>>} Problems found (empty when the case passes)
+ */
+async function checkCase({ expected }) {
+  const scope = createCrawlScope(expected.startUrl, expected.allowedHosts);
+  const problems = [];
+  for (const url of expected.inScope || []) {
+    if (!scope.isInScope(url)) problems.push(`out of scope, expected in scope: ${url}`);
+  }
+  for (const url of expected.outOfScope || []) {
+    if (scope.isInScope(url)) problems.push(`in scope, expected out of scope: ${url}`);
+  }
+  return problems;
+}
+
+// Each entry of fixtures/scope/expected.json is a start URL (plus allowlist) and URLs that must or must not be crawled
+runFixtures({
+  name: 'Scope',
+  dir: 'scope',
+  check: checkCase,
+  passLabel: (name, expected) => `${expected.inScope.length} in, ${expected.outOfScope.length} out`,
+  failLabel: 'scope mismatch',
+  extension: null,
+});
@@ -0,0 +1,35 @@
+import { runFixtures, withStaticDom } from './utils/fixtureRunner.js';
+import { htmlToMarkdown, normalizeMarkdown } from './utils/pageMarkdown.js';
+
+const FIXTURE_URL = 'https://www.seaside-hotel.example/tables/';
+// Separator line of a GFM table ("| --- | --- |")
+const TABLE_SEPARATOR_RE = /^\| ---( \| ---)* \|$/gm;
+
+/**
+ * Convert one fixture's body with the crawler's Turndown rules (the gfmTables rule and utils/markdownTables.js).
+ * Whitespace between tags is dropped first, as the crawler's cleanup does.
+ * @param {{ file: string, content: string, expected: Object }} fixture - expected: { tables, contains }
+ * @returns {Promise<Array<string>>} Problems found (empty when the fixture passes)
+ */
+async function checkFixture({ content, expected }) {
+  const bodyHtml = await withStaticDom(content, FIXTURE_URL, (dom) => dom.evaluate(() => document.body.innerHTML));
+  const markdown = normalizeMarkdown(htmlToMarkdown(bodyHtml.replace(/>\s+</g, '><').trim()));
+
+  const problems = [];
+  const tables = (markdown.match(TABLE_SEPARATOR_RE) || []).length;
+  if (tables !== expected.tables) problems.push(`tables: expected ${expected.tables}, got ${tables}`);
+  for (const block of expected.contains || []) {
+    if (!markdown.includes(block)) problems.push(`missing markdown:\n${block}`);
+  }
+  if (problems.length > 0) problems.push(`markdown was:\n${markdown}`);
+  return problems;
+}
+
+// Each fixture in fixtures/tables is a page with a data or layout table; expected.json lists the markdown it must produce
+await runFixtures({
+  name: 'Table',
+  dir: 'tables',
+  check: checkFixture,
+  passLabel: (file, expected) => `${expected.tables} table(s)`,
+  failLabel: 'markdown mismatch',
+});
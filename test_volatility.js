@@ -0,0 +1,37 @@
+import { computeChecksum } from './utils/custom.js';
+import { loadVolatilityConfig, maskVolatileContent } from './utils/volatility.js';
+import { runFixtures } from './utils/fixtureRunner.js';
+
+/**
+ * Apply each edit to one fixture and compare the masked checksums, the way the scraper hashes markdown.
+ * @param {{ file: string, content: string, expected: Object }} fixture - expected: { edits: [{ find, replace, changes }] }
+ * @returns {Promise<Array<string>>} Problems found (empty when the fixture passes)
+ */
+async function checkFixture({ content: markdown, expected }) {
+  const volatility = loadVolatilityConfig();
+  const checksum = (text) => computeChecksum(maskVolatileContent(text, volatility).trim());
+  const original = checksum(markdown);
+
+  const problems = [];
+  for (const { find, replace, changes } of expected.edits || []) {
+    if (!markdown.includes(find)) {
+      problems.push(`edit target not in fixture: ${find}`);
+      continue;
+    }
+    const changed = checksum(markdown.replace(find, replace)) !== original;
+    if (changed !== changes) {
+      problems.push(`"${find}" -> "${replace}": checksum ${changed ? 'changed' : 'unchanged'}, expected ${changes ? 'a change' : 'no change'}`);
+    }
+  }
+  return problems;
+}
+
+// Each fixture in fixtures/volatility is page markdown; expected.json lists edits and whether each must change the checksum
+runFixtures({
+  name: 'Volatility',
+  dir: 'volatility',
+  check: checkFixture,
+  passLabel: (file, expected) => `${expected.edits.length} edit(s)`,
+  failLabel: 'checksum mismatch',
+  extension: '.md',
+});
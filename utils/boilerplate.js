@@ -0,0 +1,81 @@
+// Site-level boilerplate: markdown blocks repeated across most pages of a hotel (promo banners,
+// newsletter forms, address footers). They are stored once per hotel as a "site chrome" document
+// and stripped from the per-page markdown sent to the LLM (see aggregateScrapedController).
+
+// hotel_page_data.content_type of the site chrome document
+export const SITE_CHROME_CONTENT_TYPE = 'text/x-site-chrome';
+
+/**
+ * page_url of a hotel's site chrome document (a pseudo URL; never crawled).
+ * @param {string} hotelUuid
+ * @returns {string}
+ */
+export function siteChromePageUrl(hotelUuid) {
+  return `site-chrome:${hotelUuid}`;
+}
+
+/**
+ * Split markdown into blocks separated by blank lines (lists and tables stay one block).
+ * @param {string} markdown
+ * @returns {Array<string>}
+ */
+export function splitMarkdownBlocks(markdown) {
+  return String(markdown || '')
+    .split(/\n[ \t]*\n+/)
+    .map((block) => block.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Comparison key of a block (whitespace-insensitive).
+ * @param {string} block
+ * @returns {string}
+ */
+function blockKey(block) {
+  return block.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Find blocks repeated across most pages.
+ * Pages are visited in the given order, so the chrome document lists blocks in a stable order.
+ *
+ * @param {Array<{ markdown: string }>} pages - Pages of one hotel (sorted deterministically by the caller)
+ * @param {Object} [options]
+ * @param {number} [options.minRatio=0.6] - Share of pages a block must appear on
+ * @param {number} [options.minPages=5] - Below this many pages no boilerplate is detected
+ * @returns {Array<string>} Boilerplate blocks in order of first appearance
+ */
+export function detectBoilerplateBlocks(pages, { minRatio = 0.6, minPages = 5 } = {}) {
+  if (pages.length < minPages || !(minRatio > 0)) return [];
+
+  const pageCounts = new Map();
+  const firstSeen = new Map();
+  for (const page of pages) {
+    const keys = new Set();
+    for (const block of splitMarkdownBlocks(page.markdown)) {
+      const key = blockKey(block);
+      keys.add(key);
+      if (!firstSeen.has(key)) firstSeen.set(key, block);
+    }
+    keys.forEach((key) => pageCounts.set(key, (pageCounts.get(key) || 0) + 1));
+  }
+
+  const threshold = Math.max(minPages, Math.ceil(pages.length * minRatio));
+  return [...firstSeen.entries()]
+    .filter(([key]) => pageCounts.get(key) >= threshold)
+    .map(([, block]) => block);
+}
+
+/**
+ * Remove boilerplate blocks from a page's markdown.
+ * @param {string} markdown
+ * @param {string} siteChromeMarkdown - Markdown of the site chrome document
+ * @returns {string}
+ */
+export function stripBoilerplate(markdown, siteChromeMarkdown) {
+  const chromeKeys = new Set(splitMarkdownBlocks(siteChromeMarkdown).map(blockKey));
+  if (chromeKeys.size === 0) return markdown;
+  return splitMarkdownBlocks(markdown)
+    .filter((block) => !chromeKeys.has(blockKey(block)))
+    .join('\n\n');
+}
@@ -0,0 +1,171 @@
+import { parsePhoneNumberFromString } from 'libphonenumber-js';
+
+// Social networks whose profile links count as contact channels (host suffix -> network name)
+const SOCIAL_NETWORKS = [
+  ['facebook.com', 'facebook'], ['fb.com', 'facebook'], ['instagram.com', 'instagram'], ['twitter.com', 'x'],
+  ['x.com', 'x'], ['linkedin.com', 'linkedin'], ['youtube.com', 'youtube'], ['tiktok.com', 'tiktok'],
+  ['pinterest.com', 'pinterest'], ['threads.net', 'threads'],
+];
+// Share buttons, intents and embeds point at the network, not at the hotel's profile
+const SOCIAL_NON_PROFILE_RE = /^\/(sharer|share|intent|dialog|plugins|pin\/create|home|login|signup|embed|hashtag|search|tr)\b|^\/?$/i;
+// Posts, videos and photos on a network are content, not the hotel's profile
+const SOCIAL_CONTENT_PATHS = {
+  facebook: /\/(photos?|posts|videos|events|reel|watch|permalink\.php|story\.php)(\/|$)/i,
+  instagram: /^\/(p|reels?|tv|stories|explore)(\/|$)/i,
+  youtube: /^\/(watch|shorts|playlist|results|live)(\/|$)|\/(shorts|live)(\/|$)/i,
+  x: /\/status(es)?(\/|$)/i,
+  tiktok: /\/video(\/|$)/i,
+  pinterest: /^\/pin(\/|$)/i,
+  linkedin: /^\/(posts|feed|pulse)(\/|$)/i,
+  threads: /\/post(\/|$)/i,
+};
+// Query parameters that identify a profile (facebook.com/profile.php?id=123); all others are dropped
+const SOCIAL_PROFILE_PARAMS = {
+  facebook: ['id'],
+};
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Collect tel:, sms:, mailto:, WhatsApp and social profile links with their labels.
+ * Runs inside the document (page.evaluate / JSDOM), so it must stay self-contained; call before the cleanup
+ * removes social widgets.
+ * @returns {Array<{ href: string, label: string, context: string }>} label: link text (or aria-label/title);
+ *   context: text of the enclosing element when it adds to the label (e.g. "Reservations: ...")
+ */
+export function collectContactLinksInPage() {
+  const CONTACT_HREF_RE = /^(tel|sms|mailto|whatsapp):|^https?:\/\/([a-z0-9-]+\.)*(wa\.me|whatsapp\.com|facebook\.com|fb\.com|instagram\.com|twitter\.com|x\.com|linkedin\.com|youtube\.com|tiktok\.com|pinterest\.com|threads\.net)(\/|$)/i;
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+  const seen = new Set();
+  const links = [];
+  document.querySelectorAll('a[href]').forEach((a) => {
+    let href = (a.getAttribute('href') || '').trim();
+    try {
+      href = new URL(href, location.href).href;
+    } catch {
+      // Keep the attribute value as is
+    }
+    if (!CONTACT_HREF_RE.test(href)) return;
+    const label = clean(a.textContent) || clean(a.getAttribute('aria-label')) || clean(a.getAttribute('title'));
+    // Only a short enclosing element around this single link describes it ("Reservations: +49 ...")
+    const parent = a.parentElement;
+    const parentText = parent && parent !== document.body && parent.querySelectorAll('a').length === 1 ? clean(parent.textContent) : '';
+    const context = parentText && parentText !== label && parentText.length <= 160 ? parentText : '';
+    const key = `${href}\n${label}\n${context}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    links.push({ href, label: label.slice(0, 160), context });
+  });
+  return links;
+}
+
+/**
+ * Default phone region from a hotel URL's country-code TLD (".de" -> "DE", ".co.uk" -> "GB").
+ * @param {string} url
+ * @returns {string|undefined}
+ */
+export function phoneRegionFromUrl(url) {
+  try {
+    const tld = new URL(url).hostname.split('.').pop().toUpperCase();
+    if (tld === 'UK') return 'GB';
+    return /^[A-Z]{2}$/.test(tld) ? tld : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Normalize a phone number to E.164.
+ * @param {string} raw
+ * @param {string|undefined} defaultRegion - ISO 3166-1 alpha-2 region for national numbers
+ * @returns {{ value: string, valid: boolean }} E.164 when valid, otherwise the digits (with a leading + if present)
+ */
+function normalizePhone(raw, defaultRegion) {
+  const text = String(raw || '').trim();
+  const parsed = parsePhoneNumberFromString(text, defaultRegion);
+  if (parsed && parsed.isValid()) return { value: parsed.number, valid: true };
+  return { value: `${text.startsWith('+') ? '+' : ''}${text.replace(/\D/g, '')}`, valid: false };
+}
+
+/**
+ * Decode the target of a URI scheme link ("tel:+49%2030..." -> "+49 30...").
+ * @param {string} href
+ * @returns {string}
+ */
+function schemeTarget(href) {
+  const target = href.replace(/^[a-z]+:(\/\/)?/i, '').split(/[?;]/)[0];
+  try {
+    return decodeURIComponent(target);
+  } catch {
+    return target;
+  }
+}
+
+/**
+ * Normalize collected contact links: phones (tel:, sms:) and WhatsApp numbers to E.164, emails to lowercase,
+ * social profiles to a canonical profile URL (lowercase host, original path case, identifying query parameters only;
+ * posts and videos are skipped). Duplicates are merged (labels kept from the first occurrence).
+ *
+ * @param {Array<{ href: string, label: string, context: string }>} links - From collectContactLinksInPage
+ * @param {Object} [options]
+ * @param {string} [options.defaultRegion] - Region for national phone numbers (see phoneRegionFromUrl)
+ * @returns {Array<{ type: string, value: string, label: string, context: string, network?: string, valid?: boolean }>}
+ *   type: phone | whatsapp | email | social
+ */
+export function normalizeContactLinks(links = [], { defaultRegion } = {}) {
+  const contacts = new Map();
+  const add = (contact) => {
+    const key = `${contact.type}\n${contact.value}`;
+    if (contact.value && !contacts.has(key)) contacts.set(key, contact);
+  };
+
+  for (const { href = '', label = '', context = '' } of links) {
+    const scheme = (href.match(/^([a-z]+):/i)?.[1] || '').toLowerCase();
+    if (scheme === 'tel' || scheme === 'sms') {
+      add({ type: 'phone', ...normalizePhone(schemeTarget(href), defaultRegion), label, context });
+      continue;
+    }
+    if (scheme === 'mailto') {
+      schemeTarget(href).split(',').map((email) => email.trim().toLowerCase())
+        .filter((email) => EMAIL_RE.test(email))
+        .forEach((email) => add({ type: 'email', value: email, label, context }));
+      continue;
+    }
+
+    let url;
+    try {
+      url = new URL(href);
+    } catch {
+      continue;
+    }
+    const host = url.hostname.toLowerCase().replace(/^(www|m|mobile|api|web)\./, '');
+    if (scheme === 'whatsapp' || host === 'wa.me' || host.endsWith('whatsapp.com')) {
+      const number = host === 'wa.me' ? url.pathname.slice(1) : url.searchParams.get('phone');
+      if (number) add({ type: 'whatsapp', ...normalizePhone(`+${number.replace(/^\+/, '')}`, defaultRegion), label, context });
+      continue;
+    }
+    const network = SOCIAL_NETWORKS.find(([suffix]) => host === suffix || host.endsWith(`.${suffix}`))?.[1];
+    if (network && !SOCIAL_NON_PROFILE_RE.test(url.pathname) && !SOCIAL_CONTENT_PATHS[network]?.test(url.pathname)) {
+      // Paths keep their case: YouTube channel ids (/channel/UC...) are case-sensitive
+      const path = url.pathname.replace(/\/+$/, '');
+      const query = new URLSearchParams((SOCIAL_PROFILE_PARAMS[network] || [])
+        .filter((param) => url.searchParams.get(param))
+        .map((param) => [param, url.searchParams.get(param)])).toString();
+      add({ type: 'social', network, value: `https://${host}${path}${query ? `?${query}` : ''}`, label, context });
+    }
+  }
+  return [...contacts.values()];
+}
+
+/**
+ * Contact candidates as prompt lines ("- Phone: +4930123456 (Reservations)").
+ * @param {Array<Object>} contacts - From normalizeContactLinks
+ * @returns {string}
+ */
+export function contactLinksToText(contacts = []) {
+  const typeLabels = { phone: 'Phone', whatsapp: 'WhatsApp', email: 'Email', social: 'Social profile' };
+  return contacts.map((contact) => {
+    const name = contact.type === 'social' ? `${typeLabels.social} (${contact.network})` : typeLabels[contact.type] || contact.type;
+    const details = [contact.label !== contact.value ? contact.label : '', contact.context].filter(Boolean).join(' | ');
+    return `- ${name}: ${contact.value}${details ? ` (link text/context: ${details})` : ''}`;
+  }).join('\n');
+}
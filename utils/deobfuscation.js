@@ -0,0 +1,187 @@
+// Contact obfuscation schemes decoded in the page before cleanup (see DECODE_OBFUSCATED_CONTACTS_IN_PAGE in scrapeController).
+// Fixtures for every scheme live in fixtures/obfuscation (npm run test:obfuscation).
+
+/**
+ * Decode obfuscated emails and phone numbers in place, so the markdown and the contact links see the real values.
+ * Runs inside the document (page.evaluate / JSDOM), so it must stay self-contained. Scripts are read, never executed.
+ *
+ * Schemes:
+ * - cloudflare: Cloudflare email protection (data-cfemail, /cdn-cgi/l/email-protection#...)
+ * - joomla_cloak: Joomla email cloaking (<span id="cloak..."> filled by an inline "addy" script)
+ * - typo3_crypt: TYPO3 spam protection (javascript:linkTo_UnCryptMailto('...'), shifted char codes)
+ * - data_attributes: links assembled from data-user/data-domain (or similar) attributes, or base64 data-email/data-tel
+ * - reversed_text: text reversed in the source and flipped back by CSS (direction: rtl; unicode-bidi: bidi-override)
+ * - at_dot_text: "info [at] hotel [dot] com" style text
+ * - email_image: email addresses rendered as images (decoded from alt/title when they hold the address)
+ *
+ * @returns {Object<string, number>} Decoded elements per scheme
+ */
+export function decodeObfuscatedContactsInPage() {
+  const counts = {
+    cloudflare: 0, joomla_cloak: 0, typo3_crypt: 0, data_attributes: 0, reversed_text: 0, at_dot_text: 0, email_image: 0,
+  };
+  const EMAIL_RE = /^[^\s@<>()[\]]+@[^\s@<>()[\]]+\.[a-z]{2,}$/i;
+  const PHONE_RE = /^\+?[\d\s().\-/]{6,}$/;
+  const decodeEntities = (value) => {
+    const textarea = document.createElement('textarea');
+    textarea.innerHTML = value;
+    return textarea.value;
+  };
+  const setLink = (el, href, text) => {
+    if (el.tagName === 'A') el.setAttribute('href', href);
+    el.textContent = text;
+  };
+
+  // cloudflare: hex string, first byte is the XOR key for the rest
+  const decodeCfEmail = (hex) => {
+    if (!/^([0-9a-f]{2})+$/i.test(hex || '')) return '';
+    const key = parseInt(hex.slice(0, 2), 16);
+    let email = '';
+    for (let i = 2; i < hex.length; i += 2) email += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16) ^ key);
+    return EMAIL_RE.test(email) ? email : '';
+  };
+  document.querySelectorAll('[data-cfemail]').forEach((el) => {
+    const email = decodeCfEmail(el.getAttribute('data-cfemail'));
+    if (!email) return;
+    const link = el.closest('a[href*="/cdn-cgi/l/email-protection"]');
+    if (link) link.setAttribute('href', `mailto:${email}`);
+    if (el === link) el.textContent = email;
+    else el.replaceWith(document.createTextNode(email));
+    counts.cloudflare += 1;
+  });
+  document.querySelectorAll('a[href*="/cdn-cgi/l/email-protection#"]').forEach((a) => {
+    const email = decodeCfEmail(a.getAttribute('href').split('#')[1]);
+    if (!email) return;
+    a.setAttribute('href', `mailto:${email}`);
+    if (!a.textContent.includes('@') || /email.protected/i.test(a.textContent)) a.textContent = email;
+    counts.cloudflare += 1;
+  });
+
+  // joomla_cloak: var addyXXX = 'info' + '&#64;'; addyXXX = addyXXX + 'hotel' + '&#46;' + 'com';
+  document.querySelectorAll('script').forEach((script) => {
+    const code = script.textContent || '';
+    if (!code.includes('addy')) return;
+    const parts = new Map();
+    // Entities like '&#64;' contain ";", so the right-hand side is read as a chain of literals and addy references
+    const assignRe = /\baddy(?!_text)([0-9a-z]+)\s*=((?:\s*\+?\s*(?:'[^']*'|"[^"]*"|addy[0-9a-z]+))+)/gi;
+    let match;
+    while ((match = assignRe.exec(code)) !== null) {
+      const literals = (match[2].match(/'([^']*)'|"([^"]*)"/g) || []).map((literal) => literal.slice(1, -1));
+      parts.set(match[1], `${parts.get(match[1]) || ''}${literals.join('')}`);
+    }
+    parts.forEach((value, id) => {
+      const email = decodeEntities(value).trim();
+      const target = document.getElementById(`cloak${id}`);
+      if (!target || !EMAIL_RE.test(email)) return;
+      const link = document.createElement('a');
+      link.setAttribute('href', `mailto:${email}`);
+      link.textContent = email;
+      target.replaceChildren(link);
+      counts.joomla_cloak += 1;
+    });
+  });
+
+  // typo3_crypt: char codes shifted by a site-specific offset; the offset is found by decrypting to "mailto:"
+  const typo3Decrypt = (encoded, offset) => {
+    const shift = (code, start, end) => start + ((((code - start + offset) % (end - start + 1)) + (end - start + 1)) % (end - start + 1));
+    return Array.from(encoded).map((char) => {
+      const code = char.charCodeAt(0);
+      if (code >= 0x2B && code <= 0x3A) return String.fromCharCode(shift(code, 0x2B, 0x3A));
+      if (code >= 0x40 && code <= 0x5A) return String.fromCharCode(shift(code, 0x40, 0x5A));
+      if (code >= 0x61 && code <= 0x7A) return String.fromCharCode(shift(code, 0x61, 0x7A));
+      return char;
+    }).join('');
+  };
+  document.querySelectorAll('a[href*="linkTo_UnCryptMailto"], a[data-mailto-token]').forEach((a) => {
+    const href = a.getAttribute('href') || '';
+    let encoded = a.getAttribute('data-mailto-token') || '';
+    if (!encoded) {
+      const literal = decodeURIComponent(href).match(/linkTo_UnCryptMailto\(\s*['"]([^'"]+)['"]/);
+      encoded = literal ? literal[1] : '';
+    }
+    const preferred = parseInt(a.getAttribute('data-mailto-vector') || '', 10);
+    const offsets = Number.isInteger(preferred) ? [preferred, -preferred] : [];
+    for (let offset = -26; offset <= 26; offset += 1) offsets.push(offset);
+    for (const offset of offsets) {
+      const decoded = typo3Decrypt(encoded, offset);
+      const email = decoded.startsWith('mailto:') ? decoded.slice(7).split('?')[0] : '';
+      if (!EMAIL_RE.test(email)) continue;
+      a.setAttribute('href', `mailto:${email}`);
+      if (!a.textContent.includes('@')) a.textContent = email;
+      counts.typo3_crypt += 1;
+      break;
+    }
+  });
+
+  // data_attributes: <a data-user="info" data-domain="hotel.com">, <a data-email="aW5mb0Bob3RlbC5jb20=">
+  const readBase64 = (value) => {
+    try {
+      return atob(value);
+    } catch {
+      return '';
+    }
+  };
+  document.querySelectorAll('[data-user][data-domain], [data-name][data-domain], [data-email], [data-mail], [data-tel], [data-phone]').forEach((el) => {
+    const user = el.getAttribute('data-user') || el.getAttribute('data-name');
+    const domain = el.getAttribute('data-domain');
+    const encodedEmail = el.getAttribute('data-email') || el.getAttribute('data-mail');
+    const encodedPhone = el.getAttribute('data-tel') || el.getAttribute('data-phone');
+    let email = user && domain ? `${user}@${domain}`.trim() : '';
+    if (!email && encodedEmail) email = EMAIL_RE.test(encodedEmail.trim()) ? encodedEmail.trim() : readBase64(encodedEmail).trim();
+    if (email && EMAIL_RE.test(email)) {
+      if (!el.textContent.includes('@')) setLink(el, `mailto:${email}`, email);
+      else if (el.tagName === 'A') el.setAttribute('href', `mailto:${email}`);
+      counts.data_attributes += 1;
+      return;
+    }
+    if (encodedPhone) {
+      const phone = PHONE_RE.test(encodedPhone.trim()) ? encodedPhone.trim() : readBase64(encodedPhone).trim();
+      if (!PHONE_RE.test(phone) || el.textContent.replace(/\D/g, '').length >= 6) return;
+      setLink(el, `tel:${phone.replace(/[^\d+]/g, '')}`, phone);
+      counts.data_attributes += 1;
+    }
+  });
+
+  // reversed_text: "moc.letoh@ofni" shown correctly by direction: rtl + unicode-bidi: bidi-override
+  document.querySelectorAll('[style*="direction"], [dir="rtl"]').forEach((el) => {
+    const style = (el.getAttribute('style') || '').toLowerCase().replace(/\s+/g, '');
+    const isRtl = style.includes('direction:rtl') || el.getAttribute('dir') === 'rtl';
+    if (!isRtl || !style.includes('unicode-bidi:bidi-override') || el.children.length > 0) return;
+    const reversed = Array.from(el.textContent.trim()).reverse().join('');
+    if (!EMAIL_RE.test(reversed) && !PHONE_RE.test(reversed)) return;
+    el.textContent = reversed;
+    el.setAttribute('style', (el.getAttribute('style') || '').replace(/direction\s*:\s*rtl;?|unicode-bidi\s*:\s*bidi-override;?/gi, ''));
+    counts.reversed_text += 1;
+  });
+
+  // at_dot_text: "info [at] hotel [dot] com", "info(at)hotel(dot)com", "info AT hotel DOT com"
+  const AT_DOT_RE = /\b([a-z0-9._%+-]+)\s*(?:\[at\]|\(at\)|\{at\}|\s+at\s+|\s+AT\s+)\s*([a-z0-9-]+(?:\s*(?:\[dot\]|\(dot\)|\{dot\}|\.|\s+dot\s+|\s+DOT\s+)\s*[a-z0-9-]+)+)\b/gi;
+  const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+  textNodes.forEach((node) => {
+    const parentTag = node.parentElement ? node.parentElement.tagName : '';
+    if (parentTag === 'SCRIPT' || parentTag === 'STYLE') return;
+    const text = node.textContent || '';
+    if (!/\[at\]|\(at\)|\{at\}|\sat\s/i.test(text)) return;
+    const decoded = text.replace(AT_DOT_RE, (whole, user, domain) => {
+      // "... at hotel.com" only counts with a real dot in the domain part
+      if (/\s+at\s+/i.test(whole) && !/\[at\]|\(at\)|\{at\}/i.test(whole) && !/\[dot\]|\(dot\)|\{dot\}|\sdot\s/i.test(domain)) return whole;
+      const email = `${user}@${domain.replace(/\s*(?:\[dot\]|\(dot\)|\{dot\}|\s+dot\s+)\s*/gi, '.').replace(/\s*\.\s*/g, '.')}`;
+      if (!EMAIL_RE.test(email)) return whole;
+      counts.at_dot_text += 1;
+      return email;
+    });
+    if (decoded !== text) node.textContent = decoded;
+  });
+
+  // email_image: <img alt="info@hotel.com"> (the image itself is dropped by Turndown)
+  document.querySelectorAll('img[alt], img[title]').forEach((img) => {
+    const candidate = (img.getAttribute('alt') || img.getAttribute('title') || '').trim();
+    if (!EMAIL_RE.test(candidate)) return;
+    img.replaceWith(document.createTextNode(candidate));
+    counts.email_image += 1;
+  });
+
+  return counts;
+}
@@ -0,0 +1,80 @@
+// Shared runner of the fixture scripts (test_*.js, run together by `npm test`): every fixture of a directory under
+// fixtures/ is checked against its entry in the directory's expected.json.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createStaticDom } from './staticPage.js';
+
+const FIXTURES_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+/**
+ * Parse fixture HTML into a static DOM (see createStaticDom), run fn on it and close it again.
+ * @param {string} html
+ * @param {string} url - Document URL
+ * @param {(dom: { title: string, evaluate: Function }) => Promise<*>} fn
+ * @returns {Promise<*>} What fn returns
+ */
+export async function withStaticDom(html, url, fn) {
+  const dom = createStaticDom(html, url);
+  try {
+    return await fn(dom);
+  } finally {
+    dom.close();
+  }
+}
+
+/**
+ * Check all fixtures of a directory, print one line per fixture and set a failing exit code on any problem.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Suite name for the summary and error lines ("Obfuscation")
+ * @param {string} options.dir - Fixture directory under fixtures/ (holds the fixtures and expected.json)
+ * @param {(fixture: { file: string, content: string|null, expected: Object }) => Promise<Array<string>>} options.check -
+ *   Problems found in one fixture (empty when it passes)
+ * @param {(file: string, expected: Object) => string} [options.passLabel] - Suffix of the success line
+ * @param {string} [options.failLabel='mismatch'] - Suffix of the failure line
+ * @param {string|null} [options.extension='.html'] - Extension of the fixture files; null when the cases are the
+ *   expected.json entries themselves (content is then null)
+ * @returns {Promise<boolean>} True when every fixture passed
+ */
+export async function runFixtures({ name, dir, check, passLabel = () => 'passed', failLabel = 'mismatch', extension = '.html' }) {
+  const fixturesDir = path.join(FIXTURES_ROOT, dir);
+  try {
+    const expectations = JSON.parse(await fs.readFile(path.join(fixturesDir, 'expected.json'), 'utf8'));
+    const fixtures = extension === null
+      ? Object.keys(expectations)
+      : (await fs.readdir(fixturesDir)).filter((file) => file.endsWith(extension)).sort();
+
+    let hasErrors = false;
+    for (const file of fixtures) {
+      if (!expectations[file]) {
+        hasErrors = true;
+        console.error(`❌ ${file}: no expectations in expected.json`);
+        continue;
+      }
+      const content = extension === null ? null : await fs.readFile(path.join(fixturesDir, file), 'utf8');
+      const problems = await check({ file, content, expected: expectations[file] });
+      if (problems.length === 0) {
+        console.log(`✅ ${file}: ${passLabel(file, expectations[file])}`);
+        continue;
+      }
+      hasErrors = true;
+      console.error(`❌ ${file}: ${failLabel}`);
+      for (const problem of problems) {
+        console.error(`   ${problem}`);
+      }
+    }
+
+    if (hasErrors) {
+      process.exitCode = 1;
+    } else {
+      console.log(`🎉 ${name} fixtures passed`);
+    }
+    return !hasErrors;
+  } catch (error) {
+    console.error(`❌ ${name} fixtures failed:`, error?.message || error);
+    process.exitCode = 1;
+    return false;
+  }
+}
@@ -0,0 +1,85 @@
+// Embedded frames (restaurant menus, event calendars, 3D tour descriptions) captured into the parent page's markdown.
+// The DOM cleanup removes every iframe/frame, so frames are walked before it (see CAPTURE_FRAMES_IN_PAGE in scrapeController).
+
+// Attribute holding a frame element's document-order index (matches Playwright frames back to their elements)
+export const FRAME_INDEX_ATTRIBUTE = 'data-frame-index';
+
+/**
+ * Parse the cross-origin frame allowlist ("menu-host.com, calendar.example.org").
+ * @param {string|Array<string>} value - Comma/whitespace-separated hosts, or an array of hosts
+ * @returns {Array<string>} Lowercase hosts (subdomains match too)
+ */
+export function parseFrameAllowlist(value) {
+  const hosts = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  return [...new Set(hosts.map((host) => String(host).trim().toLowerCase().replace(/^\*?\./, '')).filter(Boolean))];
+}
+
+/**
+ * Whether a frame's content belongs to the page: same host as the page (ignoring "www."), or an allowlisted host.
+ * @param {string} frameUrl
+ * @param {string} pageUrl
+ * @param {Array<string>} allowlist - From parseFrameAllowlist
+ * @returns {boolean}
+ */
+export function isFrameCapturable(frameUrl, pageUrl, allowlist = []) {
+  try {
+    const frame = new URL(frameUrl, pageUrl);
+    if (frame.protocol !== 'http:' && frame.protocol !== 'https:') return false;
+    const frameHost = frame.hostname.toLowerCase().replace(/^www\./, '');
+    const pageHost = new URL(pageUrl).hostname.toLowerCase().replace(/^www\./, '');
+    return frameHost === pageHost || allowlist.some((host) => frameHost === host || frameHost.endsWith(`.${host}`));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Number the page's iframe/frame elements in document order and read their labels.
+ * Runs inside the document (page.evaluate / JSDOM), so it must stay self-contained; call before the cleanup.
+ * @param {string} attribute - Attribute that receives the document-order index
+ * @returns {Array<{ index: number, src: string, label: string }>} label: title/aria-label/name of the element
+ */
+export function readFrameElementsInPage(attribute) {
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+  return Array.from(document.querySelectorAll('iframe, frame')).map((el, index) => {
+    el.setAttribute(attribute, String(index));
+    let src = el.getAttribute('src') || '';
+    try {
+      src = src ? new URL(src, location.href).href : '';
+    } catch {
+      // Keep the attribute value as is
+    }
+    return { index, src, label: clean(el.getAttribute('title') || el.getAttribute('aria-label') || el.getAttribute('name')).slice(0, 120) };
+  });
+}
+
+/**
+ * Section label for a captured frame: its element label, otherwise host and path of its URL
+ * (never the query string, which often carries session tokens and would break checksums).
+ * @param {string} label
+ * @param {string} frameUrl
+ * @returns {string}
+ */
+export function frameSectionLabel(label, frameUrl) {
+  if (label) return label;
+  try {
+    const url = new URL(frameUrl);
+    return `${url.hostname.replace(/^www\./, '')}${url.pathname.replace(/\/+$/, '')}`;
+  } catch {
+    return 'Embedded content';
+  }
+}
+
+/**
+ * Append converted frame sections to a page's markdown in document order.
+ * @param {string} markdown - Parent page markdown
+ * @param {Array<{ index: number, label: string, markdown: string }>} sections
+ * @returns {string}
+ */
+export function appendFrameSections(markdown, sections = []) {
+  const blocks = [...sections]
+    .filter((section) => section.markdown && section.markdown.trim())
+    .sort((a, b) => a.index - b.index)
+    .map((section) => `## Embedded: ${section.label}\n\n${section.markdown.trim()}`);
+  return [markdown, ...blocks].filter((block) => block && block.trim()).join('\n\n');
+}
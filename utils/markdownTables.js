@@ -0,0 +1,145 @@
+// HTML table -> GitHub-flavored markdown table, used by the Turndown "gfmTables" rule (see utils/pageMarkdown.js).
+// Output depends only on the table markup, so markdown checksums stay stable between runs.
+
+// Upper bounds for span attributes (guards against colspan="1000" layout hacks)
+const MAX_COLSPAN = 20;
+const MAX_ROWSPAN = 100;
+// Cells containing these are page layout, not data
+const LAYOUT_CELL_SELECTOR = 'table, h1, h2, h3, h4, h5, h6';
+
+/**
+ * Element children of a node with one of the given tag names.
+ * @param {Object} node - DOM node
+ * @param {Array<string>} tagNames - Upper-case tag names
+ * @returns {Array<Object>}
+ */
+function childElements(node, tagNames) {
+  return Array.from(node.childNodes || []).filter((child) => child.nodeType === 1 && tagNames.includes(child.nodeName));
+}
+
+/**
+ * Parse a rowspan/colspan attribute.
+ * @param {Object} cell - td/th element
+ * @param {string} name - Attribute name
+ * @param {number} max - Upper bound
+ * @returns {number}
+ */
+function spanOf(cell, name, max) {
+  const value = parseInt(cell.getAttribute(name) || '1', 10);
+  return Number.isInteger(value) && value > 0 ? Math.min(value, max) : 1;
+}
+
+/**
+ * Rows of a table (not of nested tables): thead rows first, tfoot rows last.
+ * @param {Object} table - table element
+ * @returns {Array<{ row: Object, inHead: boolean }>}
+ */
+function tableRows(table) {
+  const head = [];
+  const body = [];
+  const foot = [];
+  for (const child of childElements(table, ['THEAD', 'TBODY', 'TFOOT', 'TR'])) {
+    if (child.nodeName === 'TR') {
+      body.push({ row: child, inHead: false });
+      continue;
+    }
+    const target = child.nodeName === 'THEAD' ? head : child.nodeName === 'TFOOT' ? foot : body;
+    childElements(child, ['TR']).forEach((row) => target.push({ row, inHead: child.nodeName === 'THEAD' }));
+  }
+  return [...head, ...body, ...foot];
+}
+
+/**
+ * True if every non-empty cell of a row is a th or is bold as a whole (common "fake" header rows).
+ * @param {Array<Object>} cells - td/th elements of the row
+ * @returns {boolean}
+ */
+function looksLikeHeaderRow(cells) {
+  const filled = cells.filter((cell) => (cell.textContent || '').trim());
+  if (filled.length === 0) return false;
+  return filled.every((cell) => {
+    if (cell.nodeName === 'TH') return true;
+    const bold = childElements(cell, ['STRONG', 'B']);
+    const boldText = bold.map((el) => el.textContent || '').join('').replace(/\s+/g, '');
+    return boldText.length > 0 && boldText === (cell.textContent || '').replace(/\s+/g, '');
+  });
+}
+
+/**
+ * Escape a converted cell for a single GFM table cell: one line, pipes escaped.
+ * @param {string} markdown
+ * @returns {string}
+ */
+function toCellText(markdown) {
+  return String(markdown || '')
+    .trim()
+    .replace(/\s*\n+\s*/g, '<br>')
+    .replace(/\|/g, '\\|');
+}
+
+/**
+ * Convert an HTML table to a GFM table.
+ * - Header: thead rows, else a leading row of th (or fully bold) cells; otherwise an empty header row.
+ *   Several header rows are merged per column ("Capacity / Theater").
+ * - colspan/rowspan are flattened by repeating the cell value in every slot it covers.
+ * - Layout tables (nested tables, headings in cells, role="presentation", a single column) return null
+ *   so the caller can fall back to plain block content.
+ *
+ * @param {Object} table - table element (Turndown DOM node)
+ * @param {(cell: Object) => string} convertCell - Converts a cell's content to markdown
+ * @returns {string|null} Markdown table (with the caption as a paragraph above it), or null for layout tables
+ */
+export function tableToMarkdown(table, convertCell) {
+  if ((table.getAttribute('role') || '').toLowerCase() === 'presentation') return null;
+
+  const rows = tableRows(table);
+  const cellsByRow = rows.map(({ row }) => childElements(row, ['TD', 'TH']));
+  if (cellsByRow.some((cells) => cells.some((cell) => cell.querySelector(LAYOUT_CELL_SELECTOR)))) return null;
+
+  // Place cells on a grid, repeating spanned values
+  const grid = rows.map(() => []);
+  cellsByRow.forEach((cells, rowIndex) => {
+    let col = 0;
+    for (const cell of cells) {
+      while (grid[rowIndex][col] !== undefined) col += 1;
+      const text = toCellText(convertCell(cell));
+      const colspan = spanOf(cell, 'colspan', MAX_COLSPAN);
+      const rowspan = Math.min(spanOf(cell, 'rowspan', MAX_ROWSPAN), rows.length - rowIndex);
+      for (let r = 0; r < rowspan; r += 1) {
+        for (let c = 0; c < colspan; c += 1) {
+          if (grid[rowIndex + r][col + c] === undefined) grid[rowIndex + r][col + c] = text;
+        }
+      }
+      col += colspan;
+    }
+  });
+
+  const width = Math.max(0, ...grid.map((row) => row.length));
+  const filledRows = grid
+    .map((row, index) => ({ cells: Array.from({ length: width }, (_, c) => row[c] ?? ''), index }))
+    .filter(({ cells }) => cells.some(Boolean));
+  if (filledRows.length === 0) return '';
+  if (width < 2) return null;
+
+  // Header rows: thead, else leading th/bold rows
+  let headerCount = 0;
+  while (headerCount < filledRows.length - 1) {
+    const { index } = filledRows[headerCount];
+    if (!rows[index].inHead && !looksLikeHeaderRow(cellsByRow[index])) break;
+    headerCount += 1;
+  }
+  const headerRows = filledRows.slice(0, headerCount).map(({ cells }) => cells);
+  const bodyRows = filledRows.slice(headerCount).map(({ cells }) => cells);
+  const header = Array.from({ length: width }, (_, c) => headerRows
+    // Bold is implied for header cells
+    .map((cells) => cells[c].replace(/^(\*\*|__)(.+)\1$/, '$2'))
+    .filter((value, i, values) => value && value !== values[i - 1])
+    .join(' / '));
+
+  const line = (cells) => `| ${cells.join(' | ')} |`;
+  const markdownRows = [line(header), line(header.map(() => '---')), ...bodyRows.map(line)];
+
+  const caption = childElements(table, ['CAPTION'])[0];
+  const captionText = caption ? convertCell(caption).replace(/\s+/g, ' ').trim() : '';
+  return `${captionText ? `${captionText}\n\n` : ''}${markdownRows.join('\n')}`;
+}
@@ -0,0 +1,96 @@
+import { ERROR_CLASS } from '../middleware/constants.js';
+
+// Verdicts double as market_data_log_pages.scrape_status values for non-content pages
+export const PAGE_VERDICTS = {
+  OK: 'ok',
+  BLOCKED: 'blocked',
+  CHALLENGE: 'challenge',
+  PARKED: 'parked',
+  SOFT_404: 'soft_404',
+};
+
+// Interstitials are short; longer pages mentioning the same phrases are real content
+const MAX_INTERSTITIAL_TEXT_LENGTH = 2000;
+
+// Bot-management challenges (Cloudflare, Akamai, PerimeterX, DataDome, Imperva, DDoS-Guard, ...)
+const CHALLENGE_TITLE_RE = /^(just a moment|attention required|checking your browser|please wait|ddos-guard|one more step|security check|verifying you are human|human verification|are you a robot)/i;
+const CHALLENGE_HTML_RE = /cf-browser-verification|cf_chl_opt|\/cdn-cgi\/challenge-platform|_incapsula_resource|captcha-delivery\.com|px-captcha|perimeterx|ddos-guard\.net|sec-if-cpt-container|_sec\/cp_challenge/i;
+const CAPTCHA_WIDGET_RE = /g-recaptcha|h-captcha|cf-turnstile/i;
+// Wording of a page that only asks for a CAPTCHA; forms merely protected by one (contact, booking) do not say this
+const CAPTCHA_PROMPT_RE = /((complete|solve|pass) the (captcha|challenge)|(confirm|prove) (that )?you('| a)re (not a robot|human)|verify (that )?you('| a)re not a robot)/i;
+const CHALLENGE_TEXT_RE = /(verify(ing)? (that )?you are (a )?human|enable javascript and cookies to continue|checking (if the site connection is secure|your browser before accessing)|press (&|and) hold|complete the security check)/i;
+
+// Access-denied interstitials (WAF/CDN blocks)
+const BLOCKED_TITLE_RE = /^(access denied|403 forbidden|forbidden|request rejected|request blocked|blocked|sorry, you have been blocked|error 10\d\d|not acceptable)/i;
+const BLOCKED_TEXT_RE = /(you don'?t have permission to access|sorry, you have been blocked|the requested url was rejected|your (ip|access|request) (address )?has been blocked|access to this page has been denied|reference #\d+\.[0-9a-f]+|error 10(0[5-9]|1\d|20)\b)/i;
+
+// Domain-parking and for-sale landers
+const PARKED_TEXT_RE = /(this domain (name )?(is|may be) for sale|buy this domain|domain is parked|parked free|domain parking|this domain has expired|is available for purchase|hugedomains|sedoparking|dan\.com|afternic)/i;
+
+// Soft 404s: error pages served with status 200
+const SOFT_404_RE = /(page (was )?not found|page (you requested |you are looking for )?(could not be found|cannot be found|does not exist|doesn'?t exist|no longer exists)|404 error|error 404|nothing (was )?found|oops!? (that|this) page)/i;
+
+/**
+ * Classify a rendered page as real content or a non-content page (bot wall, challenge, parked domain, soft 404).
+ * Signals are only trusted on short pages, so hotel pages that merely mention these phrases stay "ok".
+ *
+ * @param {Object} page
+ * @param {number} [page.status] - HTTP status
+ * @param {Object<string, string>} [page.headers] - Response headers (lowercase names)
+ * @param {string} [page.title] - Document title
+ * @param {Array<string>} [page.headings] - Text of the main headings (h1/h2)
+ * @param {string} [page.text] - Visible body text
+ * @param {string} [page.html] - Raw HTML
+ * @returns {{ verdict: string, reason: string }}
+ */
+export function classifyPage({ status = 200, headers = {}, title = '', headings = [], text = '', html = '' } = {}) {
+  const cleanTitle = String(title || '').replace(/\s+/g, ' ').trim();
+  const cleanText = String(text || '').replace(/\s+/g, ' ').trim();
+  const headingText = headings.map((heading) => String(heading || '').replace(/\s+/g, ' ').trim()).filter(Boolean);
+  const isShort = cleanText.length <= MAX_INTERSTITIAL_TEXT_LENGTH;
+  const verdict = (kind, reason) => ({ verdict: kind, reason });
+
+  if (String(headers['cf-mitigated'] || '').toLowerCase() === 'challenge') {
+    return verdict(PAGE_VERDICTS.CHALLENGE, 'cf-mitigated: challenge header');
+  }
+  if (CHALLENGE_HTML_RE.test(html) && isShort) {
+    return verdict(PAGE_VERDICTS.CHALLENGE, `challenge script marker (${html.match(CHALLENGE_HTML_RE)[0]})`);
+  }
+  if (CHALLENGE_TITLE_RE.test(cleanTitle) && isShort) {
+    return verdict(PAGE_VERDICTS.CHALLENGE, `challenge title "${cleanTitle}"`);
+  }
+  if (CHALLENGE_TEXT_RE.test(cleanText) && isShort) {
+    return verdict(PAGE_VERDICTS.CHALLENGE, 'human verification prompt');
+  }
+  if (CAPTCHA_WIDGET_RE.test(html) && CAPTCHA_PROMPT_RE.test(cleanText) && isShort) {
+    return verdict(PAGE_VERDICTS.CHALLENGE, `CAPTCHA prompt (${html.match(CAPTCHA_WIDGET_RE)[0]})`);
+  }
+
+  if (BLOCKED_TITLE_RE.test(cleanTitle) && isShort) {
+    return verdict(PAGE_VERDICTS.BLOCKED, `access denied title "${cleanTitle}"`);
+  }
+  if (BLOCKED_TEXT_RE.test(cleanText) && isShort) {
+    return verdict(PAGE_VERDICTS.BLOCKED, `access denied text "${cleanText.match(BLOCKED_TEXT_RE)[0]}"`);
+  }
+
+  if (PARKED_TEXT_RE.test(`${cleanTitle} ${cleanText}`) && isShort) {
+    return verdict(PAGE_VERDICTS.PARKED, 'domain parking / for-sale page');
+  }
+
+  if (status < 400 && isShort && [cleanTitle, ...headingText].some((value) => SOFT_404_RE.test(value))) {
+    return verdict(PAGE_VERDICTS.SOFT_404, `not-found page served with status ${status}`);
+  }
+
+  return verdict(PAGE_VERDICTS.OK, '');
+}
+
+/**
+ * Error class recorded for a non-content verdict.
+ * @param {string} verdict - One of PAGE_VERDICTS
+ * @returns {string|null} ERROR_CLASS value, or null for "ok"
+ */
+export function errorClassForVerdict(verdict) {
+  if (verdict === PAGE_VERDICTS.BLOCKED || verdict === PAGE_VERDICTS.CHALLENGE) return ERROR_CLASS.BOT_PROTECTION;
+  if (verdict === PAGE_VERDICTS.PARKED || verdict === PAGE_VERDICTS.SOFT_404) return ERROR_CLASS.INVALID_CONTENT;
+  return null;
+}
@@ -0,0 +1,314 @@
+// DOM steps shared by the browser (page.evaluate) and static HTTP (JSDOM) paths.
+// Every function here runs inside the document, so it must stay self-contained (no closures, no imports).
+
+// Attribute marking elements already clicked by expandHiddenContentInPage
+export const EXPANDED_ATTRIBUTE = 'data-expanded-by-crawler';
+
+/**
+ * href of <link rel="canonical">, if any.
+ * @returns {string|null}
+ */
+export function readCanonicalHrefInPage() {
+  return document.querySelector('link[rel~="canonical"][href]')?.getAttribute('href') || null;
+}
+
+/**
+ * Signals for page classification and JS-rendering detection.
+ * Text excludes script/style/template content so static and rendered documents compare fairly.
+ * @returns {{ headings: Array<string>, text: string, html: string, linkCount: number }}
+ */
+export function readPageSignalsInPage() {
+  const body = document.body ? document.body.cloneNode(true) : null;
+  if (body) body.querySelectorAll('script, style, noscript, template').forEach((el) => el.remove());
+  return {
+    headings: Array.from(document.querySelectorAll('h1, h2')).slice(0, 5).map((el) => el.textContent || ''),
+    text: body ? body.textContent || '' : '',
+    html: document.documentElement?.outerHTML || '',
+    linkCount: document.querySelectorAll('a[href]').length,
+  };
+}
+
+/**
+ * Raw links of the page before DOM mutations (for enqueue and the link graph), skipping obvious ads.
+ * @returns {Array<{ href: string, text: string, region: string }>} href attribute values (may be relative),
+ *   anchor text and the page region the link sits in (nav | header | footer | content)
+ */
+export function collectRawLinksInPage() {
+  const isAd = (el) => {
+    const id = (el.id || '').toLowerCase();
+    const cls = (el.className || '').toLowerCase();
+    if (id.includes('ad') || id.includes('ads') || id.includes('advertisement')) return true;
+    if (cls.includes(' ad') || cls.includes('ads') || cls.includes('advertisement')) return true;
+    if (el.closest("[id*='ad'], .ad, .ads, .advertisement")) return true;
+    return false;
+  };
+  const regionOf = (a) => {
+    if (a.closest('nav, [role="navigation"]')) return 'nav';
+    if (a.closest('header, [role="banner"]')) return 'header';
+    if (a.closest('footer, [role="contentinfo"]')) return 'footer';
+    return 'content';
+  };
+  const anchorTextOf = (a) => ((a.textContent || '').replace(/\s+/g, ' ').trim()
+    || a.getAttribute('aria-label')
+    || a.getAttribute('title')
+    || a.querySelector('img[alt]')?.getAttribute('alt')
+    || '').trim().slice(0, 255);
+  const blockedHosts = ['google.com', 'bing.com', 'yahoo.com', 'instagram.com'];
+  return Array.from(document.querySelectorAll('a[href]'))
+    .filter((a) => !isAd(a))
+    .map((a) => ({ href: a.getAttribute('href') || '', text: anchorTextOf(a), region: regionOf(a) }))
+    .filter(({ href }) => Boolean(href))
+    .filter(({ href }) => {
+      try {
+        const url = new URL(href, location.href);
+        return !blockedHosts.some((host) => url.hostname.includes(host));
+      } catch {
+        return true;
+      }
+    });
+}
+
+/**
+ * ⭐ Deterministic DOM cleanup for markdown conversion. Mutates the document.
+ * @param {Object} options
+ * @param {number} options.currentDepth - Crawl depth (navigational chrome is kept on the start page)
+ * @param {Array<string>} [options.removeSelectors] - Extra elements to remove (site adapters)
+ * @param {Array<string>} [options.contentRootSelectors] - Below the start page, only the first matching element is kept
+ *   (hotel override first, then site adapters), whether or not the page chrome is kept
+ * @param {boolean} [options.keepPageChrome=false] - Keep header/footer/nav below the start page (hotel override); with a
+ *   matching content root only the chrome inside it is left
+ * @returns {string} Cleaned body (or content root) innerHTML
+ */
+export function cleanPageDomInPage({ currentDepth, removeSelectors = [], contentRootSelectors = [], keepPageChrome = false }) {
+  let root = document.body || document.documentElement;
+  if (!root) return '';
+  // Adapter selectors come from configuration; one invalid selector must not abort the cleanup
+  const queryAll = (selector) => {
+    try {
+      return Array.from(document.querySelectorAll(selector));
+    } catch {
+      return [];
+    }
+  };
+
+  // Remove unstable elements
+  document.querySelectorAll('script, style, noscript, iframe, frame').forEach(e => e.remove());
+  document.querySelectorAll("[id*='ad'], .ad, .ads, .advertisement").forEach(e => e.remove());
+  document.querySelectorAll('svg, figure').forEach(e => e.remove());
+
+  // Remove Here Map tags (https://www.here.com/)
+  document.querySelectorAll('.H_imprint [class^="H_"], .H_ui [class^="H_"]').forEach(e => e.remove());
+
+  // Strip all inline styles for consistency
+  document.querySelectorAll('[style]').forEach(el => el.removeAttribute('style'));
+
+  // Remove navigational chrome for markdown friendliness (skip on depth 0 and for hotels that keep it)
+  if (currentDepth > 0 && !keepPageChrome) {
+    document.querySelectorAll(
+      'nav, header, footer, breadcrumb, [class*="nav"], [id*="nav"], [role*="nav"], [class*="header"], [id*="header"], [role*="header"], [class*="footer"], [id*="footer"], [role*="footer"], [class*="breadcrumb"], [id*="breadcrumb"], [role*="breadcrumb"]'
+    ).forEach(el => el.remove());
+  }
+
+  // Remove common reCAPTCHA containers
+  document.querySelectorAll(
+    '.g-recaptcha, .recaptcha, .grecaptcha, [class*="recaptcha"], [id*="recaptcha"], [data-sitekey]'
+  ).forEach(el => el.remove());
+
+  // Remove Instagram feed/embed widgets (reduce DOM noise)
+  document.querySelectorAll(
+    '.instagram-media, blockquote.instagram-media, .eapps-instagram-feed, [class*="instagram"], [id*="instagram"], [data-instagram]'
+  ).forEach(el => el.remove());
+
+  // Remove Facebook feed/embed widgets
+  document.querySelectorAll(
+    '.fb-page, .fb-post, .fb-like, .eapps-facebook-feed, [class*="facebook"], [id*="facebook"], [data-href*="facebook.com"]'
+  ).forEach(el => el.remove());
+
+  // Remove Twitter/X embed widgets
+  document.querySelectorAll(
+    'blockquote.twitter-tweet, .embed-tweet, .eapps-twitter-feed, [class*="twitter"], [id*="twitter"], [data-dnt*="twitter"]'
+  ).forEach(el => el.remove());
+
+  // Remove Pinterest embed widgets
+  document.querySelectorAll(
+    '[data-pin-do], [data-pin-build], .eapps-pinterest-feed, [class*="pinterest"], [id*="pinterest"], .pin-it-button'
+  ).forEach(el => el.remove());
+
+  // Site adapter and hotel override cleanup (CMS widgets, booking calendars, ...)
+  removeSelectors.forEach((selector) => queryAll(selector).forEach(el => el.remove()));
+
+  // Content root (the start page keeps everything, like the navigational chrome above)
+  if (currentDepth > 0) {
+    const contentRoot = contentRootSelectors.map((selector) => queryAll(selector)[0]).find(Boolean);
+    if (contentRoot && contentRoot.textContent.trim()) root = contentRoot;
+  }
+
+  // Resolve relative URLs deterministically
+  const toAbsolute = (url) => {
+    try {
+      return new URL(url, location.href).href;
+    } catch {
+      return url;
+    }
+  };
+
+  document.querySelectorAll('a[href]').forEach(a => {
+    const href = a.getAttribute('href');
+    if (href) a.setAttribute('href', toAbsolute(href));
+  });
+
+  document.querySelectorAll('img[src]').forEach(img => {
+    const src = img.getAttribute('src');
+    if (src) img.setAttribute('src', toAbsolute(src));
+  });
+
+  // Remove only structurally empty containers
+  document.querySelectorAll('p, div, span').forEach(el => {
+    if (
+      el.children.length === 0 &&
+      el.textContent.replace(/\s+/g, '').length === 0
+    ) {
+      el.remove();
+    }
+  });
+
+  // Normalize adjacent text nodes for deterministic Turndown output
+  (function normalizeTextNodes(node) {
+    // Safety guards
+    if (!node || node.nodeType !== Node.ELEMENT_NODE) return;
+  
+    // Do not normalize inside code blocks (preserve formatting)
+    const tag = node.tagName && node.tagName.toLowerCase();
+    if (tag === 'pre' || tag === 'code') return;
+  
+    let prevTextNode = null;
+  
+    node.childNodes.forEach(child => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        if (prevTextNode) {
+          // Merge adjacent text nodes
+          prevTextNode.textContent += child.textContent;
+          child.remove();
+        } else {
+          prevTextNode = child;
+        }
+      } else {
+        // Reset when encountering a non-text node
+        prevTextNode = null;
+        normalizeTextNodes(child);
+      }
+    });
+  })(root);
+
+  return root.innerHTML || '';
+}
+
+/**
+ * Dismiss cookie-consent dialogs and expand hidden content (see expandHiddenContent in scrapeController, which runs
+ * this with page.evaluate): `details`, `aria-expanded="false"` toggles, collapsed accordions, inactive tabs and
+ * "load more" buttons. Every toggle is clicked at most once (marked with expandedAttribute).
+ * @param {Object} options
+ * @param {number} options.deadline - Epoch ms after which no further element is clicked
+ * @param {number} options.clickDelayMs - Pause after each click so the UI can render
+ * @param {string} options.expandedAttribute - Attribute marking clicked toggles
+ * @returns {Promise<{ consentDismissed: number, expanded: number }>}
+ */
+export async function expandHiddenContentInPage({ deadline, clickDelayMs, expandedAttribute }) {
+  const delay = (ms) => new Promise(res => setTimeout(res, ms));
+  // Click each toggle once, and never one that is already expanded
+  const clickOnce = (el) => {
+    if (el.hasAttribute(expandedAttribute) || el.getAttribute('aria-expanded') === 'true') return false;
+    el.setAttribute(expandedAttribute, '');
+    el.click();
+    return true;
+  };
+  const timeLeft = () => Date.now() < deadline;
+  const textOf = (el) => (el.innerText || el.textContent || el.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+  const isVisible = (el) => !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+  // Never click anything that could leave the page
+  const isSafeToClick = (el) => {
+    if (el.closest('form') && (el.type === 'submit' || el.tagName === 'INPUT')) return false;
+    const anchor = el.closest('a[href]');
+    if (anchor) {
+      const href = (anchor.getAttribute('href') || '').trim().toLowerCase();
+      if (href && !href.startsWith('#') && !href.startsWith('javascript:')) return false;
+    }
+    return true;
+  };
+  const counts = { consentDismissed: 0, expanded: 0 };
+
+  // BEGIN DISMISS_CONSENT_DIALOGS
+  const consentButtonSelectors = [
+    '#onetrust-accept-btn-handler',
+    '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll',
+    '#CybotCookiebotDialogBodyButtonAccept',
+    '#didomi-notice-agree-button',
+    '#truste-consent-button',
+    '.qc-cmp2-summary-buttons button[mode="primary"]',
+    '.cc-allow, .cc-dismiss',
+    '[data-cookiefirst-action="accept"]',
+    '#cookie-accept, #accept-cookies, .cookie-accept, .accept-cookies',
+  ];
+  const consentContainerSelector = '[id*="cookie" i], [class*="cookie" i], [id*="consent" i], [class*="consent" i], [id*="gdpr" i], [class*="gdpr" i], [aria-label*="cookie" i]';
+  const consentTextRe = /^(accept|accept all|accept all cookies|accept cookies|allow all|allow cookies|agree|i agree|agree and close|got it|ok|okay|understood)$/i;
+  const consentButtons = [
+    ...document.querySelectorAll(consentButtonSelectors.join(', ')),
+    ...Array.from(document.querySelectorAll(`:is(${consentContainerSelector}) :is(button, [role="button"], a)`))
+      .filter((el) => consentTextRe.test(textOf(el))),
+  ];
+  for (const el of new Set(consentButtons)) {
+    if (!timeLeft()) break;
+    if (!isVisible(el) || !isSafeToClick(el)) continue;
+    el.click();
+    counts.consentDismissed += 1;
+    await delay(clickDelayMs);
+  }
+  // END DISMISS_CONSENT_DIALOGS
+
+  // BEGIN EXPAND_DISCLOSURES
+  document.querySelectorAll('details:not([open])').forEach((el) => {
+    el.open = true;
+    counts.expanded += 1;
+  });
+
+  const toggles = document.querySelectorAll(
+    '[aria-expanded="false"], .accordion-button.collapsed, [data-toggle="collapse"].collapsed, [data-bs-toggle="collapse"].collapsed'
+  );
+  for (const el of toggles) {
+    if (!timeLeft()) break;
+    // Skip navigation menus: they only reveal links, which are collected separately
+    if (el.closest('nav, header, [role="navigation"], [role="menubar"]')) continue;
+    if (!isVisible(el) || !isSafeToClick(el) || !clickOnce(el)) continue;
+    counts.expanded += 1;
+    await delay(clickDelayMs);
+  }
+
+  // Activate every tab once so lazily rendered panels reach the DOM, then unhide all panels
+  for (const tab of document.querySelectorAll('[role="tab"][aria-selected="false"]')) {
+    if (!timeLeft()) break;
+    if (!isVisible(tab) || !isSafeToClick(tab) || !clickOnce(tab)) continue;
+    counts.expanded += 1;
+    await delay(clickDelayMs);
+  }
+  document.querySelectorAll('[role="tabpanel"][hidden], [role="tabpanel"][aria-hidden="true"]').forEach((panel) => {
+    panel.removeAttribute('hidden');
+    panel.removeAttribute('aria-hidden');
+  });
+
+  // "Load more" style buttons: each clicked once; later rounds only pick up buttons revealed by earlier clicks
+  const loadMoreRe = /^(load|show|view|see) (more|all)\b|^read more\b|^more details\b/i;
+  for (let round = 0; round < 10 && timeLeft(); round++) {
+    const buttons = Array.from(document.querySelectorAll('button, [role="button"], a'))
+      .filter((el) => !el.hasAttribute(expandedAttribute) && loadMoreRe.test(textOf(el)) && isVisible(el) && isSafeToClick(el));
+    if (buttons.length === 0) break;
+    for (const el of buttons) {
+      if (!timeLeft()) break;
+      if (!clickOnce(el)) continue;
+      counts.expanded += 1;
+      await delay(clickDelayMs);
+    }
+  }
+  // END EXPAND_DISCLOSURES
+
+  return counts;
+}
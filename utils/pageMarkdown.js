@@ -0,0 +1,180 @@
+// Captured page DOM -> markdown and checksum, shared by the crawler (both fetch paths) and WARC replay.
+// Kept free of database and crawler imports so the fixture scripts can run the exact conversion.
+
+import TurndownService from 'turndown';
+import { computeChecksum } from './custom.js';
+import { cleanPageDomInPage } from './pageDom.js';
+import { tableToMarkdown } from './markdownTables.js';
+import { collectStructuredDataInPage, structuredDataToFacts } from './structuredData.js';
+import { collectContactLinksInPage, normalizeContactLinks } from './contactLinks.js';
+import { decodeObfuscatedContactsInPage } from './deobfuscation.js';
+import { adapterSignatureSelectors, readAdapterSignalsInPage, matchSiteAdapters, mergeSiteAdapters } from '../adapters/index.js';
+import { appendFrameSections } from './frames.js';
+import { markVolatileRegionsInPage, maskVolatileContent, stripVolatileMarkers, VOLATILE_ATTRIBUTE, VOLATILE_START, VOLATILE_END } from './volatility.js';
+
+/* ⭐ Fully pinned Turndown configuration (NO defaults) */
+const turndown = new TurndownService({
+  headingStyle: 'atx',
+  hr: '---',
+  bulletListMarker: '-',
+  codeBlockStyle: 'fenced',
+  emDelimiter: '*',
+  strongDelimiter: '**',
+  linkStyle: 'inlined',
+  linkReferenceStyle: 'full',
+});
+// Strip links (keep text, drop URLs)
+// Keep link/button intent without including URLs (avoid checksum noise)
+turndown.addRule('stripLinks', {
+  filter: 'a',
+  replacement: (content, node) => {
+    const text = typeof content === 'string' ? content : '';
+    if (!text.trim()) {
+      return '';
+    }
+    const cls = (node?.className || '').toLowerCase();
+    const role = (node?.getAttribute ? node.getAttribute('role') : '')?.toLowerCase() || '';
+    const isButton = role === 'button' || cls.includes('button') || cls.includes('btn');
+    const tag = isButton ? 'button' : 'link';
+    return `${content} [${tag}]`;
+  },
+});
+
+// Drop images entirely
+// Image source URLs might confuse checksum calculation - different checksums for the same content
+turndown.addRule('dropImages', {
+  filter: 'img',
+  replacement: () => '',
+});
+
+// Convert button tags to markdown format: content [button]
+turndown.addRule('stripButtons', {
+  filter: 'button',
+  replacement: (content) => {
+    const text = typeof content === 'string' ? content : '';
+    if (!text.trim()) {
+      return '';
+    }
+    return `${content} [button]`;
+  },
+});
+
+// Convert data tables to GFM tables (capacity charts, rate tables); layout tables fall back to plain blocks
+turndown.addRule('gfmTables', {
+  filter: 'table',
+  replacement: (content, node) => {
+    const table = tableToMarkdown(node, (cell) => turndown.turndown(cell));
+    return `\n\n${table ?? content}\n\n`;
+  },
+});
+
+// Wrap volatile widgets (see markVolatileRegionsInPage) in markers so they can be masked for the checksum
+turndown.addRule('volatileRegions', {
+  filter: (node) => Boolean(node.getAttribute && node.getAttribute(VOLATILE_ATTRIBUTE)),
+  replacement: (content, node) => {
+    if (!content.trim()) return node.isBlock ? '\n\n' : content;
+    return node.isBlock ? `\n\n${VOLATILE_START}${content.trim()}${VOLATILE_END}\n\n` : `${VOLATILE_START}${content}${VOLATILE_END}`;
+  },
+});
+
+/**
+ * Convert HTML with the pinned Turndown configuration and rules above.
+ * @param {string} html
+ * @returns {string} Markdown (not normalized; volatile regions still wrapped in markers)
+ */
+export function htmlToMarkdown(html) {
+  return turndown.turndown(html);
+}
+
+/**
+ * Normalize markdown to a deterministic form for hashing/storage.
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function normalizeMarkdown(markdown) {
+  return (markdown || '')
+    .replace(/\r\n/g, '\n')
+    .trim();
+}
+
+/**
+ * Clean a captured page DOM for markdown conversion.
+ *
+ * @param {Function} evaluate - page.evaluate, or the JSDOM equivalent (see createStaticDom)
+ * @param {Object} options
+ * @param {number} options.currentDepth - Crawl depth (see cleanPageDomInPage)
+ * @param {Object} options.siteAdapter - Matched site adapters (see mergeSiteAdapters)
+ * @param {Object} options.hotelCleanup - Per-hotel overrides: removeSelectors, contentRootSelectors, keepPageChrome
+ * @param {Object} options.volatility - From loadVolatilityConfig
+ * @returns {Promise<string>} Cleaned body HTML without whitespace between tags ('' when nothing is left)
+ */
+export async function cleanPageForMarkdown(evaluate, { currentDepth, siteAdapter, hotelCleanup, volatility }) {
+  // BEGIN MARK_VOLATILE_REGIONS_IN_PAGE
+  // Flag weather/countdown/testimonial widgets before cleanup; they are masked in the checksum only
+  if (volatility.enabled) {
+    await evaluate(markVolatileRegionsInPage, { selectors: volatility.selectors, attribute: VOLATILE_ATTRIBUTE }).catch(() => 0);
+  }
+  // END MARK_VOLATILE_REGIONS_IN_PAGE
+
+  const bodyHtml = await evaluate(cleanPageDomInPage, {
+    currentDepth,
+    removeSelectors: [...siteAdapter.cleanupSelectors, ...hotelCleanup.removeSelectors],
+    contentRootSelectors: [...hotelCleanup.contentRootSelectors, ...siteAdapter.contentRootSelectors],
+    keepPageChrome: hotelCleanup.keepPageChrome,
+  });
+
+  // remove whitespace between tags
+  return bodyHtml ? bodyHtml.replace(/>\s+</g, '><').trim() : '';
+}
+
+/**
+ * Markdown and checksum of a cleaned page.
+ *
+ * @param {string} html - From cleanPageForMarkdown
+ * @param {Object} options
+ * @param {Array<{ index: number, label: string, html: string }>} [options.frameSections] - Cleaned frame bodies (see captureFrameSections)
+ * @param {Array<Object>} [options.contactLinks] - From normalizeContactLinks
+ * @param {Object|null} [options.structuredData] - From collectStructuredDataInPage
+ * @param {Object} options.volatility - From loadVolatilityConfig
+ * @returns {{ markdown: string, checksum: string }}
+ */
+export function convertPageToMarkdown(html, { frameSections = [], contactLinks = [], structuredData = null, volatility }) {
+  // Frame sections follow the page in document order, converted with the same rules
+  const markdownRaw = appendFrameSections(
+    turndown.turndown(html),
+    frameSections.map((section) => ({ index: section.index, label: section.label, markdown: turndown.turndown(section.html) })),
+  );
+  const markdown = normalizeMarkdown(stripVolatileMarkers(markdownRaw));
+  // Contact link targets are not in the markdown, so they are hashed alongside it
+  const contactKeys = contactLinks.map((contact) => `${contact.type}:${contact.value}`).join('\n');
+  // So are the structured data facts the extraction uses (see pushStructuredDataFacts), in category order
+  const structuredFacts = Object.entries(structuredDataToFacts(structuredData))
+    .map(([category, text]) => `${category}:\n${text}`)
+    .join('\n\n');
+  const checksum = computeChecksum([normalizeMarkdown(maskVolatileContent(markdownRaw, volatility)), contactKeys, structuredFacts].filter(Boolean).join('\n\n'));
+  return { markdown, checksum };
+}
+
+/**
+ * Convert a captured page DOM without network access: the crawler's adapter matching, contact decoding,
+ * structured data and contact link capture, cleanup and checksum, in the crawler's order.
+ * Used by WARC replay and to check that both fetch paths produce the same markdown (test_fetch_paths.js).
+ *
+ * @param {Function} evaluate - page.evaluate, or the JSDOM equivalent (see createStaticDom)
+ * @param {Object} options
+ * @param {number} options.depth - Crawl depth (the start page keeps its navigation)
+ * @param {Array<{ index: number, label: string, html: string }>} [options.frameSections] - Cleaned frame bodies
+ * @param {Object} options.hotelCleanup - Per-hotel overrides: removeSelectors, contentRootSelectors, keepPageChrome
+ * @param {string} [options.contactRegion] - Region for national phone numbers
+ * @param {Object} options.volatility - From loadVolatilityConfig
+ * @returns {Promise<{ markdown: string, checksum: string, structuredData: Object|null, contactLinks: Array<Object>, adapters: Array<string> }>}
+ */
+export async function convertPageDom(evaluate, { depth, frameSections = [], hotelCleanup, contactRegion, volatility }) {
+  const siteAdapter = mergeSiteAdapters(matchSiteAdapters(await evaluate(readAdapterSignalsInPage, adapterSignatureSelectors()).catch(() => null)));
+  await evaluate(decodeObfuscatedContactsInPage).catch(() => ({}));
+  const structuredData = await evaluate(collectStructuredDataInPage).catch(() => null);
+  const contactLinks = normalizeContactLinks(await evaluate(collectContactLinksInPage).catch(() => []), { defaultRegion: contactRegion });
+  const html = await cleanPageForMarkdown(evaluate, { currentDepth: depth, siteAdapter, hotelCleanup, volatility });
+  const { markdown, checksum } = convertPageToMarkdown(html, { frameSections, contactLinks, structuredData, volatility });
+  return { markdown, checksum, structuredData, contactLinks, adapters: siteAdapter.names };
+}
@@ -0,0 +1,125 @@
+import { getDocumentProxy } from 'unpdf';
+
+/**
+ * True if a URL path looks like a PDF document (query strings ignored).
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isPdfUrl(url) {
+  try {
+    return new URL(url).pathname.toLowerCase().endsWith('.pdf');
+  } catch {
+    return String(url || '').toLowerCase().split(/[?#]/)[0].endsWith('.pdf');
+  }
+}
+
+/**
+ * Error for PDFs over the size limit (code PDF_TOO_LARGE), so callers can treat them as skipped rather than failed.
+ * @param {string} message
+ * @returns {Error}
+ */
+function pdfTooLargeError(message) {
+  const error = new Error(message);
+  error.code = 'PDF_TOO_LARGE';
+  return error;
+}
+
+/**
+ * Error for responses that are not PDF documents (code NOT_PDF): wrong content type or no %PDF header.
+ * @param {string} message
+ * @returns {Error}
+ */
+function notPdfError(message) {
+  const error = new Error(message);
+  error.code = 'NOT_PDF';
+  return error;
+}
+
+/**
+ * Download a PDF through the crawler's HTTP client (session cookies, proxy, browser-like headers), refusing anything
+ * larger than maxBytes (checked on Content-Length and on the received body) and anything that is not a PDF
+ * (content type, then the %PDF header within the first KiB, as readers allow).
+ * @param {Function} sendRequest - Crawlee context sendRequest helper
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes=20971520] - Size limit in bytes.
+ * @param {number} [options.timeoutMs=60000] - Download timeout.
+ * @returns {Promise<{ buffer: Uint8Array, finalUrl: string, status: number }>}
+ */
+export async function downloadPdf(sendRequest, url, { maxBytes = 20 * 1024 * 1024, timeoutMs = 60000 } = {}) {
+  const res = await sendRequest({ url, responseType: 'buffer', throwHttpErrors: false, timeout: { request: timeoutMs } });
+  const finalUrl = res.url || url;
+  if (res.statusCode < 200 || res.statusCode >= 300) {
+    throw new Error(`HTTP status ${res.statusCode}`);
+  }
+  const headers = res.headers || {};
+  const contentType = String(headers['content-type'] || '').toLowerCase();
+  if (contentType && !contentType.includes('pdf') && !contentType.includes('octet-stream')) {
+    throw notPdfError(`Unexpected content type for PDF: ${contentType}`);
+  }
+  const declaredSize = parseInt(headers['content-length'] || '', 10);
+  if (declaredSize > maxBytes) {
+    throw pdfTooLargeError(`PDF too large: ${declaredSize} bytes exceeds limit of ${maxBytes}`);
+  }
+
+  const buffer = Buffer.isBuffer(res.body) ? res.body : Buffer.from(res.body || '');
+  if (buffer.length > maxBytes) {
+    throw pdfTooLargeError(`PDF too large: more than ${maxBytes} bytes`);
+  }
+  if (buffer.subarray(0, 1024).indexOf('%PDF-') < 0) {
+    throw notPdfError(`Not a PDF document (no %PDF header): ${finalUrl}`);
+  }
+  return { buffer: new Uint8Array(buffer), finalUrl, status: res.statusCode };
+}
+
+/**
+ * Normalize text extracted from one PDF page to deterministic markdown-friendly lines.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizePdfText(text) {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map((line) => line.replace(/[ \t ]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Convert a PDF to markdown: one "## Page N" section per page with the page text.
+ * Only the first maxPages pages are converted.
+ *
+ * @param {Uint8Array} buffer - PDF bytes.
+ * @param {Object} [options]
+ * @param {number} [options.maxPages=50] - Page-count limit.
+ * @returns {Promise<{ markdown: string, totalPages: number, pagesConverted: number, title: string }>}
+ */
+export async function pdfToMarkdown(buffer, { maxPages = 50 } = {}) {
+  const pdf = await getDocumentProxy(buffer);
+  try {
+    const totalPages = pdf.numPages;
+    const pagesConverted = Math.min(totalPages, Math.max(0, maxPages));
+    const meta = await pdf.getMetadata().catch(() => null);
+    const title = normalizePdfText(meta?.info?.Title || '');
+
+    const sections = [];
+    for (let i = 1; i <= pagesConverted; i++) {
+      const page = await pdf.getPage(i);
+      const content = await page.getTextContent();
+      const text = normalizePdfText(
+        content.items.map((item) => `${item.str || ''}${item.hasEOL ? '\n' : ''}`).join('')
+      );
+      if (text) {
+        sections.push(pagesConverted > 1 ? `## Page ${i}\n\n${text}` : text);
+      }
+    }
+
+    const body = sections.join('\n\n');
+    const markdown = title && body ? `# ${title}\n\n${body}` : body;
+    return { markdown, totalPages, pagesConverted, title };
+  } finally {
+    await pdf.loadingTask?.destroy().catch(() => {});
+  }
+}
@@ -0,0 +1,74 @@
+// Resource types never needed for text extraction (images are dropped by Turndown anyway)
+const BLOCKED_RESOURCE_TYPES = new Set(['image', 'media', 'font']);
+
+// Analytics, ad and chat-widget hosts; matched on the host and all of its subdomains.
+// Consent-management platforms are deliberately absent: some sites only render content after consent.
+const TRACKER_HOSTS = [
+  // Analytics / tag managers
+  'google-analytics.com', 'googletagmanager.com', 'analytics.google.com', 'hotjar.com', 'hotjar.io', 'clarity.ms',
+  'segment.com', 'segment.io', 'mixpanel.com', 'amplitude.com', 'heap.io', 'heapanalytics.com', 'fullstory.com',
+  'mouseflow.com', 'crazyegg.com', 'luckyorange.com', 'quantserve.com', 'scorecardresearch.com', 'nr-data.net',
+  'newrelic.com', 'matomo.cloud', 'plausible.io', 'cloudflareinsights.com',
+  // Ads / retargeting pixels
+  'doubleclick.net', 'googlesyndication.com', 'googleadservices.com', 'adservice.google.com', 'connect.facebook.net',
+  'facebook.net', 'bat.bing.com', 'snap.licdn.com', 'ads.linkedin.com', 'analytics.tiktok.com', 'ads-twitter.com',
+  'static.ads-twitter.com', 'pinimg.com', 'criteo.com', 'criteo.net', 'taboola.com', 'outbrain.com', 'adnxs.com',
+  'adsrvr.org', 'rubiconproject.com', 'pubmatic.com', 'casalemedia.com', 'sojern.com', 'adroll.com',
+  // Chat / engagement widgets
+  'intercom.io', 'intercomcdn.com', 'livechatinc.com', 'tawk.to', 'zdassets.com', 'zopim.com', 'drift.com',
+  'driftt.com', 'crisp.chat', 'olark.com', 'tidio.co', 'tidiochat.com', 'hubspot.com', 'hs-scripts.com',
+  'hs-analytics.net', 'usemessages.com', 'smooch.io', 'userway.org',
+];
+
+/**
+ * True if a hostname belongs to a known analytics, ad or chat-widget provider.
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+export function isTrackerHost(hostname) {
+  const host = String(hostname || '').toLowerCase();
+  return TRACKER_HOSTS.some((tracker) => host === tracker || host.endsWith(`.${tracker}`));
+}
+
+/**
+ * Install per-page request interception and traffic accounting. Call before navigation.
+ * When blocking is on, images, media, fonts and tracker/ad/chat hosts are aborted;
+ * documents, scripts, stylesheets and XHR stay untouched so content still renders.
+ *
+ * @param {Object} page - Playwright page
+ * @param {Object} [options]
+ * @param {boolean} [options.blockResources=true] - Abort non-content resources
+ * @returns {Promise<{ requests: number, blocked: number, bytes: number }>} Live counters, updated as the page loads
+ */
+export async function installResourceBlocking(page, { blockResources = true } = {}) {
+  const traffic = { requests: 0, blocked: 0, bytes: 0 };
+
+  if (blockResources) {
+    await page.route('**/*', (route) => {
+      const req = route.request();
+      let hostname = '';
+      try {
+        hostname = new URL(req.url()).hostname;
+      } catch {
+        // data:/blob: URLs have no host
+      }
+      if (BLOCKED_RESOURCE_TYPES.has(req.resourceType()) || isTrackerHost(hostname)) {
+        traffic.blocked += 1;
+        return route.abort('blockedbyclient').catch(() => {});
+      }
+      return route.continue().catch(() => {});
+    });
+  }
+
+  page.on('requestfinished', async (req) => {
+    traffic.requests += 1;
+    try {
+      const sizes = await req.sizes();
+      traffic.bytes += (sizes.responseBodySize || 0) + (sizes.responseHeadersSize || 0);
+    } catch {
+      // Page closed before sizes were available
+    }
+  });
+
+  return traffic;
+}
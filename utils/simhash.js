@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+
+// Word shingle size for fingerprints
+const SHINGLE_SIZE = 3;
+
+/**
+ * Word tokens of a text (case- and punctuation-insensitive).
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return String(text || '').normalize('NFKC').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * 64-bit simhash of a text over word 3-shingles. Similar texts get fingerprints with a small Hamming distance.
+ * @param {string} text
+ * @returns {string} 16 hex characters
+ */
+export function computeSimhash(text) {
+  const tokens = tokenize(text);
+  const shingles = tokens.length <= SHINGLE_SIZE
+    ? [tokens.join(' ')]
+    : tokens.slice(0, tokens.length - SHINGLE_SIZE + 1).map((_, i) => tokens.slice(i, i + SHINGLE_SIZE).join(' '));
+
+  const weights = new Array(64).fill(0);
+  for (const shingle of shingles) {
+    const digest = crypto.createHash('md5').update(shingle).digest();
+    for (let bit = 0; bit < 64; bit += 1) {
+      weights[bit] += (digest[bit >> 3] >> (bit & 7)) & 1 ? 1 : -1;
+    }
+  }
+
+  let fingerprint = 0n;
+  weights.forEach((weight, bit) => {
+    if (weight > 0) fingerprint |= 1n << BigInt(bit);
+  });
+  return fingerprint.toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two simhash fingerprints.
+ * @param {string} a - Hex fingerprint
+ * @param {string} b - Hex fingerprint
+ * @returns {number}
+ */
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * Cluster near-duplicate pages. Pages are visited in the given order; a page joins the closest earlier
+ * representative within maxDistance, otherwise it becomes a representative itself.
+ * Short pages never join a cluster (their fingerprints are too coarse to compare).
+ *
+ * @param {Array<{ id: number, text: string }>} pages - Pages in representative preference order
+ * @param {Object} [options]
+ * @param {number} [options.maxDistance=3] - Largest Hamming distance counted as near-duplicate (negative disables)
+ * @param {number} [options.minWords=50] - Pages with fewer words are always their own representative
+ * @returns {Map<number, { simhash: string, duplicateOf: number|null, distance: number|null }>} Keyed by page id
+ */
+export function clusterNearDuplicates(pages, { maxDistance = 3, minWords = 50 } = {}) {
+  const result = new Map();
+  const representatives = [];
+  for (const page of pages) {
+    const simhash = computeSimhash(page.text);
+    let match = null;
+    if (maxDistance >= 0 && tokenize(page.text).length >= minWords) {
+      for (const rep of representatives) {
+        const distance = hammingDistance(simhash, rep.simhash);
+        if (distance <= maxDistance && (!match || distance < match.distance)) match = { id: rep.id, distance };
+      }
+      if (!match) representatives.push({ id: page.id, simhash });
+    }
+    result.set(page.id, { simhash, duplicateOf: match?.id ?? null, distance: match?.distance ?? null });
+  }
+  return result;
+}
@@ -0,0 +1,67 @@
+import { parseSitemap } from 'crawlee';
+import robotsParser from 'robots-parser';
+
+/**
+ * Fetch and parse robots.txt for the origin of a URL.
+ * A missing or unreachable robots.txt means "everything allowed, no sitemaps, no delay".
+ *
+ * @param {string} url - Any URL on the target origin.
+ * @param {Object} [options]
+ * @param {string} [options.userAgent='*'] - Product token used to pick the robots.txt group.
+ * @param {number} [options.timeoutMs=15000] - Fetch timeout.
+ * @returns {Promise<{ robotsUrl: string, found: boolean, isAllowed: (url: string) => boolean, crawlDelaySecs: number, sitemaps: Array<string> }>}
+ */
+export async function loadRobotsTxt(url, { userAgent = '*', timeoutMs = 15000 } = {}) {
+  const robotsUrl = new URL('/robots.txt', url).href;
+  let content = '';
+  let found = false;
+  try {
+    const res = await fetch(robotsUrl, { redirect: 'follow', signal: AbortSignal.timeout(timeoutMs) });
+    if (res.ok) {
+      content = await res.text();
+      found = true;
+    }
+  } catch (error) {
+    console.warn(`⚠️  Could not fetch ${robotsUrl}: ${error?.message || error}`);
+  }
+
+  const robots = robotsParser(robotsUrl, content);
+  const crawlDelaySecs = Number(robots.getCrawlDelay(userAgent)) || 0;
+  return {
+    robotsUrl,
+    found,
+    // robots-parser returns undefined for URLs on other origins; those are not governed by this file
+    isAllowed: (target) => robots.isAllowed(target, userAgent) !== false,
+    crawlDelaySecs: crawlDelaySecs > 0 ? crawlDelaySecs : 0,
+    sitemaps: robots.getSitemaps(),
+  };
+}
+
+/**
+ * Collect page URLs from sitemaps (sitemap indexes and gzipped sitemaps are followed).
+ * When robots.txt lists no sitemap, the conventional /sitemap.xml location is tried.
+ *
+ * @param {string} startUrl - Hotel start URL (used for the fallback location).
+ * @param {Array<string>} sitemapUrls - Sitemap URLs announced in robots.txt.
+ * @param {Object} [options]
+ * @param {number} [options.maxUrls=1000] - Stop after this many page URLs.
+ * @param {number} [options.maxDepth=3] - Maximum sitemap index nesting.
+ * @returns {Promise<Array<{ url: string, lastmod: Date|null }>>}
+ */
+export async function collectSitemapUrls(startUrl, sitemapUrls = [], { maxUrls = 1000, maxDepth = 3 } = {}) {
+  const sources = (sitemapUrls.length > 0 ? sitemapUrls : [new URL('/sitemap.xml', startUrl).href])
+    .map((url) => ({ type: 'url', url }));
+  const seen = new Set();
+  const entries = [];
+  try {
+    for await (const item of parseSitemap(sources, undefined, { maxDepth, sitemapRetries: 1, reportNetworkErrors: false })) {
+      if (!item?.loc || seen.has(item.loc)) continue;
+      seen.add(item.loc);
+      entries.push({ url: item.loc, lastmod: item.lastmod ?? null });
+      if (entries.length >= maxUrls) break;
+    }
+  } catch (error) {
+    console.warn(`⚠️  Sitemap parsing failed for ${startUrl}: ${error?.message || error}`);
+  }
+  return entries;
+}
@@ -0,0 +1,84 @@
+// SPA route discovery: single-page apps whose sections are only reachable by clicking menu items (anchors without href,
+// router buttons). Clicked states that change the URL are crawled as normal pages; states that only change the DOM are
+// saved under a synthetic page URL and re-created by replaying the click (see SPA_ROUTE_DISCOVERY in scrapeController).
+
+import { canonicalizeUrl } from './urlCanonical.js';
+
+// Fragment prefix of synthetic SPA state URLs ("https://hotel.com/#spa-state:rooms"); kept by canonicalizeUrl
+export const SPA_STATE_FRAGMENT_PREFIX = 'spa-state:';
+// Attribute holding a candidate's index in collectSpaNavCandidatesInPage
+export const SPA_CANDIDATE_ATTRIBUTE = 'data-spa-candidate';
+
+/**
+ * Clickable navigation items that may switch the SPA to another section: nav/menu items without a real href,
+ * buttons and router links. Toggles (hamburger, submenus, language, search) are skipped.
+ * Runs inside the document (page.evaluate), so it must stay self-contained.
+ * @param {string} attribute - Attribute that receives each candidate's index
+ * @returns {Array<{ index: number, label: string }>} Candidates in document order, unique by label
+ */
+export function collectSpaNavCandidatesInPage(attribute) {
+  const NAV_SCOPE = 'nav, header, [role="navigation"], [role="menubar"], [role="menu"], [role="tablist"]';
+  const IN_NAV = 'a:not([href]), a[href="#"], a[href^="#/"], a[href^="#!/"], button, [role="link"], [role="menuitem"], [role="tab"]';
+  const ROUTER_LINKS = '[routerlink], [ng-reflect-router-link], [data-route], a[href^="#/"], a[href^="#!/"]';
+  const TOGGLE_LABEL_RE = /^(menu|men[uü]|close|schlie(ss|ß)en|search|suche|toggle( navigation)?|open menu|back|zur[uü]ck|[a-z]{2}|[×x✕☰])$/i;
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+
+  document.querySelectorAll(`[${attribute}]`).forEach((el) => el.removeAttribute(attribute));
+  const elements = new Set();
+  document.querySelectorAll(NAV_SCOPE).forEach((scope) => scope.querySelectorAll(IN_NAV).forEach((el) => elements.add(el)));
+  document.querySelectorAll(ROUTER_LINKS).forEach((el) => elements.add(el));
+
+  const seenLabels = new Set();
+  const candidates = [];
+  // Set iteration follows insertion order; sort back into document order
+  const ordered = [...elements].sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+  for (const el of ordered) {
+    if (el.closest('form') || el.hasAttribute('disabled') || el.getAttribute('aria-disabled') === 'true') continue;
+    if (el.hasAttribute('aria-haspopup') || el.hasAttribute('aria-expanded')) continue;
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 && rect.height === 0) continue;
+    const label = clean(el.textContent) || clean(el.getAttribute('aria-label')) || clean(el.getAttribute('title'));
+    if (!label || label.length > 60 || TOGGLE_LABEL_RE.test(label)) continue;
+    const key = label.toLowerCase();
+    if (seenLabels.has(key)) continue;
+    seenLabels.add(key);
+    el.setAttribute(attribute, String(candidates.length));
+    candidates.push({ index: candidates.length, label });
+  }
+  return candidates;
+}
+
+/**
+ * Current URL and a signature of the visible body text, to tell SPA states apart.
+ * Runs inside the document (page.evaluate), so it must stay self-contained.
+ * @returns {{ href: string, signature: string, textLength: number }}
+ */
+export function readSpaStateInPage() {
+  const text = (document.body ? document.body.innerText || '' : '').replace(/\s+/g, ' ').trim();
+  // djb2; only compared within one discovery pass
+  let hash = 5381;
+  for (let i = 0; i < text.length; i += 1) hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  return { href: location.href, signature: `${text.length}:${(hash >>> 0).toString(16)}`, textLength: text.length };
+}
+
+/**
+ * Stable synthetic page URL of a DOM-only SPA state, derived from the clicked item's label.
+ * @param {string} baseUrl - URL of the page the state was reached from
+ * @param {string} label - Label of the clicked item
+ * @param {Set<string>} [taken] - URLs already assigned in this pass (a numeric suffix resolves collisions)
+ * @returns {string}
+ */
+export function spaStatePageUrl(baseUrl, label, taken = new Set()) {
+  const slug = String(label || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'state';
+  const base = canonicalizeUrl(baseUrl.split('#')[0]);
+  let url = `${base}#${SPA_STATE_FRAGMENT_PREFIX}${slug}`;
+  for (let n = 2; taken.has(url); n += 1) url = `${base}#${SPA_STATE_FRAGMENT_PREFIX}${slug}-${n}`;
+  taken.add(url);
+  return url;
+}
@@ -0,0 +1,147 @@
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+// Below this much visible text a static response is treated as an empty shell
+const MIN_STATIC_TEXT_LENGTH = 250;
+// Pages with an SPA mount point or a "requires JavaScript" notice need at least this much text to count as static
+const MIN_SSR_TEXT_LENGTH = 1000;
+
+// Empty client-side mount points (React, Vue, Next, Nuxt, Gatsby, Angular, Svelte)
+const SPA_ROOT_RE = /<(div|main|section)\b[^>]*\bid=["'](root|app|__next|__nuxt|___gatsby|svelte)["'][^>]*>\s*<\/\1>|<app-root\b[^>]*>\s*<\/app-root>/i;
+const NOSCRIPT_NOTICE_RE = /<noscript\b[^>]*>[\s\S]{0,300}?(enable|requires?|turn on)\s+javascript/i;
+
+/**
+ * @param {{ etag?: string|null, lastModified?: string|null }|null} validators
+ * @returns {Object<string, string>} If-None-Match / If-Modified-Since request headers
+ */
+function conditionalHeaders(validators) {
+  return {
+    ...(validators?.etag ? { 'if-none-match': validators.etag } : {}),
+    ...(validators?.lastModified ? { 'if-modified-since': validators.lastModified } : {}),
+  };
+}
+
+/**
+ * Fetch a page over plain HTTP through the crawler's HTTP client (browser-like headers, session cookies).
+ * Never throws: transport errors come back as { error }.
+ *
+ * @param {Function} sendRequest - Crawlee context sendRequest helper
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=30000]
+ * @param {{ etag?: string|null, lastModified?: string|null }|null} [options.validators] - Sent as If-None-Match / If-Modified-Since (a 304 means unchanged)
+ * @returns {Promise<{ url: string, status: number, headers: Object<string, string>, contentType: string, html: string, error?: string }>}
+ */
+export async function fetchStaticPage(sendRequest, url, { timeoutMs = 30000, validators = null } = {}) {
+  const headers = conditionalHeaders(validators);
+  try {
+    const res = await sendRequest({ url, headers, throwHttpErrors: false, timeout: { request: timeoutMs } });
+    const resHeaders = res.headers || {};
+    return {
+      url: res.url || url,
+      status: res.statusCode,
+      headers: resHeaders,
+      contentType: String(resHeaders['content-type'] || '').toLowerCase(),
+      html: typeof res.body === 'string' ? res.body : String(res.body || ''),
+    };
+  } catch (error) {
+    return { url, status: 0, headers: {}, contentType: '', html: '', error: error?.message || String(error) };
+  }
+}
+
+/**
+ * HEAD a page through the crawler's HTTP client, to confirm it still answers at the same URL, or whether it changed,
+ * without downloading it.
+ * Never throws: transport errors come back as { error }.
+ *
+ * @param {Function} sendRequest - Crawlee context sendRequest helper
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=30000]
+ * @param {{ etag?: string|null, lastModified?: string|null }|null} [options.validators] - Sent as If-None-Match / If-Modified-Since (a 304 means unchanged)
+ * @returns {Promise<{ url: string, status: number, headers: Object<string, string>, error?: string }>} url: final URL after redirects
+ */
+export async function headStaticPage(sendRequest, url, { timeoutMs = 30000, validators = null } = {}) {
+  const headers = conditionalHeaders(validators);
+  try {
+    const res = await sendRequest({ url, method: 'HEAD', headers, throwHttpErrors: false, timeout: { request: timeoutMs } });
+    return { url: res.url || url, status: res.statusCode, headers: res.headers || {} };
+  } catch (error) {
+    return { url, status: 0, headers: {}, error: error?.message || String(error) };
+  }
+}
+
+/**
+ * Parse static HTML into a JSDOM document (page scripts are never executed).
+ * evaluate() mirrors page.evaluate, so the self-contained functions in utils/pageDom.js run unchanged.
+ *
+ * @param {string} html
+ * @param {string} url - Document URL (resolves relative links)
+ * @returns {{ title: string, evaluate: (fn: Function, arg?: *) => Promise<*>, close: () => void }}
+ */
+export function createStaticDom(html, url) {
+  // Swallow CSS/HTML parse noise from real-world markup
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', virtualConsole: new VirtualConsole() });
+  const { window } = dom;
+  return {
+    title: window.document.title || '',
+    evaluate: async (fn, arg) => window.eval(`(${fn.toString()})(${arg === undefined ? '' : JSON.stringify(arg)})`),
+    close: () => window.close(),
+  };
+}
+
+/**
+ * Heuristics for pages whose content only exists after client-side rendering.
+ *
+ * @param {Object} page
+ * @param {string} page.url - Page URL
+ * @param {string} page.html - Raw HTML
+ * @param {string} page.text - Visible body text (see readPageSignalsInPage)
+ * @param {number} page.linkCount - Number of a[href] elements
+ * @returns {string|null} Reason the page needs a browser, or null when the static HTML is usable
+ */
+export function detectJsRenderedPage({ url = '', html = '', text = '', linkCount = 0 }) {
+  const textLength = String(text || '').replace(/\s+/g, ' ').trim().length;
+  if (/#!?\//.test(url)) return 'spa_hash_route';
+  if (textLength < MIN_STATIC_TEXT_LENGTH) return 'nearly_empty_content';
+  if (SPA_ROOT_RE.test(html) && textLength < MIN_SSR_TEXT_LENGTH) return 'spa_root';
+  if (NOSCRIPT_NOTICE_RE.test(html) && textLength < MIN_SSR_TEXT_LENGTH) return 'noscript_notice';
+  if (linkCount === 0) return 'no_links';
+  return null;
+}
+
+/**
+ * Content the static path cannot reach because it only loads on scroll or click, which a plain HTTP fetch never
+ * triggers (the browser path scrolls and runs expandHiddenContentInPage). Toggles and tabs whose panels are already
+ * in the document are fine: the conversion reads hidden elements too.
+ * Runs inside the document (see createStaticDom), so it must stay self-contained.
+ *
+ * @returns {string|null} Reason the page needs a browser, or null when the static DOM holds all its content
+ */
+export function detectInteractiveContentInPage() {
+  const textOf = (el) => (el.textContent || el.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+  // Panel a toggle or tab controls: null when it is missing or empty (filled in on click)
+  const controlledPanelText = (el) => (el.getAttribute('aria-controls') || '').split(/\s+/).filter(Boolean)
+    .map((id) => document.getElementById(id))
+    .filter(Boolean)
+    .map(textOf)
+    .join(' ') || null;
+
+  // Infinite scroll containers and pagination sentinels (WordPress Jetpack, infinite-scroll.js, theme loaders)
+  if (document.querySelector('[data-infinite-scroll], .infinite-scroll, [class*="infinite-scroll"], [class*="infinite_scroll"], #infinite-handle, .jscroll-next')) {
+    return 'infinite_scroll';
+  }
+
+  // Same "load more" texts as expandHiddenContentInPage; links to another page are followed as links instead
+  const loadMoreRe = /^(load|show|view|see) (more|all)\b|^read more\b|^more details\b/i;
+  const loadMore = Array.from(document.querySelectorAll('button, [role="button"], a')).find((el) => {
+    if (!loadMoreRe.test(textOf(el))) return false;
+    const href = (el.closest('a[href]')?.getAttribute('href') || '').trim().toLowerCase();
+    if (href && !href.startsWith('#') && !href.startsWith('javascript:')) return false;
+    return !controlledPanelText(el);
+  });
+  if (loadMore) return 'load_more';
+
+  const toggles = document.querySelectorAll('[aria-expanded="false"][aria-controls], [role="tab"][aria-selected="false"][aria-controls]');
+  if (Array.from(toggles).some((el) => !controlledPanelText(el))) return 'empty_interactive_panel';
+  return null;
+}
@@ -0,0 +1,225 @@
+// schema.org types describing the property itself
+const LODGING_TYPES = new Set([
+  'hotel', 'lodgingbusiness', 'resort', 'motel', 'hostel', 'bedandbreakfast', 'campground', 'vacationrental', 'apartmentcomplex',
+]);
+
+// Categories fed with structured-data facts (see aggregateScrapedController)
+export const STRUCTURED_DATA_CATEGORIES = ['basic_information', 'contacts', 'amenities', 'policies', 'faq'];
+
+/**
+ * Collect schema.org JSON-LD, microdata and OpenGraph from the current document.
+ * Runs in the browser via page.evaluate (must stay self-contained) before scripts are stripped.
+ * @returns {{ jsonLd: Array<Object>, microdata: Array<Object>, openGraph: Object<string, string> }}
+ */
+export function collectStructuredDataInPage() {
+  const jsonLd = [];
+  document.querySelectorAll('script[type="application/ld+json"]').forEach((script) => {
+    try {
+      const parsed = JSON.parse(script.textContent || '');
+      const items = Array.isArray(parsed) ? parsed : [parsed];
+      items.forEach((item) => {
+        if (item && Array.isArray(item['@graph'])) {
+          item['@graph'].forEach((node) => node && typeof node === 'object' && jsonLd.push(node));
+        } else if (item && typeof item === 'object') {
+          jsonLd.push(item);
+        }
+      });
+    } catch {
+      // Ignore malformed JSON-LD blocks
+    }
+  });
+
+  // Microdata: convert top-level itemscope elements into JSON-LD-like objects
+  const readItem = (el) => {
+    const item = {};
+    const itemType = el.getAttribute('itemtype') || '';
+    if (itemType) item['@type'] = itemType.split(/\s+/)[0].replace(/^https?:\/\/schema\.org\//, '');
+    const props = Array.from(el.querySelectorAll('[itemprop]'))
+      .filter((propEl) => propEl.parentElement && propEl.parentElement.closest('[itemscope]') === el);
+    props.forEach((propEl) => {
+      let value;
+      if (propEl.hasAttribute('itemscope')) {
+        value = readItem(propEl);
+      } else {
+        value = propEl.getAttribute('content')
+          || propEl.getAttribute('datetime')
+          || (propEl.tagName === 'A' || propEl.tagName === 'LINK' ? propEl.getAttribute('href') : '')
+          || (propEl.tagName === 'META' ? '' : (propEl.textContent || '').replace(/\s+/g, ' ').trim());
+      }
+      if (!value) return;
+      (propEl.getAttribute('itemprop') || '').split(/\s+/).filter(Boolean).forEach((name) => {
+        if (item[name] === undefined) {
+          item[name] = value;
+        } else {
+          item[name] = [].concat(item[name], value);
+        }
+      });
+    });
+    return item;
+  };
+  const microdata = Array.from(document.querySelectorAll('[itemscope]'))
+    .filter((el) => !el.hasAttribute('itemprop'))
+    .map(readItem)
+    .filter((item) => Object.keys(item).length > 0);
+
+  const openGraph = {};
+  document.querySelectorAll('meta[property^="og:"], meta[property^="business:"], meta[property^="place:"]').forEach((meta) => {
+    const key = meta.getAttribute('property');
+    const value = (meta.getAttribute('content') || '').trim();
+    if (key && value && openGraph[key] === undefined) {
+      openGraph[key] = value;
+    }
+  });
+
+  return { jsonLd, microdata, openGraph };
+}
+
+/**
+ * True if the structured-data payload holds anything worth storing.
+ * @param {Object|null} structuredData
+ * @returns {boolean}
+ */
+export function hasStructuredData(structuredData) {
+  if (!structuredData) return false;
+  return (structuredData.jsonLd?.length || 0) > 0
+    || (structuredData.microdata?.length || 0) > 0
+    || Object.keys(structuredData.openGraph || {}).length > 0;
+}
+
+/**
+ * Normalize a schema.org value (string, number, object with name/@value, or array) to plain text.
+ * @param {*} value
+ * @returns {string}
+ */
+function toText(value) {
+  if (value == null) return '';
+  if (Array.isArray(value)) return value.map(toText).filter(Boolean).join(', ');
+  if (typeof value === 'object') {
+    return toText(value.name ?? value['@value'] ?? value.text ?? value.value ?? '');
+  }
+  return String(value).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Lowercased schema.org types of a node (without the schema.org URL prefix).
+ * @param {Object} node
+ * @returns {Array<string>}
+ */
+function typesOf(node) {
+  return [].concat(node?.['@type'] || [])
+    .map((type) => String(type).replace(/^https?:\/\/schema\.org\//i, '').toLowerCase());
+}
+
+/**
+ * Format a schema.org amenityFeature (LocationFeatureSpecification or plain name) as one line.
+ * Features marked as not available (value false) are dropped.
+ * @param {*} feature
+ * @returns {string}
+ */
+function formatAmenityFeature(feature) {
+  if (!feature || typeof feature !== 'object') return toText(feature);
+  const value = feature.value;
+  if (value === false || String(value).toLowerCase() === 'false') return '';
+  const name = toText(feature.name);
+  const detail = value === true || String(value).toLowerCase() === 'true' ? '' : toText(value);
+  if (!name) return detail;
+  return detail ? `${name} (${detail})` : name;
+}
+
+/**
+ * Format a schema.org PostalAddress (or plain string) as one line.
+ * @param {*} address
+ * @returns {string}
+ */
+function formatAddress(address) {
+  if (!address) return '';
+  if (typeof address === 'string') return toText(address);
+  return ['streetAddress', 'addressLocality', 'addressRegion', 'postalCode', 'addressCountry']
+    .map((key) => toText(address[key]))
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Turn stored structured data into high-confidence fact text per category.
+ * Only lodging nodes (Hotel, LodgingBusiness, Resort, ...), FAQPage Q&A and OpenGraph place/contact tags are used.
+ *
+ * @param {Object|string|null} structuredData - Parsed or JSON-encoded hotel_page_data.structured_data.
+ * @returns {Object<string, string>} Fact text keyed by category (only non-empty categories).
+ */
+export function structuredDataToFacts(structuredData) {
+  let data = structuredData;
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch {
+      return {};
+    }
+  }
+  if (!hasStructuredData(data)) return {};
+
+  const nodes = [...(data.jsonLd || []), ...(data.microdata || [])];
+  const lines = Object.fromEntries(STRUCTURED_DATA_CATEGORIES.map((category) => [category, []]));
+  const push = (category, label, value) => {
+    const text = toText(value);
+    if (text) lines[category].push(`${label}: ${text}`);
+  };
+
+  nodes.filter((node) => typesOf(node).some((type) => LODGING_TYPES.has(type))).forEach((node) => {
+    push('basic_information', 'Name', node.name);
+    push('basic_information', 'Type', [].concat(node['@type'] || []).map((type) => String(type).replace(/^https?:\/\/schema\.org\//i, '')));
+    push('basic_information', 'Description', node.description);
+    push('basic_information', 'Address', formatAddress(node.address));
+    if (node.geo?.latitude != null && node.geo?.longitude != null) {
+      push('basic_information', 'Geo coordinates', `${node.geo.latitude}, ${node.geo.longitude}`);
+    }
+    push('basic_information', 'Star rating', node.starRating?.ratingValue ?? node.starRating);
+
+    push('contacts', 'Telephone', node.telephone);
+    push('contacts', 'Email', toText(node.email).replace(/^mailto:/i, ''));
+    push('contacts', 'Fax', node.faxNumber);
+    [].concat(node.contactPoint || []).forEach((point) => {
+      const label = toText(point?.contactType) || 'Contact point';
+      push('contacts', `${label} telephone`, point?.telephone);
+      push('contacts', `${label} email`, toText(point?.email).replace(/^mailto:/i, ''));
+    });
+
+    [].concat(node.amenityFeature || []).forEach((feature) => push('amenities', 'Amenity', formatAmenityFeature(feature)));
+
+    push('policies', 'Check-in time', node.checkinTime);
+    push('policies', 'Check-out time', node.checkoutTime);
+    push('policies', 'Pets allowed', node.petsAllowed);
+    push('policies', 'Smoking allowed', node.smokingAllowed);
+    push('policies', 'Payment accepted', node.paymentAccepted);
+    push('policies', 'Currencies accepted', node.currenciesAccepted);
+  });
+
+  nodes.filter((node) => typesOf(node).includes('faqpage')).forEach((node) => {
+    [].concat(node.mainEntity || []).forEach((question) => {
+      const q = toText(question?.name);
+      const a = toText(question?.acceptedAnswer?.text ?? question?.acceptedAnswer);
+      if (q && a) lines.faq.push(`Q: ${q}\nA: ${a}`);
+    });
+  });
+
+  const og = data.openGraph || {};
+  const ogAddress = ['street-address', 'locality', 'region', 'postal-code', 'country-name']
+    .map((key) => og[`business:contact_data:${key}`] || og[`og:${key}`] || '')
+    .filter(Boolean)
+    .join(', ');
+  push('basic_information', 'Address (OpenGraph)', ogAddress);
+  if (og['place:location:latitude'] && og['place:location:longitude']) {
+    push('basic_information', 'Geo coordinates (OpenGraph)', `${og['place:location:latitude']}, ${og['place:location:longitude']}`);
+  }
+  push('contacts', 'Telephone (OpenGraph)', og['business:contact_data:phone_number'] || og['og:phone_number']);
+  push('contacts', 'Email (OpenGraph)', og['business:contact_data:email'] || og['og:email']);
+
+  const facts = {};
+  for (const category of STRUCTURED_DATA_CATEGORIES) {
+    const unique = Array.from(new Set(lines[category]));
+    if (unique.length > 0) {
+      facts[category] = unique.join(category === 'faq' ? '\n\n' : '\n');
+    }
+  }
+  return facts;
+}
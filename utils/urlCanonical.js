@@ -0,0 +1,91 @@
+// Query parameters that only carry campaign/click tracking and never change page content
+const TRACKING_PARAM_PREFIXES = ['utm_', 'hsa_', 'pk_', 'mtm_'];
+const TRACKING_PARAMS = new Set([
+  'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'fbclid', 'msclkid', 'yclid', 'twclid', 'ttclid', 'li_fat_id',
+  'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'srsltid', 'trk', 'cmpid', 'ef_id', 's_kwcid',
+]);
+
+// Directory index documents that serve the same content as their folder URL
+const INDEX_DOCUMENT_RE = /\/(?:index|default)\.(?:html?|php|aspx?|jsp)$/i;
+
+/**
+ * True if a query parameter name is a known tracking parameter.
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isTrackingParam(name) {
+  const lower = String(name || '').toLowerCase();
+  return TRACKING_PARAMS.has(lower) || TRACKING_PARAM_PREFIXES.some((prefix) => lower.startsWith(prefix));
+}
+
+/**
+ * Canonical form of a page URL, used as the identity key in the request queue and hotel_page_data.page_url.
+ * - lowercases scheme and host, drops default ports
+ * - drops fragments (except SPA routes such as "#/rooms" or "#!/rooms", and synthetic "#spa-state:..." states)
+ * - strips tracking parameters and sorts the remaining ones
+ * - folds "/index.html"-style documents, duplicate slashes and trailing slashes
+ *
+ * @param {string} url - Absolute URL.
+ * @returns {string} Canonical URL, or the input unchanged when it cannot be parsed.
+ */
+export function canonicalizeUrl(url) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch {
+    return url;
+  }
+  if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+    return url;
+  }
+
+  // URL already lowercases scheme/host and drops default ports
+  urlObj.username = '';
+  urlObj.password = '';
+
+  const isSpaRoute = /^#(!?\/|spa-state:)/.test(urlObj.hash);
+  if (!isSpaRoute) {
+    urlObj.hash = '';
+  }
+
+  const params = Array.from(urlObj.searchParams.entries())
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a, av], [b, bv]) => (a === b ? av.localeCompare(bv) : a.localeCompare(b)));
+  urlObj.search = '';
+  params.forEach(([name, value]) => urlObj.searchParams.append(name, value));
+
+  let pathname = urlObj.pathname.replace(/\/{2,}/g, '/');
+  pathname = pathname.replace(INDEX_DOCUMENT_RE, '/');
+  if (pathname.length > 1 && pathname.endsWith('/')) {
+    pathname = pathname.replace(/\/+$/, '');
+  }
+  urlObj.pathname = pathname || '/';
+
+  return urlObj.href;
+}
+
+/**
+ * Resolve the page identity from its own URL and its <link rel="canonical"> target.
+ * The canonical target is only respected on the same host, and never when a deeper page
+ * points at the site root (a common CMS misconfiguration that would fold every page into the homepage).
+ *
+ * @param {string} pageUrl - URL the page was loaded from.
+ * @param {string|null} canonicalHref - href of <link rel="canonical"> (absolute or relative), if any.
+ * @returns {string} Canonical URL for the page.
+ */
+export function resolveCanonicalPageUrl(pageUrl, canonicalHref) {
+  const own = canonicalizeUrl(pageUrl);
+  if (!canonicalHref) return own;
+
+  let target;
+  let ownObj;
+  try {
+    target = new URL(canonicalizeUrl(new URL(canonicalHref, pageUrl).href));
+    ownObj = new URL(own);
+  } catch {
+    return own;
+  }
+  if (target.hostname !== ownObj.hostname) return own;
+  if (target.pathname === '/' && !target.search && ownObj.pathname !== '/') return own;
+  return target.href;
+}
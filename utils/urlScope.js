@@ -0,0 +1,125 @@
+import { getDomain } from 'tldts';
+
+/**
+ * Parse a host allowlist into normalized host entries.
+ * Accepts an array or a comma/whitespace separated string (as stored in hotel_list.crawl_allowed_hosts).
+ * Entries may be bare hosts ("book.example.com"), wildcard hosts ("*.example.com") or URLs.
+ * @param {string|Array<string>|null|undefined} value
+ * @returns {Array<string>} Lowercased hosts without scheme, port, path or leading "*." / ".".
+ */
+export function parseHostList(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : String(value).split(/[\s,;]+/);
+  const hosts = items
+    .map((item) => String(item || '').trim().toLowerCase())
+    .filter(Boolean)
+    .map((item) => {
+      try {
+        return item.includes('://') ? new URL(item).hostname : item;
+      } catch {
+        return item;
+      }
+    })
+    .map((item) => item.replace(/^\*?\./, '').replace(/[:/].*$/, ''))
+    .filter(Boolean);
+  return Array.from(new Set(hosts));
+}
+
+/**
+ * Registrable domain (eTLD+1) of a hostname, e.g. "book.hotel.co.uk" -> "hotel.co.uk".
+ * Private suffixes of hosting platforms count as public ones, so "myhotel.wixsite.com" stays "myhotel.wixsite.com"
+ * (not "wixsite.com", which would put every other site on the platform in scope).
+ * Falls back to the hostname itself for IPs, localhost and unknown suffixes.
+ * @param {string} hostname
+ * @returns {string}
+ */
+export function getRegistrableDomain(hostname) {
+  const host = String(hostname || '').toLowerCase();
+  if (!host) return '';
+  return getDomain(host, { allowPrivateDomains: true }) || host;
+}
+
+/**
+ * True if hostname equals host or is a subdomain of it.
+ * @param {string} hostname
+ * @param {string} host
+ * @returns {boolean}
+ */
+function hostMatches(hostname, host) {
+  return hostname === host || hostname.endsWith(`.${host}`);
+}
+
+/**
+ * Build the domain-scope policy for one hotel crawl.
+ * By default the crawl stays on the registrable domain of the start URL (any subdomain included);
+ * allowedHosts adds extra hosts (booking engine, events microsite, ...) together with their subdomains.
+ *
+ * @param {string} startUrl - Hotel start URL.
+ * @param {string|Array<string>} [allowedHosts] - Extra hosts allowed for this hotel.
+ * @returns {{ domains: Set<string>, allowedHosts: Array<string>, addUrl: (url: string) => void, isInScope: (url: string) => boolean }}
+ */
+export function createCrawlScope(startUrl, allowedHosts = []) {
+  const domains = new Set();
+  const extraHosts = parseHostList(allowedHosts);
+
+  const addUrl = (url) => {
+    try {
+      const { hostname } = new URL(url);
+      const domain = getRegistrableDomain(hostname);
+      if (domain) domains.add(domain);
+    } catch {
+      // ignore unparsable URLs
+    }
+  };
+
+  const isInScope = (url) => {
+    let hostname = '';
+    try {
+      const urlObj = new URL(url);
+      if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') return false;
+      hostname = urlObj.hostname.toLowerCase();
+    } catch {
+      return false;
+    }
+    if (domains.has(getRegistrableDomain(hostname))) return true;
+    return extraHosts.some((host) => hostMatches(hostname, host));
+  };
+
+  addUrl(startUrl);
+  return { domains, allowedHosts: extraHosts, addUrl, isInScope };
+}
+
+/**
+ * Parse URL exclusion patterns (as stored in hotel_list.crawl_exclude_url_patterns), one per line or comma.
+ * Patterns match the URL path plus query string, case-insensitively. "*" is a wildcard; a pattern without one
+ * matches as a path prefix ("/careers" excludes "/careers" and "/careers/chef", not "/careers-day").
+ * @param {string|Array<string>|null|undefined} value
+ * @returns {Array<RegExp>}
+ */
+export function parseUrlPatterns(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : String(value).split(/[\n,]+/);
+  return Array.from(new Set(items.map((item) => String(item || '').trim()).filter(Boolean)))
+    .map((pattern) => {
+      const source = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+      return pattern.includes('*') ? new RegExp(`^${source}$`, 'i') : new RegExp(`^${source}(?=[/?#]|$)`, 'i');
+    });
+}
+
+/**
+ * True if the URL's path plus query matches any of the patterns.
+ * @param {string} url - Absolute URL
+ * @param {Array<RegExp>} patterns - From parseUrlPatterns
+ * @returns {boolean}
+ */
+export function matchesUrlPattern(url, patterns) {
+  if (patterns.length === 0) return false;
+  let target;
+  try {
+    const urlObj = new URL(url);
+    target = `${urlObj.pathname}${urlObj.search}`;
+  } catch {
+    return false;
+  }
+  return patterns.some((re) => re.test(target));
+}
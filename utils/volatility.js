@@ -0,0 +1,121 @@
+// Volatility filter: content that changes between runs without a real edit (widgets, timers, tokens)
+// is masked in the checksum input only; the stored markdown keeps the full text.
+
+// Private-use characters wrapping volatile regions in the Turndown output (see the "volatileRegions" rule)
+export const VOLATILE_START = '\uE000';
+export const VOLATILE_END = '\uE001';
+// Attribute set on volatile elements by markVolatileRegionsInPage
+export const VOLATILE_ATTRIBUTE = 'data-volatile';
+
+const VOLATILE_REGION_RE = new RegExp(`${VOLATILE_START}[^${VOLATILE_END}]*${VOLATILE_END}`, 'g');
+const VOLATILE_MARKER_RE = new RegExp(`[${VOLATILE_START}${VOLATILE_END}]`, 'g');
+
+// Widgets whose whole text is volatile: weather (the only place temperatures are masked), clocks, countdowns, tickers, randomized review carousels
+const DEFAULT_VOLATILE_SELECTORS = [
+  '[class*="weather"]', '[id*="weather"]',
+  '[class*="countdown"]', '[id*="countdown"]',
+  '[class*="clock"]', '[id*="clock"]',
+  'marquee', '[class*="ticker"]', '[class*="marquee"]',
+  '[class*="testimonial"]', '[id*="testimonial"]',
+  '[class*="review-slider"]', '[class*="reviews-slider"]', '[class*="review-carousel"]', '[class*="reviews-carousel"]',
+  '[class*="trustyou"]', '[class*="tripadvisor"]',
+];
+
+// Volatile fragments inside otherwise stable text
+const DEFAULT_VOLATILE_PATTERNS = [
+  // © 2019-2026 / Copyright 2026
+  { pattern: /(©|\(c\)|copyright)(\s*(&copy;)?\s*)(\d{4}\s*[-–]\s*)?\d{4}/gi, replacement: '$1$2[year]' },
+  // CSRF tokens, nonces and session ids leaking into visible text (no "/", which would match URL paths)
+  { pattern: /\b(?=[A-Za-z0-9_\-+]*\d)(?=[A-Za-z0-9_\-+]*[A-Za-z])[A-Za-z0-9_\-+]{32,}={0,2}/g, replacement: '[token]' },
+];
+
+// Link targets and bare URLs are never masked: a changed booking, menu or PDF link is a real edit
+const URL_RE = /\]\([^)\s]*\)|\b(?:https?:\/\/|www\.)[^\s)\]>]+/gi;
+// Private-use characters around the index of a protected URL while the patterns run
+const URL_SLOT_START = '\uE002';
+const URL_SLOT_END = '\uE003';
+const URL_SLOT_RE = new RegExp(`${URL_SLOT_START}(\\d+)${URL_SLOT_END}`, 'g');
+
+/**
+ * Volatility filter settings from the environment.
+ * - CHECKSUM_VOLATILITY_FILTER=false disables masking (checksum over the full markdown)
+ * - CHECKSUM_VOLATILE_SELECTORS: extra CSS selector list of volatile widgets
+ * - CHECKSUM_VOLATILE_PATTERNS: JSON array of extra regex sources, masked as "[volatile]"
+ *
+ * @returns {{ enabled: boolean, selectors: string, patterns: Array<{ pattern: RegExp, replacement: string }> }}
+ */
+export function loadVolatilityConfig() {
+  const enabled = String(process.env.CHECKSUM_VOLATILITY_FILTER ?? 'true').toLowerCase() !== 'false';
+  const extraSelectors = String(process.env.CHECKSUM_VOLATILE_SELECTORS || '').trim();
+
+  const extraPatterns = [];
+  if (process.env.CHECKSUM_VOLATILE_PATTERNS) {
+    try {
+      const sources = JSON.parse(process.env.CHECKSUM_VOLATILE_PATTERNS);
+      for (const source of Array.isArray(sources) ? sources : []) {
+        extraPatterns.push({ pattern: new RegExp(source, 'gi'), replacement: '[volatile]' });
+      }
+    } catch (error) {
+      console.error('⚠️ Ignoring invalid CHECKSUM_VOLATILE_PATTERNS:', error.message);
+    }
+  }
+
+  return {
+    enabled,
+    selectors: [...DEFAULT_VOLATILE_SELECTORS, ...(extraSelectors ? [extraSelectors] : [])].join(', '),
+    patterns: [...DEFAULT_VOLATILE_PATTERNS, ...extraPatterns],
+  };
+}
+
+/**
+ * Flag the outermost elements matching the volatile selectors with VOLATILE_ATTRIBUTE.
+ * Runs inside the document (page.evaluate / JSDOM), so it must stay self-contained; call before cleanup.
+ * @param {{ selectors: string, attribute: string }} options
+ * @returns {number} Number of flagged elements
+ */
+export function markVolatileRegionsInPage({ selectors, attribute }) {
+  let flagged = 0;
+  let matches = [];
+  try {
+    matches = Array.from(document.querySelectorAll(selectors));
+  } catch {
+    // Invalid custom selector
+    return 0;
+  }
+  const root = document.body || document.documentElement;
+  matches.forEach((el) => {
+    if (el === root || el.parentElement?.closest(`[${attribute}]`)) return;
+    el.querySelectorAll(`[${attribute}]`).forEach((inner) => inner.removeAttribute(attribute));
+    el.setAttribute(attribute, '1');
+    flagged += 1;
+  });
+  return flagged;
+}
+
+/**
+ * Remove the volatile-region markers (markdown as stored).
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function stripVolatileMarkers(markdown) {
+  return String(markdown || '').replace(VOLATILE_MARKER_RE, '');
+}
+
+/**
+ * Checksum input for a markdown document: volatile regions and fragments are replaced with placeholders.
+ * Fragment patterns never apply inside URLs or markdown link targets.
+ * @param {string} markdown - Markdown, possibly still containing volatile-region markers
+ * @param {{ enabled: boolean, patterns: Array<{ pattern: RegExp, replacement: string }> }} config - See loadVolatilityConfig
+ * @returns {string}
+ */
+export function maskVolatileContent(markdown, config) {
+  if (!config?.enabled) return stripVolatileMarkers(markdown);
+  let masked = String(markdown || '').replace(VOLATILE_REGION_RE, '[volatile]');
+  masked = stripVolatileMarkers(masked);
+  const urls = [];
+  masked = masked.replace(URL_RE, (url) => `${URL_SLOT_START}${urls.push(url) - 1}${URL_SLOT_END}`);
+  for (const { pattern, replacement } of config.patterns) {
+    masked = masked.replace(pattern, replacement);
+  }
+  return masked.replace(URL_SLOT_RE, (slot, index) => urls[Number(index)] ?? slot);
+}
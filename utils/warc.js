@@ -0,0 +1,289 @@
+// Per-run WARC archive of crawled responses, rendered DOMs and screenshots (see ARCHIVE_PAGE_TO_WARC in scrapeController).
+// Each record is gzipped separately, so the index can point at single records; replay_warc.js reads the archive back.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+import zlib from 'zlib';
+
+// Full-page screenshots are large; compressing them synchronously would block the crawl's event loop
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Response headers that no longer describe the stored (decoded) body
+const DROPPED_HTTP_HEADERS = new Set(['content-encoding', 'transfer-encoding', 'content-length']);
+
+/**
+ * Paths of a run's archive files.
+ * @param {string} dir - Archive root directory (CRAWLER_WARC_DIR)
+ * @param {string} hotelUuid
+ * @param {number|string} runId
+ * @returns {{ warcPath: string, indexPath: string }}
+ */
+export function warcPaths(dir, hotelUuid, runId) {
+  const base = path.join(dir, hotelUuid, `run-${runId}`);
+  return { warcPath: `${base}.warc.gz`, indexPath: `${base}.index.jsonl` };
+}
+
+/**
+ * Serialize one WARC/1.1 record.
+ * @param {Object<string, string>} headers - WARC header fields (WARC-Type, WARC-Target-URI, ...)
+ * @param {Buffer} payload - Record block
+ * @returns {Buffer}
+ */
+function serializeRecord(headers, payload) {
+  const head = [
+    'WARC/1.1',
+    ...Object.entries(headers).filter(([, value]) => value != null && value !== '').map(([name, value]) => `${name}: ${value}`),
+    `Content-Length: ${payload.length}`,
+  ].join('\r\n');
+  return Buffer.concat([Buffer.from(`${head}\r\n\r\n`, 'utf8'), payload, Buffer.from('\r\n\r\n', 'utf8')]);
+}
+
+/**
+ * @param {Uint8Array|string|null} body
+ * @returns {Buffer}
+ */
+function toBuffer(body) {
+  if (body instanceof Uint8Array) return Buffer.from(body.buffer, body.byteOffset, body.byteLength);
+  return Buffer.from(String(body || ''), 'utf8');
+}
+
+/**
+ * HTTP response block (status line, headers, body) of a WARC response record.
+ * @param {number} status
+ * @param {Object<string, string|Array<string>>} headers
+ * @param {Buffer} body
+ * @returns {Buffer}
+ */
+function httpResponseBlock(status, headers, body) {
+  const lines = [`HTTP/1.1 ${status || 200}`];
+  for (const [name, value] of Object.entries(headers || {})) {
+    if (DROPPED_HTTP_HEADERS.has(name.toLowerCase())) continue;
+    (Array.isArray(value) ? value : [value]).forEach((item) => lines.push(`${name}: ${String(item).replace(/[\r\n]+/g, ' ')}`));
+  }
+  lines.push(`Content-Length: ${body.length}`);
+  return Buffer.concat([Buffer.from(`${lines.join('\r\n')}\r\n\r\n`, 'utf8'), body]);
+}
+
+/**
+ * Open the WARC archive of one crawl run. Records are appended in call order (writes are serialized),
+ * and every record gets an index line (page URL, record type, offset, length).
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Archive root directory
+ * @param {string} options.hotelUuid
+ * @param {number|string} options.runId
+ * @param {Object<string, *>} [options.info] - warcinfo fields (hotel URL, crawl configuration, ...); objects are stored as JSON
+ * @returns {Promise<{ warcPath: string, writeResponse: Function, writeConversion: Function, writeScreenshot: Function, writeFrameSection: Function, close: () => Promise<void> }>}
+ */
+export async function openWarcArchive({ dir, hotelUuid, runId, info = {} }) {
+  const { warcPath, indexPath } = warcPaths(dir, hotelUuid, runId);
+  await fs.mkdir(path.dirname(warcPath), { recursive: true });
+  // A resumed run appends to its archive
+  let offset = await fs.stat(warcPath).then((stat) => stat.size).catch(() => 0);
+  let chain = Promise.resolve();
+
+  const append = (headers, payload, indexEntry) => {
+    const recordId = `<urn:uuid:${crypto.randomUUID()}>`;
+    const warcHeaders = {
+      'WARC-Record-ID': recordId,
+      'WARC-Date': new Date().toISOString(),
+      ...headers,
+      'X-Run-Id': String(runId),
+      'X-Hotel-Uuid': hotelUuid,
+    };
+    chain = chain.then(async () => {
+      const record = await gzip(serializeRecord(warcHeaders, payload));
+      await fs.appendFile(warcPath, record);
+      await fs.appendFile(indexPath, `${JSON.stringify({ ...indexEntry, type: headers['WARC-Type'], record_id: recordId, offset, length: record.length })}\n`);
+      offset += record.length;
+    }).catch((error) => console.warn(`⚠️  WARC write failed (${warcPath}): ${error?.message || error}`));
+    return recordId;
+  };
+
+  const pageHeaders = ({ pageKey, depth, fetchMode }) => ({
+    'X-Page-Key': pageKey,
+    'X-Crawl-Depth': depth == null ? '' : String(depth),
+    'X-Fetch-Mode': fetchMode || '',
+  });
+
+  const infoFields = Object.entries({ software: 'vaia-bot', format: 'WARC File Format 1.1', 'run-id': runId, 'hotel-uuid': hotelUuid, ...info })
+    .map(([name, value]) => `${name}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join('\r\n');
+  if (offset === 0) {
+    append({ 'WARC-Type': 'warcinfo', 'WARC-Filename': path.basename(warcPath), 'Content-Type': 'application/warc-fields' }, Buffer.from(`${infoFields}\r\n`, 'utf8'), {});
+  }
+
+  return {
+    warcPath,
+    /**
+     * Archive a fetched response (HTML page or PDF).
+     * @param {{ url: string, pageKey: string, depth: number, fetchMode: string, status: number, headers: Object, body: Uint8Array|string }} page
+     * @returns {string} WARC-Record-ID
+     */
+    writeResponse: ({ url, pageKey, depth, fetchMode, status, headers, body }) => append({
+      'WARC-Type': 'response',
+      'WARC-Target-URI': url,
+      'Content-Type': 'application/http; msgtype=response',
+      ...pageHeaders({ pageKey, depth, fetchMode }),
+    }, httpResponseBlock(status, headers, toBuffer(body)), { url, page_key: pageKey }),
+    /**
+     * Archive the rendered DOM of a browser page (what the cleanup and markdown conversion start from).
+     * @param {{ url: string, pageKey: string, depth: number, fetchMode: string, html: string, refersTo?: string }} page
+     * @returns {string} WARC-Record-ID
+     */
+    writeConversion: ({ url, pageKey, depth, fetchMode, html, refersTo }) => append({
+      'WARC-Type': 'conversion',
+      'WARC-Target-URI': url,
+      'WARC-Refers-To': refersTo,
+      'Content-Type': 'text/html; charset=utf-8',
+      ...pageHeaders({ pageKey, depth, fetchMode }),
+    }, Buffer.from(html || '', 'utf8'), { url, page_key: pageKey }),
+    /**
+     * Archive a full-page screenshot.
+     * @param {{ url: string, pageKey: string, depth: number, png: Buffer }} page
+     * @returns {string} WARC-Record-ID
+     */
+    writeScreenshot: ({ url, pageKey, depth, png }) => append({
+      'WARC-Type': 'resource',
+      'WARC-Target-URI': `urn:screenshot:${url}`,
+      'Content-Type': 'image/png',
+      ...pageHeaders({ pageKey, depth, fetchMode: 'browser' }),
+    }, png, { url, page_key: pageKey }),
+    /**
+     * Archive the cleaned body of a captured frame (see captureFrameSections), so replay can append it again.
+     * @param {{ url: string, pageKey: string, depth: number, index: number, label: string, html: string }} section
+     * @returns {string} WARC-Record-ID
+     */
+    writeFrameSection: ({ url, pageKey, depth, index, label, html }) => append({
+      'WARC-Type': 'conversion',
+      'WARC-Target-URI': url,
+      'Content-Type': 'text/html; charset=utf-8',
+      'X-Frame-Index': String(index),
+      'X-Frame-Label': label.replace(/[\r\n]+/g, ' '),
+      ...pageHeaders({ pageKey, depth, fetchMode: 'browser' }),
+    }, Buffer.from(html || '', 'utf8'), { url, page_key: pageKey }),
+    close: async () => {
+      await chain;
+    },
+  };
+}
+
+/**
+ * Parse "Name: value" lines (WARC headers, HTTP headers, warcinfo fields).
+ * @param {string} text
+ * @returns {Object<string, string>} Keys lowercased; repeated names keep the last value
+ */
+function parseFields(text) {
+  const fields = {};
+  for (const line of text.split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon > 0) fields[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  }
+  return fields;
+}
+
+/**
+ * Parse the WARC records of a decompressed buffer.
+ * @param {Buffer} data
+ * @returns {Array<{ type: string, headers: Object<string, string>, block: Buffer }>}
+ */
+function parseRecords(data) {
+  const records = [];
+  let pos = 0;
+  while (pos < data.length) {
+    const headEnd = data.indexOf('\r\n\r\n', pos);
+    if (headEnd < 0) break;
+    const headers = parseFields(data.subarray(pos, headEnd).toString('utf8'));
+    const length = parseInt(headers['content-length'] || '0', 10);
+    const blockStart = headEnd + 4;
+    records.push({ type: headers['warc-type'] || '', headers, block: data.subarray(blockStart, blockStart + length) });
+    pos = blockStart + length;
+    // Skip the record separator (and any stray blank lines)
+    while (pos < data.length && (data[pos] === 0x0d || data[pos] === 0x0a)) pos += 1;
+  }
+  return records;
+}
+
+/**
+ * Read all records of a WARC file (gzipped per record or plain). Loads the whole archive; use readWarcIndex and
+ * readIndexedRecords to read single records of a large archive.
+ * @param {string} warcPath
+ * @returns {Promise<Array<{ type: string, headers: Object<string, string>, block: Buffer }>>} headers: WARC fields, lowercased
+ */
+export async function readWarcRecords(warcPath) {
+  let data = await fs.readFile(warcPath);
+  // Concatenated gzip members decode as one stream
+  if (data[0] === 0x1f && data[1] === 0x8b) data = await gunzip(data);
+  return parseRecords(data);
+}
+
+/**
+ * Index lines written next to an archive by openWarcArchive.
+ * @param {string} warcPath
+ * @returns {Promise<Array<{ url?: string, page_key?: string, type: string, record_id: string, offset: number, length: number }>|null>}
+ *   Null when the archive has no index
+ */
+export async function readWarcIndex(warcPath) {
+  const indexPath = warcPath.replace(/\.warc(\.gz)?$/, '.index.jsonl');
+  const text = await fs.readFile(indexPath, 'utf8').catch(() => null);
+  if (text === null) return null;
+  return text.split('\n').filter((line) => line.trim()).map((line) => JSON.parse(line));
+}
+
+/**
+ * Read only the given records of a per-record gzipped archive, by their index offset and length.
+ * @param {string} warcPath
+ * @param {Array<{ offset: number, length: number }>} entries - From readWarcIndex
+ * @returns {Promise<Array<{ type: string, headers: Object<string, string>, block: Buffer }>>} In entry order
+ */
+export async function readIndexedRecords(warcPath, entries) {
+  const file = await fs.open(warcPath, 'r');
+  try {
+    const records = [];
+    for (const { offset, length } of entries) {
+      const member = Buffer.alloc(length);
+      await file.read(member, 0, length, offset);
+      records.push(...parseRecords(await gunzip(member)));
+    }
+    return records;
+  } finally {
+    await file.close();
+  }
+}
+
+/**
+ * Split the block of a WARC response record into status, headers and body.
+ * @param {Buffer} block
+ * @returns {{ status: number, headers: Object<string, string>, body: Buffer }}
+ */
+export function parseHttpResponseBlock(block) {
+  const headEnd = block.indexOf('\r\n\r\n');
+  if (headEnd < 0) return { status: 0, headers: {}, body: block };
+  const [statusLine, ...headerLines] = block.subarray(0, headEnd).toString('utf8').split('\r\n');
+  return {
+    status: parseInt(statusLine.split(' ')[1] || '0', 10),
+    headers: parseFields(headerLines.join('\r\n')),
+    body: block.subarray(headEnd + 4),
+  };
+}
+
+/**
+ * warcinfo fields of an archive (JSON values parsed back).
+ * @param {Array<{ type: string, block: Buffer }>} records - From readWarcRecords
+ * @returns {Object<string, *>}
+ */
+export function readWarcInfo(records) {
+  const info = records.find((record) => record.type === 'warcinfo');
+  if (!info) return {};
+  const fields = parseFields(info.block.toString('utf8'));
+  return Object.fromEntries(Object.entries(fields).map(([name, value]) => {
+    try {
+      return [name, /^[[{]/.test(value) ? JSON.parse(value) : value];
+    } catch {
+      return [name, value];
+    }
+  }));
+}